@@ -13,6 +13,11 @@ const scaffoldSchema = z.object({
   targetRepo: z.string().regex(/^[a-zA-Z0-9_-]+\/[a-zA-Z0-9_-]+$/, 'Invalid repository format (owner/repo)'),
   projectName: z.string().min(1).max(100),
   prompt: z.string().min(10).max(10000),
+  template: z
+    .string()
+    .regex(/^[a-z0-9-]+$/, 'Invalid template id')
+    .max(100)
+    .optional(),
 });
 
 export async function POST(req: NextRequest) {
@@ -38,7 +43,7 @@ export async function POST(req: NextRequest) {
       );
     }
 
-    const { targetRepo, projectName, prompt } = validation.data;
+    const { targetRepo, projectName, prompt, template } = validation.data;
     const [owner, repo] = targetRepo.split('/');
 
     console.log(`[Scaffold] User ${session.user.name} scaffolding ${projectName} in ${targetRepo}`);
@@ -51,6 +56,7 @@ export async function POST(req: NextRequest) {
       repo,
       projectName,
       prompt,
+      template,
     });
 
     console.log(`[Scaffold] Created session ${result.sessionId}`);
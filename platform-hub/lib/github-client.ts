@@ -14,6 +14,7 @@ export interface ScaffoldInputs {
   repo: string;
   projectName: string;
   prompt: string;
+  template?: string;
 }
 
 export interface SDLCInputs {
@@ -80,7 +81,7 @@ export class GitHubClient {
 
 **Project Name:** \`${inputs.projectName}\`
 
-**Specification:**
+${inputs.template ? `**Template:** \`${inputs.template}\`\n\n` : ''}**Specification:**
 \`\`\`
 ${inputs.prompt}
 \`\`\`
@@ -106,6 +107,7 @@ ${inputs.prompt}
         task_issue_number: String(issue.data.number),
         scaffold_prompt: inputs.prompt,
         repo_name: inputs.projectName,
+        ...(inputs.template && { template: inputs.template }),
       },
     });
 
@@ -0,0 +1,105 @@
+/**
+ * ai-cache.js
+ * Prompt/response store backing the record/ and replay/ AI providers.
+ *
+ * Each entry is a JSON file in AI_CACHE_DIR named after a SHA-256 hash of the
+ * request (system prompt, prompt and generation parameters), so recordings can
+ * be committed as fixtures and replayed without network access.
+ *
+ * Environment:
+ *   AI_CACHE_DIR - Directory holding recorded responses (default: .ai-cache)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const AI_CACHE_DIR = process.env.AI_CACHE_DIR || '.ai-cache';
+
+/**
+ * Serialize a value with object keys sorted, so logically equal requests
+ * always hash to the same key
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Compute the cache key for a request
+ * @param {Object} request - Normalized callAI request (prompt or messages, systemPrompt, parameters, tools)
+ * @returns {string} - Hex SHA-256 digest
+ */
+export function cacheKey(request) {
+  return crypto.createHash('sha256').update(stableStringify(request)).digest('hex');
+}
+
+function entryPath(key) {
+  return path.join(AI_CACHE_DIR, `${key}.json`);
+}
+
+/**
+ * Look up a recorded response
+ * @returns {Object|null} - Cache entry ({ key, model, request, response, toolCalls, usage, stopReason, recordedAt })
+ *   or null on a miss
+ */
+export function readCache(request) {
+  const key = cacheKey(request);
+  const file = entryPath(key);
+
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+/**
+ * Store a response for a request, overwriting any previous recording
+ * @param {Object} request - Normalized callAI request
+ * @param {{text: string, toolCalls?: Object[], usage?: Object, stopReason?: string}} result - Provider response
+ * @param {string} model - Live model that produced the response
+ * @returns {string} - Path of the written cache entry
+ */
+export function writeCache(request, { text, toolCalls, usage, stopReason }, model) {
+  const key = cacheKey(request);
+  const file = entryPath(key);
+
+  fs.mkdirSync(AI_CACHE_DIR, { recursive: true });
+  fs.writeFileSync(
+    file,
+    JSON.stringify(
+      {
+        key,
+        model,
+        request,
+        response: text,
+        toolCalls: toolCalls?.length ? toolCalls : undefined,
+        usage,
+        stopReason,
+        recordedAt: new Date().toISOString(),
+      },
+      null,
+      2
+    )
+  );
+
+  return file;
+}
+
+export default {
+  cacheKey,
+  readCache,
+  writeCache,
+};
@@ -5,17 +5,51 @@
  * - OpenAI (GPT-4, GPT-4 Turbo)
  * - Anthropic (Claude direct API)
  * - Azure OpenAI
+ * - OpenAI-compatible servers (Ollama, llama.cpp, vLLM, ...)
+ * - Record/replay of cached responses for offline runs
  */
 
-import { BedrockRuntimeClient, ConverseCommand } from '@aws-sdk/client-bedrock-runtime';
+import { BedrockRuntimeClient, ConverseCommand, ConverseStreamCommand } from '@aws-sdk/client-bedrock-runtime';
 import Anthropic from '@anthropic-ai/sdk';
 import OpenAI from 'openai';
+import Ajv from 'ajv';
+import { cacheKey, readCache, writeCache } from './ai-cache.js';
+import { withRetry } from './ai-retry.js';
+import { recordUsage } from './ai-usage.js';
 
 // Environment configuration
 const AI_MODEL = process.env.AI_MODEL || 'bedrock/amazon.nova-pro-v1:0';
 const AI_API_KEY = process.env.AI_API_KEY;
 const AI_ENDPOINT = process.env.AI_ENDPOINT;
+const AI_API_VERSION = process.env.AI_API_VERSION || '2024-02-01';
+const AI_HEADERS = process.env.AI_HEADERS;
 const AWS_REGION = process.env.AWS_REGION || 'us-east-1';
+const AI_REPLAY_STRICT = process.env.AI_REPLAY_STRICT !== 'false';
+const AI_NATIVE_JSON = process.env.AI_NATIVE_JSON !== 'false';
+const AI_MAX_CONTINUATIONS = parseInt(process.env.AI_MAX_CONTINUATIONS || '3', 10);
+const AI_STREAM = process.env.AI_STREAM === 'true';
+
+/**
+ * Resolve the API key for a provider
+ * AI_API_KEY_<PROVIDER> (e.g. AI_API_KEY_OPENAI, AI_API_KEY_OPENAI_COMPATIBLE)
+ * overrides AI_API_KEY, so a fallback chain can mix providers with different credentials.
+ */
+function apiKeyFor(provider) {
+  return process.env[`AI_API_KEY_${provider.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`] || AI_API_KEY;
+}
+
+/**
+ * Parse AI_HEADERS, a JSON object of extra HTTP headers sent with every request
+ */
+function customHeaders() {
+  if (!AI_HEADERS) return undefined;
+
+  try {
+    return JSON.parse(AI_HEADERS);
+  } catch (error) {
+    throw new Error(`AI_HEADERS must be a JSON object of header names to values: ${error.message}`);
+  }
+}
 
 /**
  * Parse model string to determine provider and model
@@ -24,61 +58,496 @@ const AWS_REGION = process.env.AWS_REGION || 'us-east-1';
  *   - "bedrock/amazon.nova-pro-v1:0"
  *   - "openai/gpt-4-turbo"
  *   - "anthropic/claude-3-5-sonnet-20241022"
+ *   - "openai-compatible/llama3.1:8b" (AI_ENDPOINT=http://localhost:11434/v1)
+ *   - "record/anthropic/claude-3-5-sonnet-20241022" (call live, store response)
+ *   - "replay/anthropic/claude-3-5-sonnet-20241022" (serve stored response)
+ *   - "replay" (serve stored responses only, no live fallback)
  */
 function parseModel(modelString) {
-  const [provider, modelId] = modelString.split('/', 2);
-  return { provider: provider.toLowerCase(), modelId };
+  const separator = modelString.indexOf('/');
+  if (separator === -1) {
+    return { provider: modelString.toLowerCase(), modelId: undefined };
+  }
+
+  return {
+    provider: modelString.substring(0, separator).toLowerCase(),
+    modelId: modelString.substring(separator + 1),
+  };
+}
+
+/**
+ * Split AI_MODEL into an ordered fallback chain
+ * Format: "provider/model-id[,provider/model-id...]"
+ * Example: "anthropic/claude-3-5-sonnet-20241022,bedrock/amazon.nova-pro-v1:0"
+ */
+function parseModelChain(modelString) {
+  const chain = modelString
+    .split(',')
+    .map((model) => model.trim())
+    .filter(Boolean);
+
+  if (chain.length === 0) {
+    throw new Error('AI_MODEL is empty');
+  }
+
+  return chain;
 }
 
 /**
  * Call AI model with unified interface
+ * @param {Object} options - See callAIDetailed
+ * @returns {Promise<string>} - AI response text
+ */
+export async function callAI(options) {
+  const { text } = await callAIDetailed(options);
+  return text;
+}
+
+/**
+ * Call AI model and return the response with its metadata
+ *
+ * Accepts either a single prompt or a full conversation. Conversation messages
+ * use one provider-neutral shape:
+ *   { role: 'user', content: string }
+ *   { role: 'assistant', content: string, toolCalls?: [{ id, name, input }] }
+ *   { role: 'tool', toolCallId: string, content: string, isError?: boolean }
+ *
+ * When AI_MODEL lists several models, each is tried in order until one returns
+ * a non-empty response. A model is skipped when it errors (including exhausting
+ * its retry budget) or answers with empty text.
+ *
+ * When a response stops at the max-token limit, the model that answered is asked
+ * to continue up to maxContinuations times and the parts are stitched together.
+ *
  * @param {Object} options
- * @param {string} options.prompt - The prompt text
+ * @param {string} [options.prompt] - The prompt text (single user turn)
+ * @param {Object[]} [options.messages] - Conversation history, instead of prompt
  * @param {string} [options.systemPrompt] - System prompt
  * @param {number} [options.maxTokens=4096] - Max tokens
  * @param {number} [options.temperature=0.7] - Temperature
- * @returns {Promise<string>} - AI response text
+ * @param {{name: string, description?: string, inputSchema: Object}[]} [options.tools] - Tools the
+ *   model may call; calls are returned in toolCalls (see ai-tool-loop.js to execute them)
+ * @param {{name: string, schema: Object}} [options.jsonSchema] - Request JSON output matching this
+ *   schema, using the provider's native JSON mode or tool-calling where available
+ * @param {number} [options.maxContinuations] - Continuation requests after a max-token stop
+ *   (default: AI_MAX_CONTINUATIONS or 3; not applied to jsonSchema or tools requests)
+ * @param {(chunk: string) => void} [options.onText] - Stream response text as it arrives
+ *   (defaults to stderr when AI_STREAM=true; not applied to jsonSchema or tools requests)
+ * @returns {Promise<{text: string, toolCalls: Object[], message: Object, stopReason: string,
+ *   truncated: boolean, model: string}>}
+ *   message is the assistant turn to append to messages for the next call;
+ *   stopReason is one of end_turn, max_tokens, stop_sequence, tool_use, content_filter
+ */
+export async function callAIDetailed({
+  prompt,
+  messages,
+  systemPrompt = '',
+  maxTokens = 4096,
+  temperature = 0.7,
+  tools,
+  jsonSchema,
+  maxContinuations = AI_MAX_CONTINUATIONS,
+  onText = AI_STREAM ? (chunk) => process.stderr.write(chunk) : undefined,
+}) {
+  if (!prompt && !messages?.length) {
+    throw new Error('callAI requires a prompt or messages');
+  }
+
+  if (tools?.length && jsonSchema) {
+    throw new Error('callAI does not support tools and jsonSchema in the same request');
+  }
+
+  const request = {
+    prompt: messages ? undefined : prompt,
+    messages,
+    systemPrompt,
+    maxTokens,
+    temperature,
+    // Handlers are not part of the request sent to (or cached for) the model
+    tools: tools?.length ? tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema })) : undefined,
+    jsonSchema: AI_NATIVE_JSON ? jsonSchema : undefined,
+  };
+
+  const promptLength = messages ? messages.reduce((total, m) => total + (m.content?.length || 0), 0) : prompt.length;
+  console.error(`[AI] Prompt length: ${promptLength} chars${messages ? ` (${messages.length} messages)` : ''}`);
+
+  const first = await callChain(request, { onText: request.tools ? undefined : onText });
+  let text = first.text || '';
+  let stopReason = first.stopReason;
+  const toolCalls = first.toolCalls || [];
+
+  // Tool-call JSON cannot be resumed mid-document, so only plain text is continued
+  const continuations = request.jsonSchema || request.tools ? 0 : maxContinuations;
+
+  for (let part = 1; stopReason === 'max_tokens' && part <= continuations; part++) {
+    console.error(`[AI] Response hit max tokens, requesting continuation ${part}/${continuations}...`);
+
+    try {
+      const next = await callModel(first.chainModel, { ...request, continuation: text }, { onText });
+      recordUsage({ model: next.model, usage: next.usage, replayed: next.replayed });
+
+      text = stitch(text, next.text);
+      stopReason = next.stopReason;
+    } catch (error) {
+      console.error(`[AI] Continuation failed: ${error.message}`);
+      break;
+    }
+  }
+
+  const truncated = stopReason === 'max_tokens';
+  if (truncated) {
+    console.error(`[AI] ⚠️  Response is truncated (stopped at max tokens after ${continuations} continuation(s))`);
+  }
+
+  const message = { role: 'assistant', content: text };
+  if (toolCalls.length > 0) {
+    message.toolCalls = toolCalls;
+  }
+
+  return { text, toolCalls, message, stopReason, truncated, model: first.model };
+}
+
+/**
+ * Try each model of the AI_MODEL chain until one answers
  */
-export async function callAI({ prompt, systemPrompt = '', maxTokens = 4096, temperature = 0.7 }) {
-  const { provider, modelId } = parseModel(AI_MODEL);
+async function callChain(request, options) {
+  const chain = parseModelChain(AI_MODEL);
+  const failures = [];
+  let lastError;
+
+  for (const [index, model] of chain.entries()) {
+    console.error(`[AI] Calling ${model}...${chain.length > 1 ? ` (${index + 1}/${chain.length})` : ''}`);
 
-  console.error(`[AI] Calling ${provider}/${modelId}...`);
-  console.error(`[AI] Prompt length: ${prompt.length} chars`);
+    try {
+      const result = await callModel(model, request, options);
+
+      if ((typeof result.text !== 'string' || result.text.trim() === '') && !result.toolCalls?.length) {
+        throw new Error('Empty response');
+      }
+
+      if (chain.length > 1) {
+        console.error(`[AI] Answered by ${model}`);
+      }
 
+      recordUsage({ model: result.model, usage: result.usage, replayed: result.replayed });
+      return { ...result, chainModel: model };
+    } catch (error) {
+      lastError = error;
+      failures.push(`${model}: ${error.message}`);
+
+      if (index < chain.length - 1) {
+        console.error(`[AI] ${model} failed (${error.message}), falling back to ${chain[index + 1]}`);
+      }
+    }
+  }
+
+  if (chain.length === 1) {
+    throw lastError;
+  }
+
+  throw new Error(`All AI models failed:\n  ${failures.join('\n  ')}`);
+}
+
+/**
+ * Join a continuation onto the text so far, dropping any overlap the model
+ * repeated from the end of the previous part
+ */
+function stitch(text, continuation) {
+  const maxOverlap = Math.min(200, text.length, continuation.length);
+
+  for (let length = maxOverlap; length >= 10; length--) {
+    if (text.endsWith(continuation.substring(0, length))) {
+      return text + continuation.substring(length);
+    }
+  }
+
+  return text + continuation;
+}
+
+/**
+ * Call a single model from the chain
+ * @returns {Promise<{text: string, toolCalls?: Object[], usage: Object, stopReason: string, model: string,
+ *   replayed?: boolean}>}
+ *   model is the live model behind record/ and replay/, used for pricing
+ */
+async function callModel(model, request, options = {}) {
+  const { provider, modelId } = parseModel(model);
+
+  switch (provider) {
+    case 'record':
+      return await callRecord(request, modelId, options);
+
+    case 'replay':
+      return await callReplay(request, modelId, options);
+
+    default:
+      return { ...(await callProvider(provider, modelId, request, options)), model };
+  }
+}
+
+/**
+ * Dispatch a request to a live provider
+ * @returns {Promise<{text: string, toolCalls: Object[], usage: {inputTokens: number, outputTokens: number},
+ *   stopReason: string}>}
+ */
+async function callProvider(provider, modelId, request, { onText } = {}) {
   switch (provider) {
     case 'bedrock':
-      return await callBedrock({ prompt, systemPrompt, maxTokens, temperature, modelId });
+      return await callBedrock({ ...request, modelId, onText });
 
     case 'openai':
-      return await callOpenAI({ prompt, systemPrompt, maxTokens, temperature, modelId });
+      return await callOpenAI({ ...request, modelId, onText });
 
     case 'anthropic':
-      return await callAnthropic({ prompt, systemPrompt, maxTokens, temperature, modelId });
+      return await callAnthropic({ ...request, modelId, onText });
 
     case 'azure':
-      return await callAzureOpenAI({ prompt, systemPrompt, maxTokens, temperature, modelId });
+      return await callAzureOpenAI({ ...request, modelId, onText });
+
+    case 'openai-compatible':
+      return await callOpenAICompatible({ ...request, modelId, onText });
 
     default:
       throw new Error(`Unsupported AI provider: ${provider}`);
   }
 }
 
+/**
+ * Call the wrapped live provider and store the response for later replay
+ * Model format: "record/<provider>/<model-id>"
+ */
+async function callRecord(request, innerModel, options) {
+  if (!innerModel) {
+    throw new Error('record/ requires a wrapped model, e.g. "record/anthropic/claude-3-5-sonnet-20241022"');
+  }
+
+  const { provider, modelId } = parseModel(innerModel);
+  const result = await callProvider(provider, modelId, request, options);
+
+  const file = writeCache(request, result, innerModel);
+  console.error(`[AI] Recorded response to ${file}`);
+  return { ...result, model: innerModel };
+}
+
+/**
+ * Serve a stored response
+ * Model format: "replay" or "replay/<provider>/<model-id>"
+ *
+ * On a miss, strict mode (AI_REPLAY_STRICT, default true) throws. Otherwise the
+ * wrapped live provider is called and its response recorded.
+ */
+async function callReplay(request, innerModel, options) {
+  const entry = readCache(request);
+
+  if (entry) {
+    console.error(`[AI] Replaying recorded response ${entry.key} (${entry.model || 'unknown model'})`);
+    console.error(`[AI] Response length: ${entry.response.length} chars`);
+    options.onText?.(entry.response);
+
+    return {
+      text: entry.response,
+      toolCalls: entry.toolCalls || [],
+      usage: entry.usage,
+      stopReason: entry.stopReason || 'end_turn',
+      model: entry.model || 'replay',
+      replayed: true,
+    };
+  }
+
+  const key = cacheKey(request);
+
+  if (AI_REPLAY_STRICT || !innerModel) {
+    throw new Error(
+      `Replay cache miss for request ${key}. ` +
+        'Record it first with AI_MODEL="record/<provider>/<model>"' +
+        (innerModel ? ' or set AI_REPLAY_STRICT=false' : '')
+    );
+  }
+
+  console.error(`[AI] Replay cache miss for ${key}, falling back to ${innerModel}`);
+  return await callRecord(request, innerModel, options);
+}
+
+// Sent after a truncated response to ask for the rest
+const CONTINUE_PROMPT =
+  'Continue exactly where your previous response stopped. Do not repeat any earlier text and do not add commentary.';
+
+/**
+ * Build the provider-neutral conversation for a request
+ * A continuation replays the truncated response as the assistant turn and asks for the rest.
+ */
+function buildTurns({ prompt, messages, continuation }) {
+  const turns = messages ? [...messages] : [{ role: 'user', content: prompt }];
+
+  if (continuation) {
+    turns.push({ role: 'assistant', content: continuation });
+    turns.push({ role: 'user', content: CONTINUE_PROMPT });
+  }
+
+  return turns;
+}
+
+/**
+ * Append a block to the previous message when it has the same role, since
+ * Bedrock and Anthropic expect consecutive tool results in a single user turn
+ */
+function pushMerged(messages, role, block, canMerge) {
+  const last = messages[messages.length - 1];
+
+  if (last?.role === role && Array.isArray(last.content) && last.content.every(canMerge)) {
+    last.content.push(block);
+  } else {
+    messages.push({ role, content: [block] });
+  }
+}
+
+function toBedrockMessages(turns) {
+  const messages = [];
+
+  for (const turn of turns) {
+    if (turn.role === 'tool') {
+      const block = {
+        toolResult: {
+          toolUseId: turn.toolCallId,
+          content: [{ text: turn.content }],
+          status: turn.isError ? 'error' : 'success',
+        },
+      };
+      pushMerged(messages, 'user', block, (existing) => existing.toolResult);
+      continue;
+    }
+
+    const content = turn.content ? [{ text: turn.content }] : [];
+    for (const call of turn.toolCalls || []) {
+      content.push({ toolUse: { toolUseId: call.id, name: call.name, input: call.input } });
+    }
+    messages.push({ role: turn.role, content });
+  }
+
+  return messages;
+}
+
+function toAnthropicMessages(turns) {
+  const messages = [];
+
+  for (const turn of turns) {
+    if (turn.role === 'tool') {
+      const block = {
+        type: 'tool_result',
+        tool_use_id: turn.toolCallId,
+        content: turn.content,
+        is_error: turn.isError || undefined,
+      };
+      pushMerged(messages, 'user', block, (existing) => existing.type === 'tool_result');
+      continue;
+    }
+
+    if (!turn.toolCalls?.length) {
+      messages.push({ role: turn.role, content: turn.content });
+      continue;
+    }
+
+    const content = turn.content ? [{ type: 'text', text: turn.content }] : [];
+    for (const call of turn.toolCalls) {
+      content.push({ type: 'tool_use', id: call.id, name: call.name, input: call.input });
+    }
+    messages.push({ role: turn.role, content });
+  }
+
+  return messages;
+}
+
+function toOpenAIMessages(systemPrompt, turns) {
+  const messages = [];
+
+  if (systemPrompt) {
+    messages.push({ role: 'system', content: systemPrompt });
+  }
+
+  for (const turn of turns) {
+    if (turn.role === 'tool') {
+      messages.push({ role: 'tool', tool_call_id: turn.toolCallId, content: turn.content });
+    } else if (turn.toolCalls?.length) {
+      messages.push({
+        role: 'assistant',
+        content: turn.content || null,
+        tool_calls: turn.toolCalls.map((call) => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.input) },
+        })),
+      });
+    } else {
+      messages.push({ role: turn.role, content: turn.content });
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * Parse OpenAI tool call arguments, keeping the raw string if the model sent invalid JSON
+ */
+function parseToolArguments(args) {
+  try {
+    return JSON.parse(args || '{}');
+  } catch {
+    return { _raw: args };
+  }
+}
+
+/**
+ * Map provider stop/finish reasons onto one vocabulary:
+ * end_turn | max_tokens | stop_sequence | tool_use | content_filter
+ */
+function normalizeStopReason(reason) {
+  switch (reason) {
+    case 'stop':
+    case 'end_turn':
+    case undefined:
+    case null:
+      return 'end_turn';
+
+    case 'length':
+    case 'max_tokens':
+      return 'max_tokens';
+
+    case 'tool_calls':
+    case 'function_call':
+    case 'tool_use':
+      return 'tool_use';
+
+    case 'content_filter':
+    case 'content_filtered':
+    case 'guardrail_intervened':
+      return 'content_filter';
+
+    default:
+      return reason;
+  }
+}
+
+function logResponse(text, stopReason, streamed, toolCalls = []) {
+  if (streamed) process.stderr.write('\n');
+  console.error(`[AI] Response length: ${text.length} chars (stop reason: ${stopReason})`);
+
+  for (const call of toolCalls) {
+    console.error(`[AI] Tool call: ${call.name}(${JSON.stringify(call.input).substring(0, 200)})`);
+  }
+}
+
 /**
  * Call AWS Bedrock using Converse API
  */
-async function callBedrock({ prompt, systemPrompt, maxTokens, temperature, modelId }) {
-  const client = new BedrockRuntimeClient({ region: AWS_REGION });
+async function callBedrock({ systemPrompt, maxTokens, temperature, modelId, tools, jsonSchema, onText, ...request }) {
+  // Retries are handled by withRetry, not the SDK
+  const client = new BedrockRuntimeClient({ region: AWS_REGION, maxAttempts: 1 });
 
-  const messages = [
-    {
-      role: 'user',
-      content: [{ text: prompt }],
-    },
-  ];
+  const messages = toBedrockMessages(buildTurns(request));
 
   const systemMessages = systemPrompt ? [{ text: systemPrompt }] : undefined;
 
-  const command = new ConverseCommand({
+  const input = {
     modelId: modelId,
     messages: messages,
     system: systemMessages,
@@ -86,18 +555,91 @@ async function callBedrock({ prompt, systemPrompt, maxTokens, temperature, model
       maxTokens: maxTokens,
       temperature: temperature,
     },
-  });
+    // Structured output: force a single tool call whose input is the JSON document
+    toolConfig: jsonSchema
+      ? {
+          tools: [
+            {
+              toolSpec: {
+                name: jsonSchema.name,
+                description: 'Return the response as structured JSON',
+                inputSchema: { json: jsonSchema.schema },
+              },
+            },
+          ],
+          toolChoice: { any: {} },
+        }
+      : tools
+        ? {
+            tools: tools.map((tool) => ({
+              toolSpec: { name: tool.name, description: tool.description, inputSchema: { json: tool.inputSchema } },
+            })),
+          }
+        : undefined,
+  };
 
   try {
-    const response = await client.send(command);
+    if (onText && !jsonSchema && !tools) {
+      return await withRetry('Bedrock', async ({ signal }) => {
+        const response = await client.send(new ConverseStreamCommand(input), { abortSignal: signal });
+        let text = '';
+        let stopReason;
+        let usage;
+
+        for await (const event of response.stream) {
+          const chunk = event.contentBlockDelta?.delta?.text;
+          if (chunk) {
+            text += chunk;
+            onText(chunk);
+          }
+          if (event.messageStop) stopReason = normalizeStopReason(event.messageStop.stopReason);
+          if (event.metadata?.usage) usage = event.metadata.usage;
+        }
+
+        logResponse(text, stopReason, true);
+        return {
+          text,
+          toolCalls: [],
+          usage: { inputTokens: usage?.inputTokens, outputTokens: usage?.outputTokens },
+          stopReason,
+        };
+      });
+    }
+
+    const response = await withRetry('Bedrock', ({ signal }) =>
+      client.send(new ConverseCommand(input), { abortSignal: signal })
+    );
 
     if (!response.output || !response.output.message) {
       throw new Error('Invalid response from Bedrock');
     }
 
-    const text = response.output.message.content[0].text;
-    console.error(`[AI] Response length: ${text.length} chars`);
-    return text;
+    const content = response.output.message.content;
+    const toolUses = content.filter((block) => block.toolUse).map((block) => block.toolUse);
+    const stopReason = normalizeStopReason(response.stopReason);
+
+    // Structured output arrives as the forced tool call's input
+    const text =
+      jsonSchema && toolUses.length > 0
+        ? JSON.stringify(toolUses[0].input)
+        : content
+            .filter((block) => block.text !== undefined)
+            .map((block) => block.text)
+            .join('');
+    const toolCalls = jsonSchema
+      ? []
+      : toolUses.map((toolUse) => ({ id: toolUse.toolUseId, name: toolUse.name, input: toolUse.input }));
+
+    logResponse(text, stopReason, false, toolCalls);
+    return {
+      text,
+      toolCalls,
+      usage: {
+        inputTokens: response.usage?.inputTokens,
+        outputTokens: response.usage?.outputTokens,
+      },
+      stopReason,
+    };
   } catch (error) {
     console.error('[AI] Bedrock error:', error);
     throw new Error(`Bedrock API call failed: ${error.message}`);
@@ -105,153 +647,369 @@ async function callBedrock({ prompt, systemPrompt, maxTokens, temperature, model
 }
 
 /**
- * Call OpenAI API
+ * Shared chat-completions call for OpenAI and Azure OpenAI
  */
-async function callOpenAI({ prompt, systemPrompt, maxTokens, temperature, modelId }) {
-  if (!AI_API_KEY) {
-    throw new Error('AI_API_KEY environment variable is required for OpenAI');
-  }
+async function callOpenAIChat(
+  openai,
+  label,
+  { systemPrompt, maxTokens, temperature, model, tools, jsonSchema, onText, streamUsage, ...request }
+) {
+  const params = {
+    model: model,
+    messages: toOpenAIMessages(systemPrompt, buildTurns(request)),
+    max_tokens: maxTokens,
+    temperature: temperature,
+    response_format: jsonSchema ? { type: 'json_object' } : undefined,
+    tools: tools?.map((tool) => ({
+      type: 'function',
+      function: { name: tool.name, description: tool.description, parameters: tool.inputSchema },
+    })),
+  };
 
-  const openai = new OpenAI({ apiKey: AI_API_KEY });
+  try {
+    if (onText && !jsonSchema && !tools) {
+      return await withRetry(label, async ({ signal }) => {
+        const stream = await openai.chat.completions.create(
+          {
+            ...params,
+            stream: true,
+            stream_options: streamUsage ? { include_usage: true } : undefined,
+          },
+          { signal }
+        );
+        let text = '';
+        let stopReason;
+        let usage;
+
+        for await (const chunk of stream) {
+          const choice = chunk.choices?.[0];
+          if (choice?.delta?.content) {
+            text += choice.delta.content;
+            onText(choice.delta.content);
+          }
+          if (choice?.finish_reason) stopReason = normalizeStopReason(choice.finish_reason);
+          if (chunk.usage) usage = chunk.usage;
+        }
 
-  const messages = [];
+        logResponse(text, stopReason, true);
+        return {
+          text,
+          toolCalls: [],
+          usage: { inputTokens: usage?.prompt_tokens, outputTokens: usage?.completion_tokens },
+          stopReason,
+        };
+      });
+    }
 
-  if (systemPrompt) {
-    messages.push({ role: 'system', content: systemPrompt });
+    const response = await withRetry(label, ({ signal }) => openai.chat.completions.create(params, { signal }));
+
+    const { message } = response.choices[0];
+    const text = message.content || '';
+    const stopReason = normalizeStopReason(response.choices[0].finish_reason);
+    const toolCalls = (message.tool_calls || []).map((call) => ({
+      id: call.id,
+      name: call.function.name,
+      input: parseToolArguments(call.function.arguments),
+    }));
+
+    logResponse(text, stopReason, false, toolCalls);
+    return {
+      text,
+      toolCalls,
+      usage: {
+        inputTokens: response.usage?.prompt_tokens,
+        outputTokens: response.usage?.completion_tokens,
+      },
+      stopReason,
+    };
+  } catch (error) {
+    console.error(`[AI] ${label} error:`, error);
+    throw new Error(`${label} API call failed: ${error.message}`);
   }
+}
 
-  messages.push({ role: 'user', content: prompt });
+/**
+ * Call OpenAI API
+ */
+async function callOpenAI({ modelId, ...request }) {
+  const apiKey = apiKeyFor('openai');
+  if (!apiKey) {
+    throw new Error('AI_API_KEY environment variable is required for OpenAI');
+  }
 
-  try {
-    const response = await openai.chat.completions.create({
-      model: modelId || 'gpt-4-turbo',
-      messages: messages,
-      max_tokens: maxTokens,
-      temperature: temperature,
-    });
+  const openai = new OpenAI({ apiKey, maxRetries: 0 });
 
-    const text = response.choices[0].message.content;
-    console.error(`[AI] Response length: ${text.length} chars`);
-    return text;
-  } catch (error) {
-    console.error('[AI] OpenAI error:', error);
-    throw new Error(`OpenAI API call failed: ${error.message}`);
-  }
+  return await callOpenAIChat(openai, 'OpenAI', {
+    ...request,
+    model: modelId || 'gpt-4-turbo',
+    streamUsage: true,
+  });
 }
 
 /**
  * Call Anthropic Claude API directly
  */
-async function callAnthropic({ prompt, systemPrompt, maxTokens, temperature, modelId }) {
-  if (!AI_API_KEY) {
+async function callAnthropic({ systemPrompt, maxTokens, temperature, modelId, tools, jsonSchema, onText, ...request }) {
+  const apiKey = apiKeyFor('anthropic');
+  if (!apiKey) {
     throw new Error('AI_API_KEY environment variable is required for Anthropic');
   }
 
-  const anthropic = new Anthropic({ apiKey: AI_API_KEY });
-  const maxRetries = 3;
-  let lastError;
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const message = await anthropic.messages.create({
-        model: modelId || 'claude-3-5-sonnet-20241022',
-        max_tokens: maxTokens,
-        temperature: temperature,
-        system: systemPrompt || undefined,
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
-      });
+  const anthropic = new Anthropic({ apiKey, maxRetries: 0 });
+
+  const params = {
+    model: modelId || 'claude-3-5-sonnet-20241022',
+    max_tokens: maxTokens,
+    temperature: temperature,
+    system: systemPrompt || undefined,
+    messages: toAnthropicMessages(buildTurns(request)),
+    tools: tools?.map((tool) => ({ name: tool.name, description: tool.description, input_schema: tool.inputSchema })),
+    // Structured output: force a tool call whose input is the JSON document
+    ...(jsonSchema && {
+      tools: [
+        {
+          name: jsonSchema.name,
+          description: 'Return the response as structured JSON',
+          input_schema: jsonSchema.schema,
+        },
+      ],
+      tool_choice: { type: 'tool', name: jsonSchema.name },
+    }),
+  };
 
-      const text = message.content[0].text;
-      console.error(`[AI] Response length: ${text.length} chars`);
-      return text;
-    } catch (error) {
-      lastError = error;
-
-      // Check if it's a rate limit error
-      if (error.status === 429) {
-        const retryAfter = error.headers?.['retry-after'] || (attempt * 20);
-        console.error(`[AI] Rate limit hit (attempt ${attempt}/${maxRetries}). Waiting ${retryAfter}s...`);
-
-        if (attempt < maxRetries) {
-          await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
-          continue;
+  try {
+    if (onText && !jsonSchema && !tools) {
+      return await withRetry('Anthropic', async ({ signal }) => {
+        const stream = await anthropic.messages.create({ ...params, stream: true }, { signal });
+        let text = '';
+        let stopReason;
+        const usage = {};
+
+        for await (const event of stream) {
+          if (event.type === 'message_start') {
+            usage.inputTokens = event.message.usage?.input_tokens;
+          } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+            text += event.delta.text;
+            onText(event.delta.text);
+          } else if (event.type === 'message_delta') {
+            stopReason = normalizeStopReason(event.delta.stop_reason);
+            usage.outputTokens = event.usage?.output_tokens;
+          }
         }
-      }
 
-      console.error('[AI] Anthropic error:', error);
-      throw new Error(`Anthropic API call failed: ${error.message}`);
+        logResponse(text, stopReason, true);
+        return { text, toolCalls: [], usage, stopReason };
+      });
     }
-  }
 
-  throw new Error(`Anthropic API call failed after ${maxRetries} retries: ${lastError.message}`);
+    const message = await withRetry('Anthropic', ({ signal }) => anthropic.messages.create(params, { signal }));
+
+    const toolUses = message.content.filter((block) => block.type === 'tool_use');
+    const stopReason = normalizeStopReason(message.stop_reason);
+
+    // Structured output arrives as the forced tool call's input
+    const text =
+      jsonSchema && toolUses.length > 0
+        ? JSON.stringify(toolUses[0].input)
+        : message.content
+            .filter((block) => block.type === 'text')
+            .map((block) => block.text)
+            .join('');
+    const toolCalls = jsonSchema ? [] : toolUses.map((block) => ({ id: block.id, name: block.name, input: block.input }));
+
+    logResponse(text, stopReason, false, toolCalls);
+    return {
+      text,
+      toolCalls,
+      usage: {
+        inputTokens: message.usage?.input_tokens,
+        outputTokens: message.usage?.output_tokens,
+      },
+      stopReason,
+    };
+  } catch (error) {
+    console.error('[AI] Anthropic error:', error);
+    throw new Error(`Anthropic API call failed: ${error.message}`);
+  }
 }
 
 /**
  * Call Azure OpenAI Service
  */
-async function callAzureOpenAI({ prompt, systemPrompt, maxTokens, temperature, modelId }) {
-  if (!AI_API_KEY || !AI_ENDPOINT) {
+async function callAzureOpenAI({ modelId, ...request }) {
+  const apiKey = apiKeyFor('azure');
+  if (!apiKey || !AI_ENDPOINT) {
     throw new Error('AI_API_KEY and AI_ENDPOINT required for Azure OpenAI');
   }
 
   const openai = new OpenAI({
-    apiKey: AI_API_KEY,
+    apiKey,
     baseURL: AI_ENDPOINT,
-    defaultQuery: { 'api-version': '2024-02-01' },
+    defaultQuery: { 'api-version': AI_API_VERSION },
+    defaultHeaders: customHeaders(),
+    maxRetries: 0,
   });
 
-  const messages = [];
+  // Older api-versions (including the 2024-02-01 default) do not support stream_options
+  return await callOpenAIChat(openai, 'Azure OpenAI', { ...request, model: modelId, streamUsage: false });
+}
 
-  if (systemPrompt) {
-    messages.push({ role: 'system', content: systemPrompt });
+/**
+ * Call a self-hosted OpenAI-compatible server (Ollama, llama.cpp, vLLM, LM Studio, ...)
+ * AI_ENDPOINT is the base URL including the version prefix, e.g. http://localhost:11434/v1
+ */
+async function callOpenAICompatible({ modelId, ...request }) {
+  if (!AI_ENDPOINT) {
+    throw new Error('AI_ENDPOINT is required for openai-compatible (e.g. http://localhost:11434/v1)');
   }
 
-  messages.push({ role: 'user', content: prompt });
+  if (!modelId) {
+    throw new Error('openai-compatible requires a model, e.g. "openai-compatible/llama3.1:8b"');
+  }
 
-  try {
-    const response = await openai.chat.completions.create({
-      model: modelId,
-      messages: messages,
-      max_tokens: maxTokens,
-      temperature: temperature,
-    });
+  // The API key is optional; the SDK insists on one, so without a key its
+  // Authorization header is removed (a null header is not sent)
+  const apiKey = apiKeyFor('openai-compatible');
+  const openai = new OpenAI({
+    apiKey: apiKey || 'unused',
+    baseURL: AI_ENDPOINT,
+    defaultHeaders: { ...(apiKey ? {} : { Authorization: null }), ...customHeaders() },
+    maxRetries: 0,
+  });
 
-    const text = response.choices[0].message.content;
-    console.error(`[AI] Response length: ${text.length} chars`);
-    return text;
-  } catch (error) {
-    console.error('[AI] Azure OpenAI error:', error);
-    throw new Error(`Azure OpenAI API call failed: ${error.message}`);
-  }
+  // stream_options is not supported by every compatible server
+  return await callOpenAIChat(openai, 'OpenAI-compatible', { ...request, model: modelId, streamUsage: false });
 }
 
 /**
  * Extract JSON from AI response
- * Handles responses that might have markdown code blocks
+ * Handles responses that might have markdown code blocks or surrounding prose
  */
 export function extractJSON(text) {
-  // Try to extract JSON from code blocks first
+  const candidates = [];
+
+  // Try JSON from code blocks first
   const codeBlockMatch = text.match(/```(?:json)?\s*\n([\s\S]*?)\n```/);
   if (codeBlockMatch) {
-    return JSON.parse(codeBlockMatch[1]);
+    candidates.push(codeBlockMatch[1]);
   }
 
-  // Try to find JSON object directly
+  // Then the outermost {...} span
   const jsonMatch = text.match(/\{[\s\S]*\}/);
   if (jsonMatch) {
-    return JSON.parse(jsonMatch[0]);
+    candidates.push(jsonMatch[0]);
+  }
+
+  // Finally the whole text
+  candidates.push(text);
+
+  let lastError;
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw new Error(`Response does not contain valid JSON: ${lastError.message}`);
+}
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+/**
+ * Validate data against a JSON Schema
+ * @returns {string[]} - Human-readable errors, empty when valid
+ */
+export function validateSchema(schema, data) {
+  const validate = ajv.compile(schema);
+  if (validate(data)) {
+    return [];
+  }
+
+  return validate.errors.map((error) => {
+    const location = error.instancePath || '(root)';
+    const detail = error.params?.additionalProperty ? ` '${error.params.additionalProperty}'` : '';
+    return `${location} ${error.message}${detail}`;
+  });
+}
+
+/**
+ * Call AI and return a JSON document validated against a schema
+ *
+ * Uses the provider's native JSON mode or tool-calling where available
+ * (disable with AI_NATIVE_JSON=false). When the response does not parse or
+ * fails validation, the model is shown its response and the errors and asked
+ * for a corrected one, up to maxAttempts times.
+ *
+ * @param {Object} options - Same as callAI, plus:
+ * @param {Object} options.schema - JSON Schema the response must satisfy
+ * @param {string} [options.schemaName='response'] - Name for the schema (tool name for tool-calling providers)
+ * @param {number} [options.maxAttempts=3] - Total attempts including repairs
+ * @param {(data: Object) => string[]} [options.validate] - Extra checks the schema cannot express;
+ *   returned errors are sent back for repair like schema errors
+ * @returns {Promise<Object>} - Parsed, schema-valid response
+ */
+export async function callAIStructured({
+  prompt,
+  systemPrompt = '',
+  maxTokens = 4096,
+  temperature = 0.7,
+  schema,
+  schemaName = 'response',
+  maxAttempts = 3,
+  validate,
+}) {
+  let currentPrompt = prompt;
+  let errors = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const response = await callAI({
+      prompt: currentPrompt,
+      systemPrompt,
+      maxTokens,
+      temperature,
+      jsonSchema: { name: schemaName, schema },
+    });
+
+    try {
+      const data = extractJSON(response);
+      errors = validateSchema(schema, data);
+
+      if (errors.length === 0 && validate) {
+        errors = validate(data);
+      }
+
+      if (errors.length === 0) {
+        return data;
+      }
+    } catch (error) {
+      errors = [error.message];
+    }
+
+    console.error(`[AI] Structured response rejected (attempt ${attempt}/${maxAttempts}):`);
+    errors.slice(0, 10).forEach((error) => console.error(`[AI]   - ${error}`));
+
+    currentPrompt = `${prompt}
+
+---
+
+Your previous response was:
+${response.substring(0, 20000)}
+
+It was rejected because it is not valid JSON matching the required schema and constraints:
+${errors.map((error) => `- ${error}`).join('\n')}
+
+Return the complete corrected JSON object only.`;
   }
 
-  // If no JSON found, try parsing the whole text
-  return JSON.parse(text);
+  throw new Error(`AI response failed schema validation after ${maxAttempts} attempts: ${errors.join('; ')}`);
 }
 
 export default {
   callAI,
+  callAIDetailed,
+  callAIStructured,
   extractJSON,
+  validateSchema,
 };
@@ -0,0 +1,306 @@
+/**
+ * ai-client.test.js
+ * The openai-compatible provider against a local stub of /v1/chat/completions,
+ * and the record/ and replay/ providers on top of it.
+ *
+ * Run: npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+
+const scriptsDir = path.dirname(fileURLToPath(import.meta.url));
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-client-test-'));
+const usageFile = path.join(tmpDir, 'usage.json');
+const cacheDir = path.join(tmpDir, 'cache');
+const requests = [];
+let reply = 'Hello from the stub';
+let server;
+
+function stubResponse(model) {
+  return {
+    id: 'chatcmpl-stub',
+    object: 'chat.completion',
+    created: 0,
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content: reply }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 12, completion_tokens: 5, total_tokens: 17 },
+  };
+}
+
+/**
+ * Import a fresh ai-client.js with the given environment; its settings are read at load
+ */
+async function loadClient(env) {
+  Object.assign(process.env, {
+    AI_USAGE_FILE: usageFile,
+    AI_CACHE_DIR: cacheDir,
+    AI_MAX_RETRIES: '0',
+    ...env,
+  });
+
+  try {
+    return await import(`./ai-client.js?${encodeURIComponent(JSON.stringify(env))}`);
+  } finally {
+    for (const name of Object.keys(env)) delete process.env[name];
+  }
+}
+
+function endpoint() {
+  return `http://127.0.0.1:${server.address().port}/v1`;
+}
+
+function cachedKeys() {
+  return fs.existsSync(cacheDir) ? fs.readdirSync(cacheDir).map((file) => path.basename(file, '.json')) : [];
+}
+
+function resetStub() {
+  requests.length = 0;
+  reply = 'Hello from the stub';
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      const json = JSON.parse(body);
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: json });
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(stubResponse(json.model)));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('openai-compatible posts to the endpoint and parses the response', async () => {
+  requests.length = 0;
+  fs.rmSync(usageFile, { force: true });
+
+  const { callAIDetailed } = await loadClient({
+    AI_MODEL: 'openai-compatible/llama3.1:8b',
+    AI_ENDPOINT: `http://127.0.0.1:${server.address().port}/v1`,
+    AI_API_KEY: 'secret-key',
+    AI_HEADERS: JSON.stringify({ 'X-Gateway-Tenant': 'sdlc' }),
+  });
+
+  const result = await callAIDetailed({ prompt: 'Say hello', systemPrompt: 'Be brief', maxTokens: 64 });
+
+  assert.equal(requests.length, 1);
+  const [request] = requests;
+  assert.equal(request.method, 'POST');
+  assert.equal(request.url, '/v1/chat/completions');
+  assert.equal(request.headers['x-gateway-tenant'], 'sdlc');
+  assert.equal(request.headers.authorization, 'Bearer secret-key');
+  assert.equal(request.body.model, 'llama3.1:8b');
+  assert.deepEqual(
+    request.body.messages.map((message) => message.role),
+    ['system', 'user']
+  );
+
+  assert.equal(result.text, 'Hello from the stub');
+  assert.equal(result.stopReason, 'end_turn');
+  assert.equal(result.model, 'openai-compatible/llama3.1:8b');
+
+  const ledger = JSON.parse(fs.readFileSync(usageFile, 'utf-8'));
+  assert.equal(ledger.calls.length, 1);
+  assert.equal(ledger.calls[0].inputTokens, 12);
+  assert.equal(ledger.calls[0].outputTokens, 5);
+});
+
+test('openai-compatible sends no Authorization header without an API key', async () => {
+  requests.length = 0;
+
+  const { callAI } = await loadClient({
+    AI_MODEL: 'openai-compatible/llama3.1:8b',
+    AI_ENDPOINT: `http://127.0.0.1:${server.address().port}/v1`,
+  });
+
+  assert.equal(await callAI({ prompt: 'Say hello' }), 'Hello from the stub');
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].headers.authorization, undefined);
+});
+
+/**
+ * Run ai-generate-plan.js in a fresh directory and read the plan it writes
+ */
+async function runPlan(env) {
+  const cwd = fs.mkdtempSync(path.join(tmpDir, 'plan-'));
+  await promisify(execFile)(process.execPath, [path.join(scriptsDir, 'ai-generate-plan.js')], {
+    cwd,
+    timeout: 30000,
+    env: {
+      PATH: process.env.PATH,
+      SCAFFOLD_PROMPT: 'A REST API that stores items in DynamoDB',
+      PROJECT_NAME: 'demo',
+      AI_CACHE_DIR: cacheDir,
+      AI_USAGE_FILE: path.join(cwd, 'usage.json'),
+      AI_MAX_RETRIES: '0',
+      ...env,
+    },
+  });
+  return JSON.parse(fs.readFileSync(path.join(cwd, 'plan.json'), 'utf-8'));
+}
+
+test('record stores the live response and replay serves it without calling the provider', async () => {
+  resetStub();
+  const request = { prompt: 'Say hello', systemPrompt: 'Be brief', maxTokens: 64 };
+
+  const recorder = await loadClient({ AI_MODEL: 'record/openai-compatible/llama3.1:8b', AI_ENDPOINT: endpoint() });
+  const recorded = await recorder.callAIDetailed(request);
+
+  assert.equal(requests.length, 1);
+  assert.equal(recorded.text, 'Hello from the stub');
+  assert.equal(recorded.model, 'openai-compatible/llama3.1:8b');
+
+  const keys = cachedKeys();
+  assert.equal(keys.length, 1);
+  const entry = JSON.parse(fs.readFileSync(path.join(cacheDir, `${keys[0]}.json`), 'utf-8'));
+  assert.equal(entry.key, keys[0]);
+  assert.equal(entry.model, 'openai-compatible/llama3.1:8b');
+  assert.equal(entry.response, 'Hello from the stub');
+
+  // The provider would now answer differently, so any live call would show
+  reply = 'A live answer';
+
+  for (const model of ['replay', 'replay/openai-compatible/llama3.1:8b']) {
+    const { callAIDetailed } = await loadClient({ AI_MODEL: model, AI_ENDPOINT: endpoint() });
+    const replayed = await callAIDetailed(request);
+
+    assert.equal(replayed.text, 'Hello from the stub', model);
+    assert.equal(replayed.stopReason, 'end_turn', model);
+    assert.equal(replayed.model, 'openai-compatible/llama3.1:8b', model);
+  }
+
+  assert.equal(requests.length, 1);
+  assert.deepEqual(cachedKeys(), keys);
+});
+
+test('recording the same request again keeps the same cache key', async () => {
+  resetStub();
+  const request = { prompt: 'Say hello', systemPrompt: 'Be brief', maxTokens: 64, temperature: 0.2 };
+
+  const first = await loadClient({ AI_MODEL: 'record/openai-compatible/llama3.1:8b', AI_ENDPOINT: endpoint() });
+  await first.callAI(request);
+  const [key] = cachedKeys();
+
+  // Same request with its options in a different order, from a fresh module instance
+  const second = await loadClient({ AI_MODEL: 'record/openai-compatible/llama3.1:8b', AI_ENDPOINT: endpoint() });
+  await second.callAI({ temperature: 0.2, maxTokens: 64, systemPrompt: 'Be brief', prompt: 'Say hello' });
+
+  assert.deepEqual(cachedKeys(), [key]);
+
+  await first.callAI({ ...request, prompt: 'Say goodbye' });
+  assert.equal(cachedKeys().length, 2);
+});
+
+test('replay fails on a miss in strict mode', async () => {
+  resetStub();
+
+  for (const model of ['replay', 'replay/openai-compatible/llama3.1:8b']) {
+    const { callAI } = await loadClient({ AI_MODEL: model, AI_ENDPOINT: endpoint() });
+    await assert.rejects(callAI({ prompt: 'Never recorded' }), /Replay cache miss for request [0-9a-f]{64}/);
+  }
+
+  assert.equal(requests.length, 0);
+  assert.deepEqual(cachedKeys(), []);
+});
+
+test('replay falls back to the live provider and records it with AI_REPLAY_STRICT=false', async () => {
+  resetStub();
+
+  const { callAIDetailed } = await loadClient({
+    AI_MODEL: 'replay/openai-compatible/llama3.1:8b',
+    AI_ENDPOINT: endpoint(),
+    AI_REPLAY_STRICT: 'false',
+  });
+
+  const live = await callAIDetailed({ prompt: 'Not recorded yet' });
+  assert.equal(live.text, 'Hello from the stub');
+  assert.equal(requests.length, 1);
+  assert.equal(cachedKeys().length, 1);
+
+  const replayed = await callAIDetailed({ prompt: 'Not recorded yet' });
+  assert.equal(replayed.text, 'Hello from the stub');
+  assert.equal(requests.length, 1);
+});
+
+test('ai-generate-plan.js runs end to end from a recorded response', async () => {
+  resetStub();
+  reply = JSON.stringify({
+    files: [
+      { path: 'src/handler.js', prompt: 'Lambda handler', dependsOn: ['src/db.js'], exports: ['handler'] },
+      { path: 'src/db.js', prompt: 'DynamoDB helpers', exports: ['getItem'] },
+    ],
+    dependencies: { name: 'demo', version: '1.0.0', dependencies: {} },
+  });
+
+  const recorded = await runPlan({ AI_MODEL: 'record/openai-compatible/llama3.1:8b', AI_ENDPOINT: endpoint() });
+  assert.equal(requests.length, 1);
+
+  // No endpoint at all: the run can only succeed from the recording
+  const replayed = await runPlan({ AI_MODEL: 'replay' });
+  assert.equal(requests.length, 1);
+  assert.deepEqual(replayed, recorded);
+
+  assert.deepEqual(
+    replayed.files.map((file) => [file.path, file.level]),
+    [
+      ['src/db.js', 0],
+      ['src/handler.js', 1],
+    ]
+  );
+});
+
+test('ai-generate-plan.js orders files by the dependencies a template adds', async () => {
+  resetStub();
+  // The model leaves out the handler's dependency that the template declares
+  reply = JSON.stringify({
+    files: [
+      { path: 'src/handler.js', prompt: 'Item handlers', dependsOn: [], exports: [] },
+      { path: 'src/db.js', prompt: 'DynamoDB helpers', exports: ['getItem'] },
+    ],
+    dependencies: null,
+  });
+
+  const templatesDir = path.join(tmpDir, 'templates');
+  fs.mkdirSync(templatesDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(templatesDir, 'demo-stack.json'),
+    JSON.stringify({
+      name: 'Demo stack',
+      files: [{ path: 'src/handler.js', prompt: 'Export handler', dependsOn: ['src/db.js'], exports: ['handler'] }],
+    })
+  );
+
+  const plan = await runPlan({
+    AI_MODEL: 'openai-compatible/llama3.1:8b',
+    AI_ENDPOINT: endpoint(),
+    SCAFFOLD_TEMPLATE: 'demo-stack',
+    SCAFFOLD_TEMPLATES_DIR: templatesDir,
+  });
+
+  assert.equal(plan.template, 'demo-stack');
+  assert.deepEqual(
+    plan.files.map((file) => [file.path, file.level, file.dependsOn]),
+    [
+      ['src/db.js', 0, []],
+      ['src/handler.js', 1, ['src/db.js']],
+    ]
+  );
+  assert.deepEqual(plan.files[1].exports, ['handler']);
+});
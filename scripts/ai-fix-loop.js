@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+/**
+ * ai-fix-loop.js
+ * Fixes a failed deployment or test run in bounded iterations
+ *
+ * Each attempt generates a fix with ai-generate-fix.js, applies it to the
+ * working tree, redeploys and reruns the sanity tests. The next attempt sees
+ * the new failure and every earlier attempt (patch and outcome), so it can
+ * build on a partial fix or try something else. The loop stops when the
+ * deployment and tests pass, after MAX_FIX_ATTEMPTS, or when an applied fix
+ * leaves the same failure as before (the AI is going in circles).
+ *
+ * Failures are compared by signature: for tests the failed steps and reasons,
+ * for deployments the errors log-analyzer.js finds in the log, with numbers
+ * and ids masked.
+ *
+ * Run from the project root. Patches are applied but not committed; the
+ * caller commits the files listed in the history.
+ *
+ * Environment:
+ *   FAILURE_STAGE - Stage that failed first: "deploy" or "test"
+ *   MAX_FIX_ATTEMPTS - Fix/redeploy/retest iterations (default: 3)
+ *   IAC_TYPE, STACK_NAME - Passed to run-deployment.sh and extract-outputs.sh
+ *   DEPLOY_TIMEOUT_MINUTES - Limit for one redeployment (default: 15)
+ *   TEST_TIMEOUT_MINUTES - Limit for one test run (default: 10)
+ *   FIX_HISTORY_FILE - Attempt history (default: fix-history.json)
+ *   TEST_RESULTS_FILE - Structured test results (default: logs/test-results.json)
+ *
+ * Inputs:
+ *   logs/ - Logs of the original failure (deployment.log, test-results.log, ...)
+ *   sanity-tests.json - Test plan of the failed run; required when FAILURE_STAGE is "test",
+ *                       generated with ai-generate-tests.js after a fixed deployment otherwise
+ *
+ * Output:
+ *   fix-history.json - {outcome, failureStage, attempts: [{attempt, stage, signature,
+ *                      summary, category, patch, applied, files, result, durationMs}]}
+ *                      outcome is fixed, repeated (same failure after a fix),
+ *                      exhausted (MAX_FIX_ATTEMPTS used), no-fix (AI gave no
+ *                      patch) or error (e.g. tests could not be generated)
+ *   logs/ - Logs of the latest deployment and test run (overwritten per attempt)
+ *   fix.patch - Patch of the latest attempt
+ *
+ * Exit Code:
+ *   0 - Fixed: deployment and sanity tests pass
+ *   1 - Not fixed
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { spawn, spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { analyzeLogs } from './log-analyzer.js';
+
+const FAILURE_STAGE = process.env.FAILURE_STAGE || 'deploy';
+const MAX_FIX_ATTEMPTS = Math.max(parseInt(process.env.MAX_FIX_ATTEMPTS || '3', 10) || 1, 1);
+const DEPLOY_TIMEOUT_MS = parseInt(process.env.DEPLOY_TIMEOUT_MINUTES || '15', 10) * 60000;
+const TEST_TIMEOUT_MS = parseInt(process.env.TEST_TIMEOUT_MINUTES || '10', 10) * 60000;
+const FIX_HISTORY_FILE = path.resolve(process.env.FIX_HISTORY_FILE || 'fix-history.json');
+const TEST_RESULTS_FILE = path.resolve(process.env.TEST_RESULTS_FILE || 'logs/test-results.json');
+
+const SCRIPTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const LOG_DIR = 'logs';
+const MAX_HISTORY_PATCH = 6000;
+const MAX_SIGNATURE_LINES = 10;
+
+const MISSING_TEST_PLAN =
+  'sanity-tests.json is missing: retesting a test failure needs the plan of the failed run (test-logs artifact)';
+
+/**
+ * Run a command, copying its output to the console and optionally a log file
+ * @param {Object} [options]
+ * @param {string} [options.logFile] - Receives stdout (and stderr with logStderr)
+ * @param {boolean} [options.logStderr=true]
+ * @returns {Promise<number>} - Exit code (1 when the command timed out or could not start)
+ */
+function run(command, args, { env = {}, logFile, logStderr = true, timeoutMs } = {}) {
+  return new Promise((resolve) => {
+    const log = logFile ? fs.createWriteStream(logFile) : null;
+    const child = spawn(command, args, {
+      env: { ...process.env, ...env },
+      stdio: ['ignore', 'pipe', 'pipe'],
+      timeout: timeoutMs,
+    });
+
+    child.stdout.on('data', (chunk) => {
+      process.stderr.write(chunk);
+      log?.write(chunk);
+    });
+    child.stderr.on('data', (chunk) => {
+      process.stderr.write(chunk);
+      if (logStderr) log?.write(chunk);
+    });
+
+    // The log is read right after the command finishes
+    const finish = (code) => (log ? log.end(() => resolve(code)) : resolve(code));
+
+    child.on('error', (error) => {
+      console.error(`❌ Could not run ${command}: ${error.message}`);
+      finish(1);
+    });
+    child.on('close', (code, signal) => {
+      if (signal) {
+        const message = `❌ ${path.basename(command)} stopped (${signal}) after ${Math.round(timeoutMs / 60000)} min`;
+        console.error(message);
+        log?.write(`\n${message}\n`);
+      }
+      finish(code ?? 1);
+    });
+  });
+}
+
+function script(name) {
+  return path.join(SCRIPTS_DIR, name);
+}
+
+/**
+ * Mask the parts of an error that change between runs (ids, counts, times)
+ */
+function normalize(line) {
+  return line
+    .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<id>')
+    .replace(/\b[0-9a-f]{12,}\b/gi, '<id>')
+    .replace(/\d+/g, '#')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function hash(lines) {
+  return crypto.createHash('sha256').update(lines.join('\n')).digest('hex').substring(0, 12);
+}
+
+function testFailure() {
+  if (!fs.existsSync(TEST_RESULTS_FILE)) {
+    return {
+      stage: 'test',
+      signature: 'test:no-results',
+      summary: 'Sanity tests did not produce results',
+      category: 'unknown',
+    };
+  }
+
+  const report = JSON.parse(fs.readFileSync(TEST_RESULTS_FILE, 'utf-8'));
+  const failed = report.results.filter((result) => result.status === 'failed');
+  const lines = failed.map((result) => `${result.suite} > ${result.step}: ${result.failure.reason}`);
+
+  const logFile = path.join(LOG_DIR, 'test-results.log');
+  const { category } = analyzeLogs(
+    fs.existsSync(logFile) ? [{ name: 'test-results.log', content: fs.readFileSync(logFile, 'utf-8') }] : []
+  );
+
+  return {
+    stage: 'test',
+    signature: `test:${hash(lines.map(normalize).sort())}`,
+    summary: `${failed.length} failed step(s): ${lines.slice(0, 3).join('; ')}${lines.length > 3 ? '; ...' : ''}`,
+    category,
+  };
+}
+
+function deployFailure() {
+  const logFile = path.join(LOG_DIR, 'deployment.log');
+  const log = fs.existsSync(logFile) ? fs.readFileSync(logFile, 'utf-8') : '';
+  const { category, root, errors } = analyzeLogs([{ name: 'deployment.log', content: log }]);
+
+  // Without recognizable errors, any line that mentions a failure
+  const lines = errors.length > 0
+    ? errors.slice(0, MAX_SIGNATURE_LINES).map((error) => error.message)
+    : log
+      .split('\n')
+      .map((line) => line.replace(/\x1b\[[0-9;]*m/g, '').trim())
+      .filter((line) => /error|failed|exception|denied|invalid/i.test(line))
+      .slice(-MAX_SIGNATURE_LINES);
+
+  return {
+    stage: 'deploy',
+    signature: `deploy:${hash(lines.map(normalize))}`,
+    summary: root?.message || lines[lines.length - 1] || 'Deployment failed (no error lines in deployment.log)',
+    category,
+  };
+}
+
+function describeFailure(stage) {
+  return stage === 'test' ? testFailure() : deployFailure();
+}
+
+/**
+ * Redeploy and rerun the sanity tests
+ * @returns {Promise<string|null>} - Stage that failed, null when both pass
+ */
+async function deployAndTest() {
+  // Stale logs would be read as the new failure
+  for (const file of ['deployment.log', 'test-results.log']) {
+    fs.rmSync(path.join(LOG_DIR, file), { force: true });
+  }
+  fs.rmSync(TEST_RESULTS_FILE, { force: true });
+
+  console.error('\n🚀 Redeploying...');
+  const deployLog = path.join(LOG_DIR, 'deployment.log');
+  if ((await run('bash', [script('run-deployment.sh')], { logFile: deployLog, timeoutMs: DEPLOY_TIMEOUT_MS })) !== 0) {
+    return 'deploy';
+  }
+
+  const outputs = spawnSync('bash', [script('extract-outputs.sh'), process.env.IAC_TYPE, process.env.STACK_NAME], {
+    encoding: 'utf-8',
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  if (outputs.status !== 0) {
+    fs.appendFileSync(deployLog, '\nError: could not read the deployment outputs\n');
+    return 'deploy';
+  }
+  fs.writeFileSync('outputs.json', outputs.stdout);
+  fs.copyFileSync('outputs.json', path.join(LOG_DIR, 'outputs.json'));
+
+  if (!fs.existsSync('sanity-tests.json')) {
+    // A new plan would let a fix pass by changing the tests
+    if (FAILURE_STAGE === 'test') {
+      throw new Error(MISSING_TEST_PLAN);
+    }
+
+    // The first failure was a deployment, so there are no tests yet
+    console.error('\n🧪 Generating sanity tests...');
+    if ((await run(process.execPath, [script('ai-generate-tests.js')])) !== 0) {
+      throw new Error('Could not generate sanity tests');
+    }
+  }
+
+  console.error('\n🧪 Running sanity tests...');
+  const testExit = await run(process.execPath, [script('execute-tests.js')], {
+    env: { TEST_RESULTS_FILE, TEST_DEADLINE_MS: String(TEST_TIMEOUT_MS) },
+    logFile: path.join(LOG_DIR, 'test-results.log'),
+    // stderr (secret masking commands) stays out of the test log
+    logStderr: false,
+    timeoutMs: TEST_TIMEOUT_MS + 60000,
+  });
+
+  return testExit === 0 ? null : 'test';
+}
+
+/**
+ * Apply fix.patch to the working tree
+ * @returns {{applied: boolean, files: string[], error?: string}}
+ */
+function applyPatch() {
+  const check = spawnSync('git', ['apply', '--check', 'fix.patch'], { encoding: 'utf-8' });
+  if (check.status !== 0) {
+    return { applied: false, files: [], error: check.stderr.trim() };
+  }
+
+  const numstat = spawnSync('git', ['apply', '--numstat', 'fix.patch'], { encoding: 'utf-8' });
+  const files = numstat.stdout
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => line.split('\t')[2]);
+
+  const apply = spawnSync('git', ['apply', 'fix.patch'], { encoding: 'utf-8' });
+  if (apply.status !== 0) {
+    return { applied: false, files: [], error: apply.stderr.trim() };
+  }
+
+  return { applied: true, files };
+}
+
+function writeHistory(history) {
+  fs.writeFileSync(FIX_HISTORY_FILE, JSON.stringify(history, null, 2));
+}
+
+/**
+ * Fix, redeploy and retest until the failure is gone or the loop gives up
+ * @param {Object} history - Filled in with the attempts and the outcome
+ */
+async function fixLoop(history) {
+  let failure = describeFailure(FAILURE_STAGE);
+
+  console.error(`🔁 Fix loop: up to ${MAX_FIX_ATTEMPTS} attempt(s), ${failure.stage} failure`);
+  console.error(`   ${failure.summary}`);
+
+  for (let attempt = 1; attempt <= MAX_FIX_ATTEMPTS; attempt++) {
+    const startedAt = Date.now();
+    const record = (fields) =>
+      history.attempts.push({
+        attempt,
+        stage: failure.stage,
+        signature: failure.signature,
+        summary: failure.summary,
+        category: failure.category,
+        ...fields,
+        durationMs: Date.now() - startedAt,
+      });
+
+    console.error(`\n${'='.repeat(60)}`);
+    console.error(`🔧 Fix attempt ${attempt}/${MAX_FIX_ATTEMPTS} (${failure.stage} failure)`);
+    console.error('='.repeat(60));
+
+    // ai-generate-fix.js reads the earlier attempts from the history file
+    writeHistory(history);
+    fs.rmSync('fix.patch', { force: true });
+
+    const fixExit = await run(process.execPath, [script('ai-generate-fix.js')], {
+      env: { FAILURE_STAGE: failure.stage, TEST_RESULTS_FILE, FIX_HISTORY_FILE },
+    });
+
+    if (fixExit !== 0 || !fs.existsSync('fix.patch')) {
+      record({ applied: false, files: [], result: 'no-patch' });
+      history.outcome = 'no-fix';
+      break;
+    }
+
+    let patch = fs.readFileSync('fix.patch', 'utf-8');
+    if (patch.length > MAX_HISTORY_PATCH) {
+      patch = `${patch.substring(0, MAX_HISTORY_PATCH)}\n... (truncated)`;
+    }
+
+    const { applied, files, error } = applyPatch();
+    if (!applied) {
+      // Same failure again; the next attempt is told why the patch was rejected
+      console.error(`⚠️  Patch does not apply: ${error}`);
+      record({ patch, applied, files, result: 'not-applied', error });
+      continue;
+    }
+
+    console.error(`✅ Applied fix to ${files.join(', ')}`);
+
+    let failedStage;
+    try {
+      failedStage = await deployAndTest();
+    } catch (error) {
+      record({ patch, applied, files, result: 'error', error: error.message });
+      throw error;
+    }
+
+    if (!failedStage) {
+      record({ patch, applied, files, result: 'fixed' });
+      history.outcome = 'fixed';
+      console.error(`\n🎉 Fixed after ${attempt} attempt(s)`);
+      break;
+    }
+
+    const next = describeFailure(failedStage);
+    record({ patch, applied, files, result: `${failedStage}-failed`, nextSummary: next.summary });
+
+    console.error(`\n❌ Still failing (${failedStage}): ${next.summary}`);
+
+    if (next.signature === failure.signature) {
+      history.outcome = 'repeated';
+      console.error('🛑 The fix left the same failure, stopping');
+      break;
+    }
+
+    failure = next;
+  }
+}
+
+async function main() {
+  fs.mkdirSync(LOG_DIR, { recursive: true });
+
+  const history = { outcome: 'exhausted', failureStage: FAILURE_STAGE, maxAttempts: MAX_FIX_ATTEMPTS, attempts: [] };
+
+  try {
+    if (FAILURE_STAGE === 'test' && !fs.existsSync('sanity-tests.json')) {
+      throw new Error(MISSING_TEST_PLAN);
+    }
+
+    await fixLoop(history);
+  } catch (error) {
+    console.error('❌ Fix loop failed:', error.message);
+    history.outcome = 'error';
+    history.error = error.message;
+  }
+
+  writeHistory(history);
+
+  const applied = history.attempts.filter((a) => a.applied).length;
+  console.error(`\n📋 Outcome: ${history.outcome} (${history.attempts.length} attempt(s), ${applied} applied)`);
+  console.error(`📄 History: ${FIX_HISTORY_FILE}`);
+
+  process.exit(history.outcome === 'fixed' ? 0 : 1);
+}
+
+main();
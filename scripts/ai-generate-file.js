@@ -3,22 +3,51 @@
  * ai-generate-file.js
  * Generates a single file via AI based on a specific prompt
  *
+ * New files are generated in full. Files the plan marks "modify" are changed
+ * through a unified diff against their current contents in REPO_DIR.
+ *
  * Environment:
  *   FILE_PATH - Path of the file to generate
  *   FILE_PROMPT - Specific prompt for this file
  *   PROJECT_NAME - Name of the project (for context)
+ *   PLAN_FILE - plan.json to read this file's action/dependsOn/exports from (optional)
+ *   GENERATED_DIR - Directory holding already-generated files, used as
+ *                   dependency context (optional)
+ *   REPO_DIR - Existing repository holding the current contents of modified
+ *              files and of dependencies outside the plan (default: current directory)
+ *   OUTPUT_FILE - Where to write the result (default: generated-file.txt)
+ *   DEPENDENCY_CONTEXT_CHARS - Budget for dependency contents in the prompt
+ *                              (default: 24000); dependencies beyond it are
+ *                              summarized by their planned exports
+ *   VALIDATION_REPAIR_ATTEMPTS - AI repair passes for a file that fails
+ *                                validation or whose diff does not apply
+ *                                (default: 2; see file-validators.js)
+ *   VALIDATION_FILE - Where to write the validation result (optional)
  *
  * Output:
- *   Writes generated-file.txt with the file contents
+ *   Writes OUTPUT_FILE with the (new or modified) file contents. A file that is still invalid
+ *   after the repair passes is written anyway and reported in VALIDATION_FILE:
+ *   {path, valid, validator, error?, repairAttempts}
+ *   Appends AI token usage to usage.json (see ai-usage.js)
  */
 
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
-import { callAI } from './ai-client.js';
+import { spawnSync } from 'child_process';
+import { callAIDetailed } from './ai-client.js';
+import { validateFile } from './file-validators.js';
 
 const FILE_PATH = process.env.FILE_PATH;
 const FILE_PROMPT = process.env.FILE_PROMPT;
 const PROJECT_NAME = process.env.PROJECT_NAME;
+const PLAN_FILE = process.env.PLAN_FILE;
+const GENERATED_DIR = process.env.GENERATED_DIR;
+const REPO_DIR = path.resolve(process.env.REPO_DIR || '.');
+const OUTPUT_FILE = process.env.OUTPUT_FILE || 'generated-file.txt';
+const DEPENDENCY_CONTEXT_CHARS = parseInt(process.env.DEPENDENCY_CONTEXT_CHARS || '24000', 10);
+const VALIDATION_REPAIR_ATTEMPTS = parseInt(process.env.VALIDATION_REPAIR_ATTEMPTS || '2', 10);
+const VALIDATION_FILE = process.env.VALIDATION_FILE;
 
 if (!FILE_PATH || !FILE_PROMPT) {
   console.error('Error: FILE_PATH and FILE_PROMPT environment variables are required');
@@ -41,42 +70,298 @@ Rules:
 File type: ${fileExtension}
 File name: ${fileName}`;
 
-const userPrompt = `Generate the file: ${FILE_PATH}
+const modifySystemPrompt = `You are an expert software developer changing a file in an existing project.
+
+Rules:
+1. Return ONLY a unified diff of the file - no explanations
+2. Use standard hunk headers (@@ -start,count +start,count @@) with 3 lines of context
+3. Context and removed lines must match the current file exactly
+4. Change only what the request needs; keep the file's existing style and conventions
+5. Follow security best practices
+
+File type: ${fileExtension}
+File name: ${fileName}`;
+
+/**
+ * Look up this file's entry in the plan (action, dependsOn, exports)
+ */
+function loadPlanEntry() {
+  if (!PLAN_FILE || !fs.existsSync(PLAN_FILE)) {
+    return { entry: null, files: [] };
+  }
+
+  const plan = JSON.parse(fs.readFileSync(PLAN_FILE, 'utf-8'));
+  const files = plan.files || [];
+  return { entry: files.find((f) => f.path === FILE_PATH) || null, files };
+}
+
+/**
+ * Read a dependency: generated in an earlier level, or an existing repository file
+ */
+function readDependency(dependency) {
+  const candidates = [GENERATED_DIR && path.join(GENERATED_DIR, dependency), path.join(REPO_DIR, dependency)];
+  const found = candidates.find((candidate) => candidate && fs.existsSync(candidate));
+  return found ? fs.readFileSync(found, 'utf-8') : null;
+}
+
+function formatExports(exports) {
+  return exports.map((signature) => `- ${signature}`).join('\n');
+}
+
+/**
+ * Build the dependency section of the prompt
+ * Dependencies already generated are included verbatim while the character
+ * budget lasts; the rest are described by the exports declared in the plan.
+ */
+function buildDependencyContext(entry, files) {
+  const dependsOn = entry?.dependsOn || [];
+  if (dependsOn.length === 0) {
+    return '';
+  }
+
+  let budget = DEPENDENCY_CONTEXT_CHARS;
+  const sections = [];
+
+  for (const dependency of dependsOn) {
+    const planned = files.find((f) => f.path === dependency);
+    const content = readDependency(dependency);
+
+    if (content !== null && content.length <= budget) {
+      budget -= content.length;
+      sections.push(`### ${dependency}\n${content}`);
+      console.error(`  📎 ${dependency} (${content.length} chars)`);
+    } else if (planned?.exports?.length > 0) {
+      sections.push(`### ${dependency} (interface only)\n${formatExports(planned.exports)}`);
+      console.error(`  📎 ${dependency} (interface only)`);
+    } else {
+      sections.push(`### ${dependency}\n(not available)`);
+      console.error(`  ⚠️  ${dependency} has no generated contents or declared exports`);
+    }
+  }
+
+  return `
+
+This file depends on the following project files. Import from them using exactly the paths,
+names and signatures shown - do not redefine or rename anything they export.
+
+${sections.join('\n\n')}`;
+}
+
+function buildExportsSection(entry) {
+  return entry?.exports?.length > 0
+    ? `
+
+Other files rely on this file exporting exactly:
+${formatExports(entry.exports)}`
+    : '';
+}
+
+function buildUserPrompt(entry, files) {
+  const exportsSection = buildExportsSection(entry);
+
+  return `Generate the file: ${FILE_PATH}
 
 Project: ${PROJECT_NAME}
 
 Requirements:
-${FILE_PROMPT}
+${FILE_PROMPT}${exportsSection}${buildDependencyContext(entry, files)}
 
 Return ONLY the raw file contents, nothing else.`;
+}
 
-async function main() {
-  console.error(`📝 Generating file: ${FILE_PATH}`);
+function buildModifyPrompt(entry, files, current) {
+  return `Modify the file: ${FILE_PATH}
+
+Project: ${PROJECT_NAME}
+
+Change requested:
+${FILE_PROMPT}${buildExportsSection(entry)}${buildDependencyContext(entry, files)}
+
+Current contents of ${FILE_PATH}:
+${current}
+
+Return ONLY a unified diff of ${FILE_PATH} (--- a/${FILE_PATH}, +++ b/${FILE_PATH}, then @@ hunks).`;
+}
+
+/**
+ * Apply a single-file unified diff to the current contents with git apply
+ * @returns {string} - Modified contents
+ * @throws {Error} - When the response is not a diff or does not apply
+ */
+function applyDiff(current, diff) {
+  const hunkStart = diff.search(/^@@ /m);
+  if (hunkStart === -1) {
+    throw new Error('Response is not a unified diff (no @@ hunk headers found)');
+  }
+
+  // Normalize the file headers so the patch targets this file whatever paths the model used
+  const patch = `--- a/${FILE_PATH}\n+++ b/${FILE_PATH}\n${diff.slice(hunkStart).replace(/\n*$/, '\n')}`;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'modify-'));
 
   try {
-    let response = await callAI({
-      systemPrompt,
-      prompt: userPrompt,
-      maxTokens: 8192,
-      temperature: 0.7,
+    const target = path.join(dir, FILE_PATH);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, current);
+    fs.writeFileSync(path.join(dir, 'change.patch'), patch);
+
+    // --recount tolerates wrong line counts in AI-written hunk headers
+    const result = spawnSync('git', ['apply', '--recount', '--whitespace=nowarn', 'change.patch'], {
+      cwd: dir,
+      encoding: 'utf-8',
     });
 
-    // Strip markdown code blocks if present
-    const codeBlockMatch = response.match(/```[\w]*\s*\n([\s\S]*?)\n```/);
-    if (codeBlockMatch) {
-      console.error('⚠️  Removing markdown code block wrapper');
-      response = codeBlockMatch[1];
+    if (result.status !== 0) {
+      throw new Error(`git apply failed: ${(result.stderr || result.error?.message || '').trim()}`);
     }
 
-    // Trim extra whitespace
-    response = response.trim();
+    return fs.readFileSync(target, 'utf-8');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Call AI and clean the response into raw file contents
+ * @param {Object[]} messages - Conversation so far (see callAIDetailed)
+ */
+async function generate(messages, modifying) {
+  // Long files are continued automatically when they hit the token limit
+  const result = await callAIDetailed({
+    systemPrompt: modifying ? modifySystemPrompt : systemPrompt,
+    messages,
+    maxTokens: 8192,
+    temperature: 0.7,
+  });
+
+  if (result.truncated) {
+    throw new Error('Generated output is truncated (hit the max token limit); refusing to write a partial file');
+  }
+
+  let response = result.text;
+
+  // Strip markdown code blocks if present
+  const codeBlockMatch = response.match(/```[\w]*\s*\n([\s\S]*?)\n```/);
+  if (codeBlockMatch) {
+    console.error('⚠️  Removing markdown code block wrapper');
+    response = codeBlockMatch[1];
+  }
+
+  // Trim extra whitespace
+  return response.trim();
+}
+
+/**
+ * Generate once and check the result
+ * @param {string|null} current - Current contents when modifying, null when creating
+ * @returns {Promise<{response: string, content: string|null, validation: Object}>}
+ *   content is null when a diff did not apply
+ */
+async function attempt(messages, current) {
+  const response = await generate(messages, current !== null);
+
+  if (current === null) {
+    return { response, content: response, validation: validateFile(FILE_PATH, response) };
+  }
+
+  try {
+    const content = applyDiff(current, response);
+    return { response, content, validation: validateFile(FILE_PATH, content) };
+  } catch (error) {
+    return { response, content: null, validation: { valid: false, validator: 'patch', error: error.message } };
+  }
+}
+
+function repairPrompt(validation, modifying) {
+  if (!modifying) {
+    return `The file you generated fails ${validation.validator} validation:
+
+${validation.error}
+
+Fix the error and return the complete corrected file. Return ONLY the raw file contents, nothing else.`;
+  }
 
-    console.error(`✅ Generated ${response.length} characters`);
+  const problem =
+    validation.validator === 'patch'
+      ? `Your diff could not be applied to the current file:`
+      : `The file fails ${validation.validator} validation after applying your diff:`;
+
+  return `${problem}
+
+${validation.error}
+
+Return a corrected unified diff against the ORIGINAL file contents shown above. Return ONLY the diff.`;
+}
+
+async function main() {
+  const { entry, files } = loadPlanEntry();
+  const action = entry?.action || 'create';
+
+  console.error(`📝 ${action === 'modify' ? 'Modifying' : 'Generating'} file: ${FILE_PATH}`);
+
+  try {
+    if (action === 'delete') {
+      throw new Error('File is planned for deletion; there is nothing to generate');
+    }
+
+    let current = null;
+    if (action === 'modify') {
+      const currentPath = path.join(REPO_DIR, FILE_PATH);
+      if (!fs.existsSync(currentPath)) {
+        throw new Error(`Cannot modify ${FILE_PATH}: not found in ${REPO_DIR}`);
+      }
+      current = fs.readFileSync(currentPath, 'utf-8');
+    }
+
+    const prompt = current === null ? buildUserPrompt(entry, files) : buildModifyPrompt(entry, files, current);
+    const messages = [{ role: 'user', content: prompt }];
+
+    let result = await attempt(messages, current);
+    let repairAttempts = 0;
+
+    // Show the model its output and the error, keeping the original request in context
+    while (!result.validation.valid && repairAttempts < VALIDATION_REPAIR_ATTEMPTS) {
+      const { validation } = result;
+      repairAttempts++;
+      console.error(`⚠️  ${validation.validator} validation failed:`);
+      console.error(validation.error.split('\n').slice(0, 5).join('\n'));
+      console.error(`🔧 Repair attempt ${repairAttempts}/${VALIDATION_REPAIR_ATTEMPTS}...`);
+
+      messages.push(
+        { role: 'assistant', content: result.response },
+        { role: 'user', content: repairPrompt(validation, current !== null) }
+      );
+      result = await attempt(messages, current);
+    }
+
+    const { content, validation } = result;
+
+    if (content === null) {
+      throw new Error(`Diff still does not apply after ${repairAttempts} repair attempt(s): ${validation.error}`);
+    }
+
+    if (!validation.valid) {
+      console.error(`❌ ${FILE_PATH} is still invalid after ${repairAttempts} repair attempt(s):`);
+      console.error(validation.error);
+    } else if (validation.validator) {
+      const note = validation.skipped ? ` (skipped: ${validation.skipped})` : '';
+      console.error(`✅ Passed ${validation.validator} validation${note}`);
+    }
+
+    console.error(
+      current === null
+        ? `✅ Generated ${content.length} characters`
+        : `✅ Modified ${FILE_PATH} (${current.length} → ${content.length} characters)`
+    );
 
     // Write to output file
-    fs.writeFileSync('generated-file.txt', response);
+    fs.mkdirSync(path.dirname(OUTPUT_FILE), { recursive: true });
+    fs.writeFileSync(OUTPUT_FILE, content);
+
+    console.error(`✅ File written to ${OUTPUT_FILE}`);
 
-    console.error(`✅ File written to generated-file.txt`);
+    if (VALIDATION_FILE) {
+      fs.writeFileSync(VALIDATION_FILE, JSON.stringify({ path: FILE_PATH, ...validation, repairAttempts }, null, 2));
+    }
   } catch (error) {
     console.error(`❌ Error generating file ${FILE_PATH}:`, error.message);
     console.error(error.stack);
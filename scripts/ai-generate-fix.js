@@ -3,111 +3,423 @@
  * ai-generate-fix.js
  * Generates a fix patch for deployment/test failures using AI
  *
+ * Failures with a known cause (deprecated runtime, undeclared Terraform
+ * variable, ...) are fixed by the rules in fix-rules.js without calling the
+ * model; the AI is asked only when no rule matches.
+ *
+ * The patch is checked against the working tree before it is written. A patch
+ * whose hunks do not apply exactly is retried with looser context matching
+ * (recounted hunk headers, whitespace ignored, less context), and failing that
+ * the model is asked for the full new contents of the files it meant to
+ * change. Either way the written fix.patch is regenerated from the result, so
+ * it applies cleanly with plain `git apply`; nothing partial is written.
+ *
  * Environment:
  *   FAILURE_STAGE - "deploy" or "test"
+ *   TEST_RESULTS_FILE - Structured test results (default: logs/test-results.json)
+ *   FIX_HISTORY_FILE - Earlier fix attempts of ai-fix-loop.js (optional)
+ *   FIX_PROMPT_TOKENS - Prompt budget; the code context gets what the failures,
+ *                       logs and earlier attempts leave (default: 24000)
+ *   FIX_RULES - Rules of fix-rules.js to try before the AI: "all" (default),
+ *               "none" or comma-separated rule ids
  *
  * Inputs:
- *   logs/*.log - Error logs from failed stage
+ *   logs/*.log - Error logs from failed stage; log-analyzer.js picks out and
+ *                classifies the root error, the prompt gets the lines around it
+ *   test-results.json - Failed steps with request, response and failure reason
+ *                       (written by execute-tests.js, used for test failures)
  *
  * Output:
- *   fix.patch - Git patch file with the fix
+ *   fix.patch - Git patch file with the fix (only written when it applies)
+ *   usage.json - AI token usage ledger (appended, see ai-usage.js)
+ *
+ * Exit Code:
+ *   0 - fix.patch written
+ *   1 - No fix, or a patch that does not apply to the working tree
  */
 
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
-import { glob } from 'glob';
-import { callAI } from './ai-client.js';
-
-async function scanCodebase() {
-  console.error('🔍 Scanning codebase...');
-
-  const allFiles = await glob([
-    '**/*.{js,ts,py,java,go,yaml,yml,json,tf,sh}',
-    '!node_modules/**',
-    '!.git/**',
-    '!dist/**',
-    '!build/**',
-    '!coverage/**',
-    '!*.log',
-  ]);
-
-  let codeContext = '';
-  let fileCount = 0;
-
-  // Prioritize certain file types
-  const priorityPatterns = [
-    /package\.json$/,
-    /serverless\.y(a)?ml$/,
-    /template\.y(a)?ml$/,
-    /cdk\.json$/,
-    /\.tf$/,
-    /index\.(js|ts|py)$/,
-    /handler\.(js|ts|py)$/,
-  ];
-
-  // Sort files by priority
-  const sortedFiles = allFiles.sort((a, b) => {
-    const aPriority = priorityPatterns.findIndex((p) => p.test(a));
-    const bPriority = priorityPatterns.findIndex((p) => p.test(b));
-
-    if (aPriority !== -1 && bPriority === -1) return -1;
-    if (bPriority !== -1 && aPriority === -1) return 1;
-    if (aPriority !== bPriority) return aPriority - bPriority;
-
-    return a.localeCompare(b);
-  });
+import { spawnSync } from 'child_process';
+import { callAI, callAIStructured } from './ai-client.js';
+import { buildFixContext, estimateTokens } from './fix-context.js';
+import { analyzeLogs, excerptLogs, formatAnalysis } from './log-analyzer.js';
+import { findRuleFix } from './fix-rules.js';
+
+const TEST_RESULTS_FILE = process.env.TEST_RESULTS_FILE || 'logs/test-results.json';
+const FIX_HISTORY_FILE = process.env.FIX_HISTORY_FILE;
+const FIX_PROMPT_TOKENS = parseInt(process.env.FIX_PROMPT_TOKENS || '24000', 10);
+const MIN_CODE_CONTEXT_TOKENS = 2000;
+const FIX_RULES = process.env.FIX_RULES || 'all';
+const MAX_REPORTED_FAILURES = 10;
+const MAX_REWRITE_FILE_CHARS = 30000;
+
+// Looser and looser git apply options for hunks that do not apply exactly
+const FUZZY_APPLY_OPTIONS = [
+  ['--recount'],
+  ['--recount', '--ignore-whitespace'],
+  ['--recount', '--ignore-whitespace', '-C1'],
+];
+
+// JSON Schema for full-file rewrites
+const rewriteSchema = {
+  type: 'object',
+  required: ['files'],
+  properties: {
+    files: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['path', 'content'],
+        properties: {
+          path: { type: 'string', minLength: 1 },
+          content: { type: 'string' },
+        },
+      },
+    },
+  },
+};
 
-  for (const file of sortedFiles.slice(0, 30)) {
-    // Limit to first 30 files
-    try {
-      const content = fs.readFileSync(file, 'utf-8');
+/**
+ * Describe the failed steps from test-results.json
+ * @returns {string} - Empty when no structured results are available
+ */
+function readTestFailures() {
+  if (!fs.existsSync(TEST_RESULTS_FILE)) {
+    console.error(`⚠️  ${TEST_RESULTS_FILE} not found, falling back to logs`);
+    return '';
+  }
 
-      // Skip very large files
-      if (content.length > 10000) {
-        codeContext += `\n\n--- ${file} (truncated) ---\n${content.substring(0, 3000)}\n... (file too large, truncated)\n`;
-      } else {
-        codeContext += `\n\n--- ${file} ---\n${content}\n`;
+  const report = JSON.parse(fs.readFileSync(TEST_RESULTS_FILE, 'utf-8'));
+  const failed = report.results.filter((result) => result.status === 'failed');
+
+  const sections = failed.slice(0, MAX_REPORTED_FAILURES).map((result) => {
+    const phase = result.phase && result.phase !== 'test' ? ` (${result.phase})` : '';
+    const lines = [`### ${result.suite} > ${result.step}${phase}`];
+
+    if (result.request) {
+      lines.push(`Request: ${result.request.method} ${result.request.url}`);
+      if (result.request.body !== undefined) {
+        lines.push(`Request body: ${JSON.stringify(result.request.body)}`);
       }
+    }
 
-      fileCount++;
-    } catch (error) {
-      // Skip files that can't be read
+    if (result.response) {
+      const contentType = result.response.contentType ? ` (${result.response.contentType})` : '';
+      lines.push(`Response: ${result.response.status}${contentType}`, result.response.body || '(empty body)');
+    } else {
+      lines.push('Response: none');
     }
+
+    lines.push(`Failure: ${result.failure.reason}`);
+    for (const check of result.failure.checks) {
+      lines.push(`- ${check.check}: expected ${check.expected}, got ${check.actual}`);
+    }
+
+    return lines.join('\n');
+  });
+
+  if (failed.length > MAX_REPORTED_FAILURES) {
+    sections.push(`... and ${failed.length - MAX_REPORTED_FAILURES} more failed steps`);
   }
 
-  console.error(`✅ Scanned ${fileCount} files`);
-  return codeContext;
+  console.error(`✅ Read ${failed.length} failed test step(s) from ${TEST_RESULTS_FILE}`);
+  return sections.join('\n\n');
 }
 
-function readLogs() {
-  console.error('📋 Reading error logs...');
+/**
+ * Describe the earlier attempts of the fix loop, so the AI does not repeat a
+ * fix that failed
+ * @returns {string} - Empty on the first attempt
+ */
+function readFixHistory() {
+  if (!FIX_HISTORY_FILE || !fs.existsSync(FIX_HISTORY_FILE)) return '';
+
+  const { attempts } = JSON.parse(fs.readFileSync(FIX_HISTORY_FILE, 'utf-8'));
+  if (attempts.length === 0) return '';
+
+  const outcomes = {
+    'not-applied': (attempt) => `the patch did not apply (${attempt.error})`,
+    'deploy-failed': (attempt) => `applied, but the deployment then failed: ${attempt.nextSummary}`,
+    'test-failed': (attempt) => `applied, but the sanity tests then failed: ${attempt.nextSummary}`,
+  };
+
+  const sections = attempts.map((attempt) => {
+    const outcome = outcomes[attempt.result]?.(attempt) ?? attempt.result;
+    return [
+      `### Attempt ${attempt.attempt} (${attempt.stage} failure: ${attempt.summary})`,
+      `Outcome: ${outcome}`,
+      '```diff',
+      attempt.patch || '(no patch)',
+      '```',
+    ].join('\n');
+  });
+
+  console.error(`✅ Read ${attempts.length} earlier fix attempt(s) from ${FIX_HISTORY_FILE}`);
+  return sections.join('\n\n');
+}
 
-  const logFiles = fs.existsSync('logs') ? fs.readdirSync('logs').filter((f) => f.endsWith('.log')) : [];
+/**
+ * Read the failure logs
+ * @param {string[]} [exclude=[]] - Log file names to leave out
+ * @returns {{name: string, content: string}[]}
+ */
+function readLogs(exclude = []) {
+  console.error('📋 Reading error logs...');
 
-  let errorLog = '';
+  const logFiles = fs.existsSync('logs')
+    ? fs.readdirSync('logs').filter((f) => f.endsWith('.log') && !exclude.includes(f))
+    : [];
 
-  for (const logFile of logFiles) {
-    const content = fs.readFileSync(path.join('logs', logFile), 'utf-8');
-    errorLog += `\n\n=== ${logFile} ===\n${content}\n`;
-  }
+  let logs = logFiles.map((logFile) => ({
+    name: logFile,
+    content: fs.readFileSync(path.join('logs', logFile), 'utf-8'),
+  }));
 
-  if (!errorLog) {
+  if (logs.length === 0) {
     console.error('⚠️  No error logs found, scanning current directory...');
 
     // Try current directory
-    const currentLogs = fs.readdirSync('.').filter((f) => f.endsWith('.log'));
-    for (const logFile of currentLogs) {
-      const content = fs.readFileSync(logFile, 'utf-8');
-      errorLog += `\n\n=== ${logFile} ===\n${content}\n`;
+    const currentLogs = fs.readdirSync('.').filter((f) => f.endsWith('.log') && !exclude.includes(f));
+    logs = currentLogs.map((logFile) => ({ name: logFile, content: fs.readFileSync(logFile, 'utf-8') }));
+  }
+
+  const size = logs.reduce((total, log) => total + log.content.length, 0);
+  console.error(`✅ Read ${size} characters of logs`);
+  return logs.filter((log) => log.content.trim());
+}
+
+/**
+ * Files a patch touches, from its diff --git and ---/+++ headers. ---/+++ names
+ * are only read before a file's first hunk: inside one they are removed or
+ * added lines that start with -- or ++.
+ */
+function patchFiles(patch) {
+  const files = new Set();
+  let inHeader = true;
+
+  for (const line of patch.split('\n')) {
+    const diff = line.match(/^diff --git a\/(\S+) b\/(\S+)$/);
+    if (diff) {
+      files.add(diff[1]).add(diff[2]);
+      inHeader = true;
+    } else if (line.startsWith('@@')) {
+      inHeader = false;
+    } else if (inHeader) {
+      const file = line.match(/^(?:---|\+\+\+) (?:[ab]\/)?(\S+)/)?.[1];
+      if (file && file !== '/dev/null') files.add(file);
     }
   }
 
-  if (!errorLog) {
-    throw new Error('No error logs found');
+  return [...files];
+}
+
+function isInsideRepo(file) {
+  return !path.isAbsolute(file) && !path.normalize(file).startsWith('..');
+}
+
+function gitApply(args, cwd = '.') {
+  const result = spawnSync('git', ['apply', ...args], { cwd, encoding: 'utf-8' });
+  return { ok: result.status === 0, error: (result.stderr || result.error?.message || '').trim() };
+}
+
+/**
+ * Check a patch against the working tree without changing it
+ */
+function checkPatch(patch, options = []) {
+  const patchFile = path.join(os.tmpdir(), `fix-check-${process.pid}.patch`);
+  fs.writeFileSync(patchFile, patch);
+
+  try {
+    return gitApply(['--check', ...options, patchFile]);
+  } finally {
+    fs.rmSync(patchFile, { force: true });
   }
+}
 
-  console.error(`✅ Read ${errorLog.length} characters of logs`);
-  return errorLog;
+/**
+ * Copy the given files into a scratch repository, let `change` edit them and
+ * return the resulting diff, which applies cleanly to the working tree
+ * @param {string[]} files
+ * @param {(dir: string) => void} change - Throws when the change fails
+ * @returns {string} - Patch, empty when nothing changed
+ */
+function diffAfter(files, change) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fix-'));
+  const git = (...args) => spawnSync('git', args, { cwd: dir, encoding: 'utf-8' });
+
+  try {
+    git('init', '-q');
+    for (const file of files.filter((f) => fs.existsSync(f))) {
+      fs.mkdirSync(path.join(dir, path.dirname(file)), { recursive: true });
+      fs.copyFileSync(file, path.join(dir, file));
+    }
+    git('add', '-A');
+
+    change(dir);
+
+    // New files need to be in the index to show up in the diff
+    git('add', '-N', '.');
+    return git('diff', '--no-color', '--no-ext-diff').stdout;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Patch from the first rule of fix-rules.js that recognizes the failure
+ * @param {{analysis: Object, text: string}} failure
+ * @returns {Promise<string|null>} - null when no rule has a fix
+ */
+async function ruleFix(failure) {
+  if (FIX_RULES === 'none') return null;
+
+  console.error('📏 Checking known failure rules...');
+  const only = FIX_RULES === 'all' ? undefined : FIX_RULES.split(',').map((id) => id.trim());
+  const found = await findRuleFix(failure, { only });
+  if (!found) {
+    console.error('   No rule matches, asking the AI');
+    return null;
+  }
+
+  const files = Object.keys(found.changes);
+  const patch = diffAfter(files, (dir) => {
+    for (const [file, content] of Object.entries(found.changes)) {
+      fs.mkdirSync(path.join(dir, path.dirname(file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), content);
+    }
+  });
+
+  if (!patch || !checkPatch(patch).ok) {
+    console.error(`⚠️  Rule ${found.rule.id} matched but its change does not apply, asking the AI`);
+    return null;
+  }
+
+  console.error(`✅ Rule ${found.rule.id}: ${found.rule.description} (${files.join(', ')})`);
+  return patch;
+}
+
+/**
+ * Apply a patch with looser context matching, in a scratch copy of the files
+ * @returns {string|null} - Clean patch, null when no option applies it
+ */
+function applyFuzzy(patch, files) {
+  for (const options of FUZZY_APPLY_OPTIONS) {
+    if (!checkPatch(patch, options).ok) continue;
+
+    const clean = diffAfter(files, (dir) => {
+      fs.writeFileSync(path.join(dir, 'fix.patch'), patch);
+      const result = gitApply([...options, 'fix.patch'], dir);
+      fs.rmSync(path.join(dir, 'fix.patch'));
+      if (!result.ok) throw new Error(result.error);
+    });
+
+    if (clean) {
+      console.error(`✅ Patch applies with ${options.join(' ')}`);
+      return clean;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Ask the model for the full new contents of the files its patch meant to change
+ * @returns {Promise<string>} - Clean patch
+ * @throws {Error} - When the files are too large or the answer changes nothing
+ */
+async function rewriteFiles(userPrompt, patch, files, applyError) {
+  const tooLarge = files.filter((f) => fs.existsSync(f) && fs.statSync(f).size > MAX_REWRITE_FILE_CHARS);
+  if (tooLarge.length > 0) {
+    throw new Error(`Too large to rewrite in full: ${tooLarge.join(', ')}`);
+  }
+
+  const current = files
+    .map((f) => `--- ${f} ---\n${fs.existsSync(f) ? fs.readFileSync(f, 'utf-8') : '(new file)'}`)
+    .join('\n\n');
+
+  const prompt = `${userPrompt}
+
+---
+
+You proposed this patch:
+${patch.substring(0, 10000)}
+
+It does not apply to the current files:
+${applyError}
+
+Current contents of the files it changes:
+${current}
+
+Return the complete new contents of every file your fix changes, as
+{"files": [{"path": "...", "content": "..."}]}. Paths must be among: ${files.join(', ')}.
+Keep everything unrelated to the fix exactly as it is.`;
+
+  const { files: rewritten } = await callAIStructured({
+    prompt,
+    maxTokens: 16384,
+    temperature: 0.2,
+    schema: rewriteSchema,
+    schemaName: 'file_rewrites',
+    validate: (data) =>
+      data.files.filter((file) => !files.includes(file.path)).map((file) => `${file.path} is not a file of the patch`),
+  });
+
+  const clean = diffAfter(files, (dir) => {
+    for (const file of rewritten) {
+      const target = path.join(dir, file.path);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, file.content.endsWith('\n') ? file.content : `${file.content}\n`);
+    }
+  });
+
+  if (!clean) {
+    throw new Error('Rewritten files are identical to the current ones');
+  }
+
+  return clean;
+}
+
+/**
+ * Turn the model's patch into one that applies cleanly to the working tree
+ * @returns {Promise<string>}
+ * @throws {Error} - When neither fuzzy matching nor a rewrite produces a patch
+ */
+async function makeApplicable(patch, userPrompt) {
+  const files = patchFiles(patch);
+  if (files.length === 0) {
+    throw new Error('Patch names no files');
+  }
+
+  const outside = files.filter((f) => !isInsideRepo(f));
+  if (outside.length > 0) {
+    throw new Error(`Patch changes files outside the repository: ${outside.join(', ')}`);
+  }
+
+  const check = checkPatch(patch);
+  if (check.ok) {
+    console.error('✅ Patch applies to the working tree');
+    return patch;
+  }
+
+  console.error(`⚠️  Patch does not apply: ${check.error.split('\n')[0]}`);
+  console.error('🔧 Retrying with looser context matching...');
+
+  const fuzzy = applyFuzzy(patch, files);
+  if (fuzzy) return fuzzy;
+
+  console.error('🔧 Asking for the full contents of the changed files...');
+  const rewritten = await rewriteFiles(userPrompt, patch, files, check.error);
+
+  const recheck = checkPatch(rewritten);
+  if (!recheck.ok) {
+    throw new Error(`Rewritten files still do not apply: ${recheck.error}`);
+  }
+
+  console.error(`✅ Rebuilt the patch from full contents of ${files.join(', ')}`);
+  return rewritten;
 }
 
 async function main() {
@@ -117,39 +429,80 @@ async function main() {
   console.error(`Failure stage: ${failureStage}`);
 
   try {
-    // Read error logs
-    const errorLog = readLogs();
+    // Structured failures replace the test runner's console log
+    const testFailures = failureStage === 'test' ? readTestFailures() : '';
+    const logs = readLogs(testFailures ? ['test-results.log'] : []);
+    const errorLog = logs.map((log) => `=== ${log.name} ===\n${log.content}`).join('\n\n');
+
+    if (!testFailures && !errorLog) {
+      throw new Error('No error logs found');
+    }
 
-    // Scan codebase
-    const codeContext = await scanCodebase();
+    // Root error and category up front, and the log lines around the errors
+    // rather than the start of each log (usually build or progress output)
+    const analysis = analyzeLogs([...logs, ...(testFailures ? [{ name: 'failed tests', content: testFailures }] : [])]);
+    console.error(`✅ Classified as ${analysis.category}${analysis.root ? `: ${analysis.root.message}` : ''}`);
+    const logExcerpt = excerptLogs(logs, analysis.errors, 5000);
+
+    // Known failures get a deterministic fix, the AI only handles the rest
+    const rulePatch = await ruleFix({ analysis, text: [testFailures, errorLog].join('\n') });
+    if (rulePatch) {
+      fs.writeFileSync('fix.patch', rulePatch);
+      console.error('✅ Fix patch written to fix.patch');
+      return;
+    }
+
+    const fixHistory = readFixHistory();
 
     const systemPrompt = `You are an expert DevOps engineer and debugger.
 
 Your task is to analyze a deployment or test failure and generate a fix in git patch format.
 
 Rules:
-1. Analyze the error logs carefully
-2. Identify the root cause
+1. Analyze the failed tests and error logs carefully
+2. Identify the root cause; the failure analysis names the likely root error and its category
 3. Generate a minimal fix that addresses ONLY the error
 4. Return a valid git patch file (unified diff format)
 5. Include only necessary changes
 6. Do NOT make unrelated improvements
+7. When earlier fix attempts are listed, the applied ones are already part of the
+   codebase shown; do not repeat a fix that did not work, address the failure that remains
 
 Return ONLY the patch file contents, starting with:
 diff --git a/...
 
 Do not include any explanations outside the patch.`;
 
-    const userPrompt = `Analyze this ${failureStage} failure and generate a fix:
+    const buildPrompt = (codeContext) => `Analyze this ${failureStage} failure and generate a fix:
 
-**Error Logs:**
-${errorLog.substring(0, 5000)}
+**Failure Analysis:**
+${formatAnalysis(analysis)}
 
-**Codebase:**
-${codeContext.substring(0, 15000)}
+${testFailures ? `**Failed Tests:**\n${testFailures.substring(0, 8000)}\n\n` : ''}**Error Logs:**
+${logExcerpt || '(none)'}
+
+${fixHistory ? `**Previous Fix Attempts:**\n${fixHistory.substring(0, 8000)}\n\n` : ''}**Codebase:**
+${codeContext}
 
 Generate a git patch file that fixes this error.`;
 
+    // Code most related to the failure, in whatever budget the rest of the prompt leaves
+    console.error('🔍 Selecting code related to the failure...');
+    const codeBudget = Math.max(
+      FIX_PROMPT_TOKENS - estimateTokens(systemPrompt + buildPrompt('')),
+      MIN_CODE_CONTEXT_TOKENS
+    );
+    const { context, included, omitted, tokens } = await buildFixContext(
+      [testFailures, errorLog, fixHistory].join('\n'),
+      { maxTokens: codeBudget, stage: failureStage }
+    );
+    console.error(`✅ Included ${included.length} file(s) (~${tokens}/${codeBudget} tokens): ${included.join(', ')}`);
+    if (omitted.length > 0) {
+      console.error(`   ${omitted.length} more relevant file(s) did not fit`);
+    }
+
+    const userPrompt = buildPrompt(context);
+
     const response = await callAI({
       systemPrompt,
       prompt: userPrompt,
@@ -182,12 +535,16 @@ Generate a git patch file that fixes this error.`;
       }
     }
 
-    patch = patch.trim();
+    // git apply rejects a patch without the final newline; trimming the end
+    // would also strip a last context line that is a single space
+    patch = patch.replace(/\n*$/, '\n');
 
     console.error(`📝 Generated patch (${patch.length} characters)`);
     console.error('Preview:');
     console.error(patch.substring(0, 500));
 
+    patch = await makeApplicable(patch, userPrompt);
+
     // Write patch file
     fs.writeFileSync('fix.patch', patch);
 
@@ -6,20 +6,38 @@
  * Environment:
  *   SCAFFOLD_PROMPT - Full specification prompt
  *   PROJECT_NAME - Name of the project
+ *   SCAFFOLD_MODE - "new" to plan a project from scratch (default) or "extend"
+ *                   to plan a feature on top of the repository in REPO_DIR
+ *   REPO_DIR - Existing repository to scan in extend mode (default: current directory)
+ *   SCAFFOLD_TEMPLATE - Preset to merge with the spec, e.g. "sam-typescript-rest-api"
+ *                       (optional; see scaffold-templates.js and templates/)
  *
  * Output:
  *   Writes plan.json with structure:
  *   {
- *     files: [{path: string, prompt: string}],
- *     dependencies: {package.json content} | null
+ *     mode: "new" | "extend",
+ *     template: string | null,
+ *     files: [{path: string, action: "create" | "modify" | "delete", prompt: string,
+ *              dependsOn: string[], exports: string[], level: number}],
+ *     dependencies: {package.json content} | null  (always null in extend mode)
  *   }
+ *   Files are sorted in generation order; a file's level is one more than its
+ *   deepest dependency (see plan-graph.js)
+ *   Appends AI token usage to usage.json (see ai-usage.js)
  */
 
 import fs from 'fs';
-import { callAI, extractJSON } from './ai-client.js';
+import path from 'path';
+import { callAIStructured } from './ai-client.js';
+import { validatePlanGraph, planLevels } from './plan-graph.js';
+import { scanRepo, formatRepoContext } from './repo-context.js';
+import { loadTemplate, formatTemplate, missingTemplateFiles, mergeDependencies } from './scaffold-templates.js';
 
 const SCAFFOLD_PROMPT = process.env.SCAFFOLD_PROMPT;
 const PROJECT_NAME = process.env.PROJECT_NAME;
+const SCAFFOLD_MODE = process.env.SCAFFOLD_MODE || 'new';
+const REPO_DIR = path.resolve(process.env.REPO_DIR || '.');
+const SCAFFOLD_TEMPLATE = process.env.SCAFFOLD_TEMPLATE;
 
 if (!SCAFFOLD_PROMPT) {
   console.error('Error: SCAFFOLD_PROMPT environment variable is required');
@@ -31,6 +49,43 @@ if (!PROJECT_NAME) {
   process.exit(1);
 }
 
+if (!['new', 'extend'].includes(SCAFFOLD_MODE)) {
+  console.error(`Error: SCAFFOLD_MODE must be "new" or "extend", got "${SCAFFOLD_MODE}"`);
+  process.exit(1);
+}
+
+// JSON Schema for plan.json
+const planSchema = {
+  type: 'object',
+  required: ['files'],
+  properties: {
+    files: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['path', 'prompt'],
+        properties: {
+          path: { type: 'string', minLength: 1, pattern: '^(?!/)(?!.*\\.\\./)' },
+          action: { enum: ['create', 'modify', 'delete'] },
+          prompt: { type: 'string', minLength: 1 },
+          dependsOn: {
+            type: 'array',
+            items: { type: 'string', minLength: 1 },
+          },
+          exports: {
+            type: 'array',
+            items: { type: 'string', minLength: 1 },
+          },
+        },
+      },
+    },
+    dependencies: {
+      type: ['object', 'null'],
+    },
+  },
+};
+
 const systemPrompt = `You are an expert software architect and project planner.
 
 Your task is to analyze a project specification and create a detailed scaffold plan.
@@ -40,7 +95,9 @@ Return a JSON object with this exact structure:
   "files": [
     {
       "path": "relative/path/to/file.ext",
-      "prompt": "Detailed prompt for AI to generate this specific file"
+      "prompt": "Detailed prompt for AI to generate this specific file",
+      "dependsOn": ["relative/path/of/a/file/this/one/imports.ext"],
+      "exports": ["function handler(event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult>"]
     }
   ],
   "dependencies": {
@@ -53,12 +110,89 @@ Return a JSON object with this exact structure:
 Guidelines:
 - Include ALL necessary files (source code, configs, docs, tests)
 - Each file.prompt should be specific enough for another AI to generate that file
+- dependsOn lists the plan paths this file imports or reads; files are generated in dependency order
+  and see their dependencies' contents, so every cross-file import must be declared here
+- dependsOn must not form cycles
+- exports lists the public interface of the file (function/class signatures, types, constants, config keys)
+  that other files rely on; use [] for files nothing depends on
 - For package.json/requirements.txt, include in dependencies field
 - Use modern best practices and security standards
 - Consider the specification's compliance and security requirements
 - Typical structure: src/, tests/, docs/, config files, README
 `;
 
+const extendSystemPrompt = `You are an expert software architect planning a change to an existing codebase.
+
+Your task is to analyze a feature specification and the current repository, and plan the file
+changes that implement the feature.
+
+Return a JSON object with this exact structure:
+{
+  "files": [
+    {
+      "path": "relative/path/to/file.ext",
+      "action": "create",
+      "prompt": "Detailed description of the file to create, or of the change to make to it",
+      "dependsOn": ["relative/path/of/a/file/this/one/imports.ext"],
+      "exports": ["function handler(event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult>"]
+    }
+  ],
+  "dependencies": null
+}
+
+Guidelines:
+- action is "create" for new files, "modify" for existing files that change, "delete" for files to remove
+- Only "modify" or "delete" paths that exist in the current file tree; never "create" an existing path
+- Keep the change minimal: do not rewrite files the feature does not need to touch
+- For "modify", the prompt must describe exactly what to change; the current contents are provided when
+  the change is generated
+- Follow the conventions visible in the existing code (language, structure, naming, frameworks)
+- Dependency changes (package.json, requirements.txt, ...) are "modify" entries; dependencies must be null
+- dependsOn lists the paths this file imports or reads, including existing files that are not in the plan;
+  planned files are generated in dependency order and see their dependencies' contents
+- dependsOn must not form cycles
+- exports lists the public interface of the file that other files rely on; use [] when nothing depends on it
+- Include tests for the new behavior
+`;
+
+/**
+ * Check create/modify/delete actions against the current repository
+ */
+function validateActions(files, existingPaths) {
+  const existing = new Set(existingPaths);
+  const errors = [];
+
+  for (const file of files) {
+    const action = file.action || 'create';
+
+    if (action === 'create' && existing.has(file.path)) {
+      errors.push(`${file.path} already exists; use action "modify"`);
+    } else if (action !== 'create' && !existing.has(file.path)) {
+      errors.push(`${file.path} does not exist, so it cannot be ${action === 'modify' ? 'modified' : 'deleted'}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Keep the template's own prompt, exports and dependencies for the files it requires,
+ * adding whatever project specifics the AI planned on top
+ */
+function applyTemplateFiles(files, template) {
+  return files.map((file) => {
+    const preset = template.files.find((f) => f.path === file.path);
+    if (!preset) return file;
+
+    return {
+      ...file,
+      prompt: file.prompt.includes(preset.prompt) ? file.prompt : `${preset.prompt}\n\n${file.prompt}`,
+      dependsOn: [...new Set([...(preset.dependsOn || []), ...(file.dependsOn || [])])],
+      exports: file.exports?.length > 0 ? file.exports : preset.exports,
+    };
+  });
+}
+
 const userPrompt = `Create a scaffold plan for this project:
 
 **Project Name:** ${PROJECT_NAME}
@@ -71,40 +205,86 @@ Return the JSON plan following the exact schema specified in the system prompt.`
 async function main() {
   console.error('🤖 Generating project scaffold plan...');
   console.error(`Project: ${PROJECT_NAME}`);
+  console.error(`Mode: ${SCAFFOLD_MODE}`);
+  console.error(`Template: ${SCAFFOLD_TEMPLATE || '(none)'}`);
   console.error(`Prompt length: ${SCAFFOLD_PROMPT.length} characters`);
 
   try {
-    const response = await callAI({
-      systemPrompt,
-      prompt: userPrompt,
+    const template = SCAFFOLD_TEMPLATE ? loadTemplate(SCAFFOLD_TEMPLATE) : null;
+    let existingPaths = [];
+    let prompt = userPrompt;
+
+    if (SCAFFOLD_MODE === 'extend') {
+      console.error(`🔍 Scanning repository: ${REPO_DIR}`);
+      const repo = await scanRepo(REPO_DIR);
+      existingPaths = repo.files;
+      console.error(`✅ Found ${repo.files.length} files (${repo.keyFiles.length} key files included)`);
+
+      prompt = `Plan the changes that add this feature to the existing project:
+
+**Project Name:** ${PROJECT_NAME}
+
+**Feature Specification:**
+${SCAFFOLD_PROMPT}
+
+${formatRepoContext(repo)}
+
+Return the JSON plan following the exact schema specified in the system prompt.`;
+    }
+
+    // The preset's conventions, config and required files apply on top of the spec
+    if (template) {
+      prompt = `${prompt}\n\n${formatTemplate(template, existingPaths)}`;
+    }
+
+    // Parsed and validated against planSchema, with automatic repair
+    const plan = await callAIStructured({
+      systemPrompt: SCAFFOLD_MODE === 'extend' ? extendSystemPrompt : systemPrompt,
+      prompt,
       maxTokens: 8192,
       temperature: 0.7,
+      schema: planSchema,
+      schemaName: 'scaffold_plan',
+      // The graph is checked with the template's dependencies merged in, as the levels are computed from them
+      validate: (data) => [
+        ...(SCAFFOLD_MODE === 'extend' ? validateActions(data.files, existingPaths) : []),
+        ...(template ? missingTemplateFiles(template, data.files, existingPaths) : []),
+        ...validatePlanGraph(template ? applyTemplateFiles(data.files, template) : data.files, { existingPaths }),
+      ],
     });
 
     console.error('✅ AI response received');
 
-    // Extract JSON from response
-    const plan = extractJSON(response);
+    plan.mode = SCAFFOLD_MODE;
+    plan.template = template?.id || null;
 
-    // Validate plan structure
-    if (!plan.files || !Array.isArray(plan.files)) {
-      throw new Error('Invalid plan: missing or invalid "files" array');
+    if (template) {
+      plan.files = applyTemplateFiles(plan.files, template);
+      plan.dependencies = mergeDependencies(template.dependencies, plan.dependencies);
     }
 
-    if (plan.files.length === 0) {
-      throw new Error('Invalid plan: files array is empty');
+    // Existing manifests are changed through "modify" entries instead
+    if (SCAFFOLD_MODE === 'extend') {
+      plan.dependencies = null;
     }
 
-    for (const file of plan.files) {
-      if (!file.path || !file.prompt) {
-        throw new Error(`Invalid file entry: ${JSON.stringify(file)}`);
-      }
-    }
+    // Sort files into generation order so dependencies are written first
+    const levels = planLevels(plan.files);
+    plan.files = levels.flatMap((files, level) =>
+      files.map((file) => ({
+        ...file,
+        action: file.action || 'create',
+        dependsOn: file.dependsOn || [],
+        exports: file.exports || [],
+        level,
+      }))
+    );
 
-    console.error(`📦 Plan generated: ${plan.files.length} files`);
+    console.error(`📦 Plan generated: ${plan.files.length} files in ${levels.length} dependency level(s)`);
     console.error('Files to generate:');
     plan.files.forEach((f, i) => {
-      console.error(`  ${i + 1}. ${f.path}`);
+      const deps = f.dependsOn.length > 0 ? ` (after ${f.dependsOn.join(', ')})` : '';
+      console.error(`  ${i + 1}. [L${f.level}] ${f.action} ${f.path}${deps}`);
     });
 
     // Write plan to file
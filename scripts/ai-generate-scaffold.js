@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+/**
+ * ai-generate-scaffold.js
+ * Generates every file of a scaffold plan in dependency order
+ *
+ * Files are generated level by level (see plan-graph.js): all files of a level
+ * run in parallel through ai-generate-file.js, and each one sees the contents
+ * of the dependencies generated in earlier levels.
+ *
+ * Environment:
+ *   PROJECT_NAME - Name of the project
+ *   PLAN_FILE - Plan to generate (default: plan.json)
+ *   GENERATED_DIR - Output directory (default: generated)
+ *   SCAFFOLD_CONCURRENCY - Files generated in parallel within a level (default: 3)
+ *   REPO_DIR - Existing repository for plans that modify files (passed to ai-generate-file.js)
+ *   AI_USAGE_FILE - Base ledger path; each file gets its own ledger
+ *                   (<name>-<index>.json) so parallel writers do not collide
+ *
+ * Output:
+ *   Writes generated files under GENERATED_DIR, preserving plan paths
+ *   Writes scaffold-results.json: [{path, action, level, status, validator?, error?}]
+ *   status is generated, invalid (written but still failing validation after
+ *   the AI repair passes), failed (not written) or deleted (left to the commit
+ *   step, which removes the file)
+ *
+ * Exit Code:
+ *   0 - All files written (invalid files are reported, not fatal)
+ *   1 - At least one file failed
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { validatePlanGraph, planLevels } from './plan-graph.js';
+
+const PROJECT_NAME = process.env.PROJECT_NAME;
+const PLAN_FILE = path.resolve(process.env.PLAN_FILE || 'plan.json');
+const GENERATED_DIR = path.resolve(process.env.GENERATED_DIR || 'generated');
+const SCAFFOLD_CONCURRENCY = parseInt(process.env.SCAFFOLD_CONCURRENCY || '3', 10);
+const AI_USAGE_FILE = process.env.AI_USAGE_FILE;
+
+const SCRIPTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Per-file ledger path derived from AI_USAGE_FILE
+ */
+function usageFileFor(index) {
+  if (!AI_USAGE_FILE) return undefined;
+
+  const ext = path.extname(AI_USAGE_FILE);
+  return `${AI_USAGE_FILE.slice(0, AI_USAGE_FILE.length - ext.length)}-${index}${ext || '.json'}`;
+}
+
+/**
+ * Run ai-generate-file.js for one plan entry
+ * @returns {Promise<Object|null>} - Validation result written by the child;
+ *   rejects when the child exits non-zero
+ */
+function generateFile(file, index, validationDir) {
+  const validationFile = path.join(validationDir, `${index}.json`);
+  const env = {
+    ...process.env,
+    FILE_PATH: file.path,
+    FILE_PROMPT: file.prompt,
+    PROJECT_NAME,
+    PLAN_FILE,
+    GENERATED_DIR,
+    OUTPUT_FILE: path.join(GENERATED_DIR, file.path),
+    VALIDATION_FILE: validationFile,
+  };
+
+  const usageFile = usageFileFor(index);
+  if (usageFile) {
+    env.AI_USAGE_FILE = usageFile;
+  }
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(SCRIPTS_DIR, 'ai-generate-file.js')], {
+      env,
+      stdio: ['ignore', 'inherit', 'inherit'],
+    });
+
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code === 0) resolve(fs.existsSync(validationFile) ? JSON.parse(fs.readFileSync(validationFile, 'utf-8')) : null);
+      else reject(new Error(`ai-generate-file.js exited with code ${code}`));
+    });
+  });
+}
+
+/**
+ * Run tasks with at most `limit` in flight
+ */
+async function runWithConcurrency(items, limit, task) {
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const item = items[next++];
+      await task(item);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+async function main() {
+  if (!fs.existsSync(PLAN_FILE)) {
+    console.error(`Error: plan file not found: ${PLAN_FILE}`);
+    process.exit(1);
+  }
+
+  const plan = JSON.parse(fs.readFileSync(PLAN_FILE, 'utf-8'));
+  const graphErrors = validatePlanGraph(plan.files);
+  if (graphErrors.length > 0) {
+    console.error('❌ Invalid plan dependency graph:');
+    graphErrors.forEach((error) => console.error(`  - ${error}`));
+    process.exit(1);
+  }
+
+  const levels = planLevels(plan.files);
+  const indexOf = new Map(plan.files.map((file, index) => [file.path, index]));
+  const results = [];
+
+  console.error(`🏗️  Generating ${plan.files.length} files in ${levels.length} dependency level(s)`);
+  fs.mkdirSync(GENERATED_DIR, { recursive: true });
+  const validationDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-validation-'));
+
+  for (const [level, entries] of levels.entries()) {
+    // Deletions need no generation
+    for (const file of entries.filter((f) => f.action === 'delete')) {
+      results.push({ path: file.path, action: file.action, level, status: 'deleted' });
+    }
+
+    const files = entries.filter((f) => f.action !== 'delete');
+    if (files.length === 0) continue;
+
+    console.error(`\n📚 Level ${level}: ${files.map((f) => f.path).join(', ')}`);
+
+    await runWithConcurrency(files, SCAFFOLD_CONCURRENCY, async (file) => {
+      try {
+        const validation = await generateFile(file, indexOf.get(file.path), validationDir);
+
+        if (validation && !validation.valid) {
+          results.push({
+            path: file.path,
+            action: file.action,
+            level,
+            status: 'invalid',
+            validator: validation.validator,
+            error: validation.error,
+          });
+        } else {
+          results.push({
+            path: file.path,
+            action: file.action,
+            level,
+            status: 'generated',
+            validator: validation?.validator || undefined,
+          });
+        }
+      } catch (error) {
+        // Keep going: dependents fall back to the planned exports of this file
+        console.error(`❌ Failed to generate ${file.path}: ${error.message}`);
+        results.push({ path: file.path, action: file.action, level, status: 'failed', error: error.message });
+      }
+    });
+  }
+
+  fs.rmSync(validationDir, { recursive: true, force: true });
+  fs.writeFileSync('scaffold-results.json', JSON.stringify(results, null, 2));
+
+  const failed = results.filter((r) => r.status === 'failed');
+  const invalid = results.filter((r) => r.status === 'invalid');
+  const written = results.filter((r) => r.status !== 'deleted');
+  console.error(`\n✅ Generated ${written.length - failed.length}/${written.length} files`);
+
+  if (invalid.length > 0) {
+    console.error(`⚠️  Still invalid after repair: ${invalid.map((r) => r.path).join(', ')}`);
+  }
+
+  if (failed.length > 0) {
+    console.error(`❌ Failed: ${failed.map((r) => r.path).join(', ')}`);
+    process.exit(1);
+  }
+}
+
+main();
@@ -3,11 +3,23 @@
  * ai-generate-tests.js
  * Generates sanity tests for a deployed API using AI
  *
+ * When the repository ships an OpenAPI/Swagger spec (openapi.yaml, swagger.json, ...)
+ * the tests are derived from it: one happy-path step per operation with
+ * response schema validation (see openapi-tests.js). The AI then only fills
+ * in realistic data and chains the steps; the spec's methods, paths and
+ * response schemas are kept.
+ *
+ * Deployments without an HTTP API (e.g. a plain Lambda) get non-HTTP steps
+ * that invoke the function or check queues, tables and buckets (see test-aws.js).
+ *
  * Environment:
  *   AI_API_KEY, AI_MODEL, AI_ENDPOINT - AI configuration
+ *   OPENAPI_TESTS_AI - Set to "false" to use the spec-derived tests without AI refinement
+ *   REPO_DIR - Repository to look for the API spec and code in (default: current directory)
  *
  * Inputs:
- *   outputs.json - Deployment outputs with API URL
+ *   outputs.json - Deployment outputs (API URL, function, queue, table and bucket names)
+ *   openapi.{yaml,yml,json} / swagger.{yaml,yml,json} - API spec (optional)
  *
  * Output:
  *   sanity-tests.json - Test plan with structure:
@@ -15,37 +27,165 @@
  *     tests: [{
  *       name: string,
  *       description: string,
+ *       setup?: [step],                 - Run before the steps; a failure skips the suite
+ *       teardown?: [step],              - Run after the steps, even when one failed
  *       steps: [{
  *         action: string,
+ *         type?: "http" | "lambda" | "sqs" | "sns" | "dynamodb" | "s3"
+ *                                       - Non-HTTP steps call AWS instead of the API (fields in test-aws.js)
  *         endpoint: string,
  *         method: string,
  *         body?: object,
  *         headers?: object,
  *         expectedStatus: number,
- *         storeVariables?: {varName: "response.path"}
+ *         query?: object,               - Query parameters, URL-encoded after substitution
+ *         storeVariables?: {varName: "response.path" | "$.jsonpath" | "headers.name"},
+ *         assertions?: [{path|header, equals?, contains?, matches?, exists?}],
+ *         responseSchema?: object,
+ *         maxLatencyMs?: number,
+ *         timeoutMs?: number,
+ *         retry?: {attempts, intervalMs?}, - Repeat until the checks pass (eventual consistency)
+ *         auth?: false                  - Send without the runner's credentials
  *       }]
  *     }]
  *   }
+ *   usage.json - AI token usage ledger (appended, see ai-usage.js)
  */
 
 import fs from 'fs';
 import path from 'path';
 import { glob } from 'glob';
-import { callAI, extractJSON } from './ai-client.js';
+import { callAIStructured } from './ai-client.js';
+import { validateAssertions } from './test-assertions.js';
+import { referencedVariables } from './test-variables.js';
+import { AWS_STEP_TYPES } from './test-aws.js';
+import { findOpenApiSpec, listOperations, buildSpecTestPlan, matchOperation } from './openapi-tests.js';
+
+const OPENAPI_TESTS_AI = process.env.OPENAPI_TESTS_AI !== 'false';
+const REPO_DIR = path.resolve(process.env.REPO_DIR || '.');
+
+// Fields each non-HTTP step type needs (see test-aws.js)
+const awsStepRequirements = {
+  lambda: { required: ['functionName'] },
+  sqs: { required: ['queueUrl'], oneOf: [{ required: ['send'] }, { required: ['receive'] }] },
+  sns: { required: ['topicArn', 'message'] },
+  dynamodb: { required: ['table', 'key'], properties: { key: { type: 'object' } } },
+  s3: { required: ['bucket', 'key'], properties: { key: { type: 'string' } } },
+};
+
+// JSON Schema for one step
+const stepSchema = {
+  type: 'object',
+  required: ['action'],
+  properties: {
+    action: { type: 'string' },
+    type: { enum: ['http', ...AWS_STEP_TYPES] },
+    endpoint: { type: 'string', pattern: '^/' },
+    method: { type: 'string', enum: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'] },
+    body: {},
+    headers: { type: 'object', additionalProperties: { type: 'string' } },
+    expectedStatus: { type: 'integer', minimum: 100, maximum: 599 },
+    query: { type: 'object', additionalProperties: { type: ['string', 'number', 'boolean'] } },
+    storeVariables: { type: 'object', additionalProperties: { type: 'string' } },
+    assertions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', pattern: '^\\$' },
+          header: { type: 'string', minLength: 1 },
+          equals: {},
+          contains: {},
+          matches: { type: 'string' },
+          exists: { type: 'boolean' },
+        },
+        oneOf: [{ required: ['path'] }, { required: ['header'] }],
+      },
+    },
+    responseSchema: { type: 'object' },
+    maxLatencyMs: { type: 'integer', minimum: 1 },
+    timeoutMs: { type: 'integer', minimum: 1 },
+    retry: {
+      type: 'object',
+      required: ['attempts'],
+      properties: {
+        attempts: { type: 'integer', minimum: 1, maximum: 30 },
+        intervalMs: { type: 'integer', minimum: 0 },
+      },
+    },
+    auth: { enum: [false] },
+    functionName: { type: 'string', minLength: 1 },
+    payload: {},
+    queueUrl: { type: 'string', minLength: 1 },
+    send: {},
+    receive: {
+      type: 'object',
+      properties: {
+        waitSeconds: { type: 'integer', minimum: 0, maximum: 20 },
+        maxMessages: { type: 'integer', minimum: 1, maximum: 10 },
+      },
+    },
+    attributes: { type: 'object', additionalProperties: { type: 'string' } },
+    messageGroupId: { type: 'string' },
+    topicArn: { type: 'string', minLength: 1 },
+    message: {},
+    subject: { type: 'string' },
+    table: { type: 'string', minLength: 1 },
+    key: {},
+    bucket: { type: 'string', minLength: 1 },
+  },
+  allOf: [
+    {
+      // HTTP is the default type
+      if: { properties: { type: { const: 'http' } } },
+      then: { required: ['endpoint', 'method', 'expectedStatus'] },
+    },
+    ...Object.entries(awsStepRequirements).map(([type, requirements]) => ({
+      if: { properties: { type: { const: type } }, required: ['type'] },
+      then: requirements,
+    })),
+  ],
+};
+
+// JSON Schema for sanity-tests.json
+const testPlanSchema = {
+  type: 'object',
+  required: ['tests'],
+  properties: {
+    tests: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'steps'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          description: { type: 'string' },
+          setup: { type: 'array', items: stepSchema },
+          steps: { type: 'array', minItems: 1, items: stepSchema },
+          teardown: { type: 'array', items: stepSchema },
+        },
+      },
+    },
+  },
+};
 
 async function scanCodebase() {
   console.error('🔍 Scanning codebase for API structure...');
 
-  const relevantFiles = await glob([
-    '**/*.{js,ts,py,java,go}',
-    '**/openapi.{yaml,yml,json}',
-    '**/swagger.{yaml,yml,json}',
-    '!node_modules/**',
-    '!.git/**',
-    '!dist/**',
-    '!build/**',
-    '!coverage/**',
-  ]);
+  const relevantFiles = await glob(
+    [
+      '**/*.{js,ts,py,java,go}',
+      '**/openapi.{yaml,yml,json}',
+      '**/swagger.{yaml,yml,json}',
+      '!node_modules/**',
+      '!.git/**',
+      '!dist/**',
+      '!build/**',
+      '!coverage/**',
+    ],
+    { cwd: REPO_DIR }
+  );
 
   let codeContext = '';
   let fileCount = 0;
@@ -53,7 +193,7 @@ async function scanCodebase() {
   for (const file of relevantFiles.slice(0, 20)) {
     // Limit to first 20 files
     try {
-      const content = fs.readFileSync(file, 'utf-8');
+      const content = fs.readFileSync(path.join(REPO_DIR, file), 'utf-8');
 
       // Only include files that look like they define routes/handlers
       if (
@@ -64,7 +204,8 @@ async function scanCodebase() {
         content.includes('http.HandleFunc') ||
         content.includes('@RestController') ||
         content.includes('openapi') ||
-        content.includes('swagger')
+        content.includes('swagger') ||
+        /exports\.handler|export (const|async function) handler|def (lambda_)?handler\(|lambda\.Start\(/.test(content)
       ) {
         codeContext += `\n\n--- ${file} ---\n${content.substring(0, 2000)}\n`;
         fileCount++;
@@ -78,6 +219,218 @@ async function scanCodebase() {
   return codeContext;
 }
 
+/**
+ * Every step of a plan (setup, steps and teardown) with its JSON pointer
+ * @returns {{step: Object, location: string}[]}
+ */
+function planSteps(plan) {
+  return plan.tests.flatMap((suite, i) =>
+    ['setup', 'steps', 'teardown'].flatMap((phase) =>
+      (suite[phase] || []).map((step, j) => ({ step, location: `/tests/${i}/${phase}/${j}` }))
+    )
+  );
+}
+
+function isHttpStep(step) {
+  return !step.type || step.type === 'http';
+}
+
+function validatePlanAssertions(plan) {
+  return planSteps(plan).flatMap(({ step, location }) => validateAssertions(step, location));
+}
+
+/**
+ * Errors for placeholders that refer to neither a deployment output nor a
+ * variable stored by an earlier step of the same suite
+ */
+function validatePlanVariables(plan, outputs) {
+  const errors = [];
+
+  plan.tests.forEach((suite, i) => {
+    const defined = new Set(Object.keys(outputs));
+
+    for (const phase of ['setup', 'steps', 'teardown']) {
+      (suite[phase] || []).forEach((step, j) => {
+        const { storeVariables, responseSchema, ...request } = step;
+        const used = referencedVariables(request);
+        for (const name of used.filter((n) => !defined.has(n))) {
+          errors.push(`/tests/${i}/${phase}/${j}: \${${name}} is not a deployment output or stored by an earlier step`);
+        }
+
+        Object.keys(step.storeVariables || {}).forEach((name) => defined.add(name));
+      });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Errors for steps that leave the spec and operations the plan no longer tests
+ * @param {Object} plan
+ * @param {Object[]} operations - All operations of the spec
+ * @param {Object[]} [required] - Operations the plan must test (default: all)
+ */
+function validateSpecCoverage(plan, operations, required = operations) {
+  const errors = [];
+  const covered = new Set();
+
+  for (const { step, location } of planSteps(plan)) {
+    if (!isHttpStep(step)) {
+      errors.push(`${location}: only HTTP steps calling the spec's operations are allowed`);
+      continue;
+    }
+
+    const operation = matchOperation(operations, step.method, step.endpoint);
+
+    if (!operation) {
+      errors.push(`${location}: ${step.method} ${step.endpoint} is not an operation in the spec`);
+    } else if (step.expectedStatus !== operation.expectedStatus) {
+      const name = `${operation.method} ${operation.path}`;
+      errors.push(`${location}: expectedStatus must be ${operation.expectedStatus} for ${name}`);
+    } else {
+      covered.add(operation);
+    }
+  }
+
+  for (const operation of required) {
+    if (!covered.has(operation)) {
+      errors.push(`Operation ${operation.method} ${operation.path} is missing from the plan`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Attach the spec's response schemas to the steps that call each operation
+ */
+function attachResponseSchemas(plan, operations) {
+  for (const { step } of planSteps(plan).filter(({ step }) => isHttpStep(step))) {
+    delete step.responseSchema;
+
+    const operation = matchOperation(operations, step.method, step.endpoint);
+    if (operation?.responseSchema) {
+      step.responseSchema = operation.responseSchema;
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Derive the test plan from an OpenAPI spec, letting the AI fill in data and chaining
+ */
+async function generateFromSpec({ file, spec }, apiUrl, outputs) {
+  const operations = listOperations(spec);
+  console.error(`📘 Using OpenAPI spec ${file} (${operations.length} operations)`);
+
+  if (operations.length === 0) {
+    throw new Error(`${file} defines no operations`);
+  }
+
+  const { skipped, ...specPlan } = buildSpecTestPlan(operations);
+  const planned = operations.filter(
+    (operation) => !skipped.some((s) => s.method === operation.method && s.path === operation.path)
+  );
+
+  for (const { method, path: route, param } of skipped) {
+    console.error(`⚠️  Skipping ${method} ${route}: no create operation returns a value for {${param}}`);
+  }
+
+  if (!OPENAPI_TESTS_AI) {
+    console.error('⏭️  OPENAPI_TESTS_AI=false, using the spec-derived tests as is');
+    return specPlan;
+  }
+
+  // Response schemas are re-attached from the spec, no need to send them
+  const withoutSchemas = (steps) => steps?.map(({ responseSchema, ...step }) => step);
+  const skeleton = {
+    tests: specPlan.tests.map((suite) => ({
+      ...suite,
+      ...(suite.setup && { setup: withoutSchemas(suite.setup) }),
+      steps: withoutSchemas(suite.steps),
+    })),
+  };
+
+  const systemPrompt = `You are a QA engineer specialized in API testing.
+
+You are given sanity tests generated from an API's OpenAPI spec: one happy-path step per operation, with
+placeholder data built from the spec's schemas. Turn them into a realistic happy-flow test plan in the same
+JSON format ({"tests": [{"name", "description", "steps": [...]}]}).
+
+You may:
+- Replace placeholder values in bodies, path parameters and query strings with realistic test data
+- Regroup and reorder steps into CRUD chains (CREATE → READ → UPDATE → DELETE), repeating an operation where a
+  chain needs it
+- Add storeVariables ({"varName": "response.data.id"}, "$.items[0].id" or "headers.location") and use
+  "\${varName}" in later endpoints, headers and bodies so they use ids returned by earlier steps
+- Use "\${uuid}", "\${timestamp}" or "\${randomEmail}" for values that must be unique per run
+- Add assertions ({"path": "$.name", "equals": "..."} or {"header": "content-type", "contains": "json"}) for
+  values the test controls, and maxLatencyMs
+- Move steps that create data only other steps need into the suite's "setup" and DELETE steps into "teardown";
+  teardown runs even when a test step fails
+- Add "retry" ({"attempts": 5, "intervalMs": 2000}) to reads that only succeed once earlier writes have propagated
+
+You must:
+- Keep every operation from the input, with its method, path and expectedStatus
+- Only call operations from the input
+- Leave out responseSchema; the spec's response schemas are attached automatically
+- Never add credentials, API keys or tokens; the test runner authenticates requests
+`;
+
+  const userPrompt = `Refine these spec-derived sanity tests:
+
+**API Base URL:** ${apiUrl}
+
+**Spec-derived tests:**
+\`\`\`json
+${JSON.stringify(skeleton, null, 2)}
+\`\`\`
+
+**OpenAPI spec (${file}):**
+${fs.readFileSync(path.join(REPO_DIR, file), 'utf-8').substring(0, 15000)}
+
+**Additional Context (deployment outputs):**
+${JSON.stringify(outputs, null, 2)}
+
+Return ONLY the JSON object specified in the system prompt.`;
+
+  try {
+    const testPlan = await callAIStructured({
+      systemPrompt,
+      prompt: userPrompt,
+      maxTokens: 8192,
+      temperature: 0.7,
+      schema: testPlanSchema,
+      schemaName: 'sanity_test_plan',
+      validate: (plan) => [
+        ...validatePlanAssertions(plan),
+        ...validatePlanVariables(plan, outputs),
+        ...validateSpecCoverage(plan, operations, planned),
+      ],
+    });
+
+    console.error('✅ AI response received');
+    return attachResponseSchemas(testPlan, operations);
+  } catch (error) {
+    console.error(`⚠️  AI refinement failed (${error.message}), using the spec-derived tests as is`);
+    return specPlan;
+  }
+}
+
+function writeTestPlan(testPlan) {
+  console.error(`📋 Generated ${testPlan.tests.length} test suite(s)`);
+  testPlan.tests.forEach((suite, i) => {
+    console.error(`  ${i + 1}. ${suite.name} (${suite.steps.length} steps)`);
+  });
+
+  // Write test plan
+  fs.writeFileSync('sanity-tests.json', JSON.stringify(testPlan, null, 2));
+
+  console.error('✅ Test plan written to sanity-tests.json');
+}
+
 async function main() {
   console.error('🧪 Generating sanity tests via AI...');
 
@@ -100,13 +453,26 @@ async function main() {
     outputs.HttpApiUrl ||
     Object.values(outputs).find((v) => typeof v === 'string' && v.startsWith('http'));
 
-  if (!apiUrl) {
-    console.error('❌ No API URL found in deployment outputs');
+  // Deployments without an API (e.g. a plain Lambda) get non-HTTP steps only
+  if (apiUrl) {
+    console.error(`🌐 API URL: ${apiUrl}`);
+  } else {
+    console.error('⚠️  No API URL found in deployment outputs, generating non-HTTP tests');
     console.error('Available outputs:', Object.keys(outputs));
-    process.exit(1);
   }
 
-  console.error(`🌐 API URL: ${apiUrl}`);
+  // Derive tests from the API spec when the repository has one
+  const openApi = apiUrl ? await findOpenApiSpec(REPO_DIR) : null;
+  if (openApi) {
+    try {
+      writeTestPlan(await generateFromSpec(openApi, apiUrl, outputs));
+    } catch (error) {
+      console.error('❌ Error generating tests:', error.message);
+      console.error(error.stack);
+      process.exit(1);
+    }
+    return;
+  }
 
   // Scan codebase for API structure
   const codeContext = await scanCodebase();
@@ -129,8 +495,20 @@ Return a JSON object with this exact structure:
           "body": { "key": "value" },
           "headers": { "Content-Type": "application/json" },
           "expectedStatus": 200,
-          "storeVariables": { "varName": "response.data.id" }
+          "storeVariables": { "itemId": "response.data.id" },
+          "assertions": [
+            { "path": "$.data.id", "exists": true },
+            { "path": "$.data.name", "equals": "Test item" },
+            { "path": "$.data.tags", "contains": "sample" },
+            { "path": "$.data.createdAt", "matches": "^[0-9]{4}-[0-9]{2}-[0-9]{2}" },
+            { "header": "content-type", "contains": "application/json" }
+          ],
+          "responseSchema": { "type": "object", "required": ["data"] },
+          "maxLatencyMs": 3000
         }
+      ],
+      "teardown": [
+        { "action": "Delete test item", "endpoint": "/api/path/\${itemId}", "method": "DELETE", "expectedStatus": 204 }
       ]
     }
   ]
@@ -140,15 +518,43 @@ Guidelines:
 - Generate ONLY happy-flow tests (successful scenarios)
 - Test the most critical API endpoints
 - Use realistic test data
-- Chain requests (use storeVariables to pass data between steps)
+- Chain requests: storeVariables takes values from the response body ("response.items[0].id" or a JSONPath like
+  "$.items[0].id") or headers ("headers.location"); later steps use them as "\${varName}" in endpoints, "query",
+  headers, bodies and assertions. Only use variables stored by earlier steps of the same suite or deployment outputs
+- Use "\${uuid}", "\${timestamp}" or "\${randomEmail}" for values that must be unique per run; a generator has the
+  same value everywhere in one step
 - Include proper HTTP methods and expected status codes
+- Check response bodies, not only status codes: add assertions (JSONPath "path" or response "header" with
+  equals/contains/matches/exists) for the fields the API must return, and a responseSchema where the shape is known
+- Assert on values the test controls (data it sent, stored variables like "\${varName}"); check generated ids and
+  timestamps with exists or matches only
+- Set maxLatencyMs generously (e.g. 3000-5000) to catch hung endpoints, allowing for cold starts
+- Never put credentials, API keys or tokens in headers; the test runner authenticates requests. Set
+  "auth": false only on steps that must be sent without credentials (e.g. public health checks)
 - Typical flow: CREATE → READ → UPDATE → DELETE
+- Suites run in parallel: keep each suite independent, creating its own data. Put data only other steps need in
+  the suite's "setup" and cleanup (DELETE) in "teardown"; teardown runs even when a test step fails
+- Add "retry" ({"attempts": 5, "intervalMs": 2000}) to reads of eventually consistent data, and "timeoutMs" to
+  steps that are expected to be slow
 - Maximum 3-5 test suites, each with 2-5 steps
+
+Non-HTTP steps call AWS directly. Use them when the deployment has no API URL, or to observe side effects of API
+calls. They have no endpoint, method or expectedStatus; assertions, responseSchema and storeVariables apply to the
+result, and resource names should come from deployment outputs ("\${FunctionName}"):
+- {"type": "lambda", "action": "...", "functionName": "\${FunctionName}", "payload": {...}} - Invoke a function;
+  checks run on the returned payload and a function error fails the step
+- {"type": "sqs", "action": "...", "queueUrl": "\${QueueUrl}", "send": {...}} - Send a message
+- {"type": "sqs", "action": "...", "queueUrl": "\${QueueUrl}", "receive": {"waitSeconds": 10}} - Receive messages;
+  checks run on {"messages": [...]}
+- {"type": "sns", "action": "...", "topicArn": "\${TopicArn}", "message": {...}} - Publish a message
+- {"type": "dynamodb", "action": "...", "table": "\${TableName}", "key": {"pk": "..."}} - Read an item
+- {"type": "s3", "action": "...", "bucket": "\${BucketName}", "key": "path/to/object.json"} - Read an object
+Test asynchronous processing by publishing in one step and reading the result in a later step with "retry".
 `;
 
-  const userPrompt = `Generate sanity tests for this API:
+  const userPrompt = `Generate sanity tests for this ${apiUrl ? 'API' : 'deployment'}:
 
-**API Base URL:** ${apiUrl}
+**API Base URL:** ${apiUrl || 'none (the deployment has no HTTP API; use only non-HTTP steps)'}
 
 **Code Context (API definitions):**
 ${codeContext || 'No code files found - infer from common REST patterns'}
@@ -160,32 +566,20 @@ Generate comprehensive happy-flow sanity tests that verify the API is working co
 Return ONLY the JSON object specified in the system prompt.`;
 
   try {
-    const response = await callAI({
+    // Parsed and validated against testPlanSchema, with automatic repair
+    const testPlan = await callAIStructured({
       systemPrompt,
       prompt: userPrompt,
       maxTokens: 8192,
       temperature: 0.7,
+      schema: testPlanSchema,
+      schemaName: 'sanity_test_plan',
+      validate: (plan) => [...validatePlanAssertions(plan), ...validatePlanVariables(plan, outputs)],
     });
 
     console.error('✅ AI response received');
 
-    // Extract JSON from response
-    const testPlan = extractJSON(response);
-
-    // Validate structure
-    if (!testPlan.tests || !Array.isArray(testPlan.tests)) {
-      throw new Error('Invalid test plan: missing or invalid "tests" array');
-    }
-
-    console.error(`📋 Generated ${testPlan.tests.length} test suite(s)`);
-    testPlan.tests.forEach((suite, i) => {
-      console.error(`  ${i + 1}. ${suite.name} (${suite.steps.length} steps)`);
-    });
-
-    // Write test plan
-    fs.writeFileSync('sanity-tests.json', JSON.stringify(testPlan, null, 2));
-
-    console.error('✅ Test plan written to sanity-tests.json');
+    writeTestPlan(testPlan);
   } catch (error) {
     console.error('❌ Error generating tests:', error.message);
     console.error(error.stack);
@@ -0,0 +1,189 @@
+/**
+ * ai-retry.js
+ * Shared retry, backoff and timeout policy for AI provider calls.
+ *
+ * Every provider call in ai-client.js goes through withRetry(), which:
+ * - aborts an attempt after AI_TIMEOUT_MS
+ * - retries throttling, 5xx, timeout and network errors with exponential
+ *   backoff and full jitter, honoring Retry-After when the provider sends it
+ * - fails immediately on errors that cannot succeed on retry (auth, validation)
+ * - gives up once the call as a whole, retries and waits included, passes AI_DEADLINE_MS
+ *
+ * Environment:
+ *   AI_MAX_RETRIES   - Retries after the first attempt (default: 3)
+ *   AI_TIMEOUT_MS    - Deadline for a single attempt in ms (default: 120000)
+ *   AI_DEADLINE_MS   - Deadline for a call including all its retries in ms (default: 600000)
+ *   AI_RETRY_BASE_MS - Initial backoff delay in ms (default: 1000)
+ *   AI_RETRY_MAX_MS  - Upper bound for a backoff delay in ms, Retry-After included (default: 30000)
+ */
+
+const AI_MAX_RETRIES = parseInt(process.env.AI_MAX_RETRIES || '3', 10);
+const AI_TIMEOUT_MS = parseInt(process.env.AI_TIMEOUT_MS || '120000', 10);
+const AI_RETRY_BASE_MS = parseInt(process.env.AI_RETRY_BASE_MS || '1000', 10);
+const AI_RETRY_MAX_MS = parseInt(process.env.AI_RETRY_MAX_MS || '30000', 10);
+const AI_DEADLINE_MS = parseInt(process.env.AI_DEADLINE_MS || '600000', 10);
+
+// HTTP statuses worth retrying
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504, 529]);
+
+// AWS SDK exception names worth retrying (Bedrock)
+const RETRYABLE_AWS_ERRORS = new Set([
+  'ThrottlingException',
+  'TooManyRequestsException',
+  'ServiceUnavailableException',
+  'InternalServerException',
+  'ModelNotReadyException',
+  'ModelTimeoutException',
+  'RequestTimeout',
+  'TimeoutError',
+]);
+
+// Socket-level error codes worth retrying
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+]);
+
+/**
+ * Error raised when an attempt exceeds AI_TIMEOUT_MS
+ */
+export class AITimeoutError extends Error {
+  constructor(label, timeoutMs) {
+    super(`${label} call timed out after ${timeoutMs}ms`);
+    this.name = 'AITimeoutError';
+  }
+}
+
+/**
+ * Extract the HTTP status from an SDK error (OpenAI/Anthropic or AWS SDK)
+ */
+export function errorStatus(error) {
+  return error?.status ?? error?.$metadata?.httpStatusCode;
+}
+
+/**
+ * Classify an error as retryable or fatal
+ * @returns {boolean} - true if the same request may succeed on retry
+ */
+export function isRetryable(error) {
+  if (error instanceof AITimeoutError) return true;
+
+  if (error?.$retryable) return true;
+  if (RETRYABLE_AWS_ERRORS.has(error?.name)) return true;
+
+  const status = errorStatus(error);
+  if (status !== undefined) {
+    return RETRYABLE_STATUSES.has(status);
+  }
+
+  const code = error?.code || error?.cause?.code;
+  if (RETRYABLE_NETWORK_CODES.has(code)) return true;
+
+  // OpenAI/Anthropic SDKs surface socket failures as status-less connection errors
+  return error?.name === 'APIConnectionError' || /socket hang up|fetch failed/i.test(error?.message || '');
+}
+
+function readHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name) ?? undefined;
+  return headers[name] ?? headers[name.toLowerCase()];
+}
+
+/**
+ * Read the server-requested delay from Retry-After / retry-after-ms headers
+ * @returns {number|undefined} - Delay in ms
+ */
+export function retryAfterMs(error) {
+  const headers = error?.headers || error?.$response?.headers;
+
+  const ms = readHeader(headers, 'retry-after-ms');
+  if (ms !== undefined && !isNaN(parseFloat(ms))) {
+    return parseFloat(ms);
+  }
+
+  const value = readHeader(headers, 'retry-after');
+  if (value === undefined) return undefined;
+
+  const seconds = parseFloat(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+
+  // HTTP-date form
+  const date = Date.parse(value);
+  return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+function backoffMs(attempt) {
+  const ceiling = Math.min(AI_RETRY_MAX_MS, AI_RETRY_BASE_MS * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Run a provider call under the shared retry policy
+ * @param {string} label - Provider name for logs and errors
+ * @param {(ctx: {signal: AbortSignal, attempt: number}) => Promise<T>} fn - The call; must honor signal
+ * @returns {Promise<T>}
+ * @template T
+ */
+export async function withRetry(label, fn) {
+  const maxAttempts = AI_MAX_RETRIES + 1;
+  const deadline = Date.now() + AI_DEADLINE_MS;
+
+  for (let attempt = 1; ; attempt++) {
+    // The last attempt only gets what is left of the overall deadline
+    const timeoutMs = Math.max(0, Math.min(AI_TIMEOUT_MS, deadline - Date.now()));
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+
+    try {
+      return await fn({ signal: controller.signal, attempt });
+    } catch (rawError) {
+      clearTimeout(timer);
+      const error = timedOut ? new AITimeoutError(label, timeoutMs) : rawError;
+
+      if (!isRetryable(error)) {
+        throw error;
+      }
+
+      if (attempt >= maxAttempts) {
+        error.retriesExhausted = true;
+        throw error;
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        console.error(`[AI] ${label} gave up after ${attempt} attempt(s): AI_DEADLINE_MS (${AI_DEADLINE_MS}ms) passed`);
+        error.retriesExhausted = true;
+        throw error;
+      }
+
+      // A server asking for a longer wait than the cap would stall the job
+      const delay = Math.min(retryAfterMs(error) ?? backoffMs(attempt), AI_RETRY_MAX_MS, remaining);
+      const status = errorStatus(error);
+      console.error(
+        `[AI] ${label} ${status ? `HTTP ${status}` : error.name || 'error'} (attempt ${attempt}/${maxAttempts}): ` +
+          `${error.message}. Retrying in ${Math.round(delay)}ms...`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+export default {
+  withRetry,
+  isRetryable,
+  retryAfterMs,
+  errorStatus,
+  AITimeoutError,
+};
@@ -0,0 +1,116 @@
+/**
+ * ai-retry.test.js
+ * The shared retry policy against a fake provider call.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+/**
+ * Import a fresh ai-retry.js with the given environment; its settings are read at load
+ */
+async function loadRetry(env) {
+  const settings = { AI_MAX_RETRIES: '2', AI_RETRY_BASE_MS: '1', AI_RETRY_MAX_MS: '50', ...env };
+  Object.assign(process.env, settings);
+
+  try {
+    return await import(`./ai-retry.js?${encodeURIComponent(JSON.stringify(settings))}`);
+  } finally {
+    for (const name of Object.keys(settings)) delete process.env[name];
+  }
+}
+
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, headers });
+}
+
+/**
+ * A provider call that fails with the given errors in turn, then succeeds
+ */
+function fakeCall(...errors) {
+  const call = async ({ signal }) => {
+    call.attempts++;
+    assert.ok(signal instanceof AbortSignal);
+    if (call.attempts <= errors.length) throw errors[call.attempts - 1];
+    return 'ok';
+  };
+  call.attempts = 0;
+  return call;
+}
+
+/**
+ * A provider call that always fails with the same error
+ */
+function failingCall(error) {
+  const call = async () => {
+    call.attempts++;
+    throw error;
+  };
+  call.attempts = 0;
+  return call;
+}
+
+test('a Retry-After longer than AI_RETRY_MAX_MS is capped', async () => {
+  const { withRetry } = await loadRetry({});
+  const call = fakeCall(httpError(429, { 'retry-after': '3600' }));
+
+  const start = Date.now();
+  assert.equal(await withRetry('fake', call), 'ok');
+
+  assert.equal(call.attempts, 2);
+  assert.ok(Date.now() - start < 1000, `waited ${Date.now() - start}ms`);
+});
+
+test('a 401 fails on the first attempt', async () => {
+  const { withRetry } = await loadRetry({});
+  const error = httpError(401);
+  const call = failingCall(error);
+
+  await assert.rejects(withRetry('fake', call), (thrown) => thrown === error && !thrown.retriesExhausted);
+  assert.equal(call.attempts, 1);
+});
+
+test('a 409 conflict is not retried', async () => {
+  const { withRetry } = await loadRetry({});
+  const call = failingCall(httpError(409));
+
+  await assert.rejects(withRetry('fake', call), /HTTP 409/);
+  assert.equal(call.attempts, 1);
+});
+
+test('retries stop after AI_MAX_RETRIES and mark the error', async () => {
+  const { withRetry } = await loadRetry({});
+  const call = failingCall(httpError(503));
+
+  await assert.rejects(withRetry('fake', call), (thrown) => thrown.status === 503 && thrown.retriesExhausted);
+  assert.equal(call.attempts, 3);
+});
+
+test('AI_DEADLINE_MS caps the backoff sleep and stops further retries', async () => {
+  const { withRetry } = await loadRetry({ AI_MAX_RETRIES: '10', AI_RETRY_MAX_MS: '5000', AI_DEADLINE_MS: '100' });
+  const call = failingCall(httpError(429, { 'retry-after': '5' }));
+
+  const start = Date.now();
+  await assert.rejects(withRetry('fake', call), (thrown) => thrown.status === 429 && thrown.retriesExhausted);
+
+  assert.ok(call.attempts >= 2 && call.attempts <= 3, `${call.attempts} attempts`);
+  assert.ok(Date.now() - start < 1000, `waited ${Date.now() - start}ms`);
+});
+
+test('AI_DEADLINE_MS cuts short an attempt that would outlive it', async () => {
+  const { withRetry, AITimeoutError } = await loadRetry({ AI_TIMEOUT_MS: '10000', AI_DEADLINE_MS: '100' });
+  let attempts = 0;
+  const hang = ({ signal }) =>
+    new Promise((resolve, reject) => {
+      attempts++;
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+
+  const start = Date.now();
+  await assert.rejects(withRetry('fake', hang), (thrown) => thrown instanceof AITimeoutError);
+
+  assert.equal(attempts, 1);
+  assert.ok(Date.now() - start < 1000, `waited ${Date.now() - start}ms`);
+});
@@ -0,0 +1,82 @@
+/**
+ * ai-tool-loop.js
+ * Runs a multi-turn tool-use conversation on top of ai-client.js.
+ *
+ * The model is called with the conversation and the tool definitions. Every
+ * tool call it makes is executed through the tool's handler and the result is
+ * sent back, until the model answers without calling a tool.
+ *
+ * Environment:
+ *   AI_MAX_TOOL_TURNS - Default limit on model turns per loop (default: 10)
+ */
+
+import { callAIDetailed } from './ai-client.js';
+
+const AI_MAX_TOOL_TURNS = parseInt(process.env.AI_MAX_TOOL_TURNS || '10', 10);
+
+// Tool results are sent back to the model, so keep a runaway handler from flooding the context
+const MAX_TOOL_RESULT_CHARS = 20000;
+
+/**
+ * Execute one tool call and build the tool-result message
+ * Handler errors are reported to the model (isError) instead of failing the loop,
+ * so it can correct its arguments or try another tool.
+ */
+async function runToolCall(call, toolsByName) {
+  const tool = toolsByName.get(call.name);
+  let content;
+  let isError = false;
+
+  try {
+    if (!tool) {
+      throw new Error(`Unknown tool: ${call.name}`);
+    }
+
+    const result = await tool.handler(call.input ?? {});
+    content = typeof result === 'string' ? result : JSON.stringify(result);
+  } catch (error) {
+    console.error(`[AI] Tool ${call.name} failed: ${error.message}`);
+    content = `Error: ${error.message}`;
+    isError = true;
+  }
+
+  if (content.length > MAX_TOOL_RESULT_CHARS) {
+    content = `${content.substring(0, MAX_TOOL_RESULT_CHARS)}\n... (truncated)`;
+  }
+
+  return { role: 'tool', toolCallId: call.id, content, isError: isError || undefined };
+}
+
+/**
+ * Let the model call tools until it produces a final answer
+ * @param {Object} options - callAIDetailed options (prompt or messages, systemPrompt, maxTokens, temperature)
+ * @param {{name: string, description: string, inputSchema: Object,
+ *   handler: (input: Object) => Promise<string|Object>}[]} options.tools - Callable tools
+ * @param {number} [options.maxTurns] - Model turns before giving up (default: AI_MAX_TOOL_TURNS or 10)
+ * @returns {Promise<{text: string, messages: Object[], turns: number}>} - Final answer and full conversation
+ */
+export async function runToolLoop({ prompt, messages, tools, maxTurns = AI_MAX_TOOL_TURNS, ...options }) {
+  const toolsByName = new Map(tools.map((tool) => [tool.name, tool]));
+  const conversation = messages ? [...messages] : [{ role: 'user', content: prompt }];
+
+  for (let turn = 1; turn <= maxTurns; turn++) {
+    const result = await callAIDetailed({ ...options, messages: conversation, tools });
+    conversation.push(result.message);
+
+    if (result.toolCalls.length === 0) {
+      return { text: result.text, messages: conversation, turns: turn };
+    }
+
+    console.error(`[AI] Turn ${turn}/${maxTurns}: running ${result.toolCalls.length} tool call(s)`);
+
+    for (const call of result.toolCalls) {
+      conversation.push(await runToolCall(call, toolsByName));
+    }
+  }
+
+  throw new Error(`Tool loop did not finish within ${maxTurns} turns`);
+}
+
+export default {
+  runToolLoop,
+};
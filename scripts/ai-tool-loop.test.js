@@ -0,0 +1,277 @@
+/**
+ * ai-tool-loop.test.js
+ * runToolLoop against local stubs of the OpenAI chat completions and Anthropic
+ * messages APIs: tool call, tool result, final answer.
+ *
+ * ai-client.js reads AI_MODEL at load, so each loop runs in a child process
+ * (see runLoop) and the stub records what it was sent.
+ *
+ * Run: npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+
+const scriptsDir = path.dirname(fileURLToPath(import.meta.url));
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-tool-loop-test-'));
+const requests = [];
+let replies = [];
+let server;
+
+// Child process script: one tool that answers and one whose handler throws
+const LOOP_SCRIPT = `
+import { runToolLoop } from './ai-tool-loop.js';
+
+const tools = [
+  {
+    name: 'get_weather',
+    description: 'Current weather for a city',
+    inputSchema: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] },
+    handler: async ({ city }) => ({ city, forecast: 'sunny' }),
+  },
+  {
+    name: 'read_file',
+    description: 'Read a file',
+    inputSchema: { type: 'object', properties: { path: { type: 'string' } }, required: ['path'] },
+    handler: async ({ path }) => {
+      throw new Error('No such file: ' + path);
+    },
+  },
+];
+
+try {
+  const result = await runToolLoop({ prompt: 'What is the weather in Oslo?', tools, maxTurns: 2 });
+  console.log(JSON.stringify(result));
+} catch (error) {
+  console.log(JSON.stringify({ error: error.message }));
+}
+`;
+
+const PROVIDERS = {
+  openai: {
+    model: 'openai/gpt-4o',
+    env: (url) => ({ OPENAI_BASE_URL: `${url}/v1` }),
+    path: '/v1/chat/completions',
+
+    toolCalls: () => ({
+      id: 'chatcmpl-1',
+      object: 'chat.completion',
+      created: 0,
+      model: 'gpt-4o',
+      choices: [
+        {
+          index: 0,
+          message: {
+            role: 'assistant',
+            content: null,
+            tool_calls: [
+              { id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Oslo"}' } },
+              { id: 'call_2', type: 'function', function: { name: 'read_file', arguments: '{"path":"notes.txt"}' } },
+            ],
+          },
+          finish_reason: 'tool_calls',
+        },
+      ],
+      usage: { prompt_tokens: 20, completion_tokens: 10, total_tokens: 30 },
+    }),
+
+    answer: (text) => ({
+      id: 'chatcmpl-2',
+      object: 'chat.completion',
+      created: 0,
+      model: 'gpt-4o',
+      choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 40, completion_tokens: 8, total_tokens: 48 },
+    }),
+  },
+
+  anthropic: {
+    model: 'anthropic/claude-3-5-sonnet-20241022',
+    env: (url) => ({ ANTHROPIC_BASE_URL: url }),
+    path: '/v1/messages',
+
+    toolCalls: () => ({
+      id: 'msg_1',
+      type: 'message',
+      role: 'assistant',
+      model: 'claude-3-5-sonnet-20241022',
+      content: [
+        { type: 'text', text: 'Let me check.' },
+        { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Oslo' } },
+        { type: 'tool_use', id: 'toolu_2', name: 'read_file', input: { path: 'notes.txt' } },
+      ],
+      stop_reason: 'tool_use',
+      stop_sequence: null,
+      usage: { input_tokens: 20, output_tokens: 10 },
+    }),
+
+    answer: (text) => ({
+      id: 'msg_2',
+      type: 'message',
+      role: 'assistant',
+      model: 'claude-3-5-sonnet-20241022',
+      content: [{ type: 'text', text }],
+      stop_reason: 'end_turn',
+      stop_sequence: null,
+      usage: { input_tokens: 40, output_tokens: 8 },
+    }),
+  },
+};
+
+/**
+ * Run LOOP_SCRIPT against the stub as the given provider
+ * @returns {Promise<Object>} - runToolLoop's result, or {error}
+ */
+async function runLoop(provider) {
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const { stdout } = await promisify(execFile)(process.execPath, ['--input-type=module', '-e', LOOP_SCRIPT], {
+    cwd: scriptsDir,
+    timeout: 30000,
+    env: {
+      PATH: process.env.PATH,
+      AI_MODEL: provider.model,
+      AI_API_KEY: 'test-key',
+      AI_MAX_RETRIES: '0',
+      AI_USAGE_FILE: path.join(tmpDir, 'usage.json'),
+      ...provider.env(url),
+    },
+  });
+  return JSON.parse(stdout);
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      requests.push({ url: req.url, body: JSON.parse(body) });
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(replies.shift()));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('OpenAI format: tool calls, tool results and the final answer', async () => {
+  const provider = PROVIDERS.openai;
+  requests.length = 0;
+  replies = [provider.toolCalls(), provider.answer('It is sunny in Oslo.')];
+
+  const result = await runLoop(provider);
+
+  assert.equal(result.text, 'It is sunny in Oslo.');
+  assert.equal(result.turns, 2);
+  assert.equal(requests.length, 2);
+  assert.ok(requests.every((request) => request.url === provider.path));
+
+  const [first, second] = requests.map((request) => request.body);
+  assert.deepEqual(
+    first.tools.map((tool) => [tool.type, tool.function.name]),
+    [
+      ['function', 'get_weather'],
+      ['function', 'read_file'],
+    ]
+  );
+  assert.deepEqual(first.tools[0].function.parameters.required, ['city']);
+
+  assert.deepEqual(
+    second.messages.map((message) => message.role),
+    ['user', 'assistant', 'tool', 'tool']
+  );
+  assert.deepEqual(
+    second.messages[1].tool_calls.map((call) => [call.id, call.function.name, JSON.parse(call.function.arguments)]),
+    [
+      ['call_1', 'get_weather', { city: 'Oslo' }],
+      ['call_2', 'read_file', { path: 'notes.txt' }],
+    ]
+  );
+  assert.deepEqual(second.messages[2], {
+    role: 'tool',
+    tool_call_id: 'call_1',
+    content: JSON.stringify({ city: 'Oslo', forecast: 'sunny' }),
+  });
+  assert.deepEqual(second.messages[3], {
+    role: 'tool',
+    tool_call_id: 'call_2',
+    content: 'Error: No such file: notes.txt',
+  });
+});
+
+test('Anthropic format: tool_use blocks, merged tool_result blocks and the final answer', async () => {
+  const provider = PROVIDERS.anthropic;
+  requests.length = 0;
+  replies = [provider.toolCalls(), provider.answer('It is sunny in Oslo.')];
+
+  const result = await runLoop(provider);
+
+  assert.equal(result.text, 'It is sunny in Oslo.');
+  assert.equal(result.turns, 2);
+  assert.equal(requests.length, 2);
+  assert.ok(requests.every((request) => request.url === provider.path));
+
+  const [first, second] = requests.map((request) => request.body);
+  assert.deepEqual(
+    first.tools.map((tool) => tool.name),
+    ['get_weather', 'read_file']
+  );
+  assert.deepEqual(first.tools[0].input_schema.required, ['city']);
+
+  // Both results go back in a single user turn
+  assert.deepEqual(
+    second.messages.map((message) => message.role),
+    ['user', 'assistant', 'user']
+  );
+  assert.deepEqual(second.messages[1].content, [
+    { type: 'text', text: 'Let me check.' },
+    { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Oslo' } },
+    { type: 'tool_use', id: 'toolu_2', name: 'read_file', input: { path: 'notes.txt' } },
+  ]);
+  assert.deepEqual(second.messages[2].content, [
+    { type: 'tool_result', tool_use_id: 'toolu_1', content: JSON.stringify({ city: 'Oslo', forecast: 'sunny' }) },
+    { type: 'tool_result', tool_use_id: 'toolu_2', content: 'Error: No such file: notes.txt', is_error: true },
+  ]);
+});
+
+test('a handler error is sent back as an isError tool result instead of failing the loop', async () => {
+  const provider = PROVIDERS.openai;
+  requests.length = 0;
+  replies = [provider.toolCalls(), provider.answer('I could not read notes.txt.')];
+
+  const result = await runLoop(provider);
+  const toolResults = result.messages.filter((message) => message.role === 'tool');
+
+  assert.equal(result.text, 'I could not read notes.txt.');
+  assert.deepEqual(
+    toolResults.map((message) => [message.toolCallId, message.isError ?? false]),
+    [
+      ['call_1', false],
+      ['call_2', true],
+    ]
+  );
+  assert.equal(toolResults[1].content, 'Error: No such file: notes.txt');
+});
+
+test('the loop fails once maxTurns model turns all ask for tools', async () => {
+  for (const provider of Object.values(PROVIDERS)) {
+    requests.length = 0;
+    replies = [provider.toolCalls(), provider.toolCalls(), provider.answer('Too late.')];
+
+    const result = await runLoop(provider);
+
+    assert.equal(result.error, 'Tool loop did not finish within 2 turns', provider.model);
+    assert.equal(requests.length, 2, provider.model);
+  }
+});
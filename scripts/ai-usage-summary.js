@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/**
+ * ai-usage-summary.js
+ * Merges AI usage ledgers and prints a Markdown cost summary
+ *
+ * Usage:
+ *   node ai-usage-summary.js <ledger.json|directory> [...]
+ *
+ * Inputs:
+ *   usage ledgers written by ai-usage.js (directories are scanned for *.json)
+ *
+ * Output:
+ *   Markdown summary on stdout, suitable for a tracking issue comment
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+function collectLedgerFiles(inputs) {
+  const files = [];
+
+  for (const input of inputs) {
+    if (!fs.existsSync(input)) continue;
+
+    if (fs.statSync(input).isDirectory()) {
+      for (const entry of fs.readdirSync(input)) {
+        if (entry.endsWith('.json')) {
+          files.push(path.join(input, entry));
+        }
+      }
+    } else {
+      files.push(input);
+    }
+  }
+
+  return files;
+}
+
+function formatCost(cost) {
+  return `$${cost.toFixed(4)}`;
+}
+
+function main() {
+  const inputs = process.argv.slice(2);
+  if (inputs.length === 0) {
+    console.error('Usage: node ai-usage-summary.js <ledger.json|directory> [...]');
+    process.exit(1);
+  }
+
+  const calls = [];
+  for (const file of collectLedgerFiles(inputs)) {
+    try {
+      const ledger = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      calls.push(...(ledger.calls || []));
+    } catch (error) {
+      console.error(`⚠️  Skipping unreadable ledger ${file}: ${error.message}`);
+    }
+  }
+
+  if (calls.length === 0) {
+    console.log('💰 **AI Usage**\n\nNo AI calls were recorded.');
+    return;
+  }
+
+  // Aggregate per script and model
+  const rows = new Map();
+  let unpriced = false;
+
+  for (const call of calls) {
+    const key = `${call.script}\u0000${call.model}`;
+    const row = rows.get(key) || { script: call.script, model: call.model, calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+
+    row.calls++;
+    row.inputTokens += call.inputTokens || 0;
+    row.outputTokens += call.outputTokens || 0;
+    row.cost += call.cost || 0;
+    if (call.cost === null) unpriced = true;
+
+    rows.set(key, row);
+  }
+
+  const totals = [...rows.values()].reduce(
+    (acc, row) => ({
+      calls: acc.calls + row.calls,
+      inputTokens: acc.inputTokens + row.inputTokens,
+      outputTokens: acc.outputTokens + row.outputTokens,
+      cost: acc.cost + row.cost,
+    }),
+    { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 }
+  );
+
+  const lines = [
+    '💰 **AI Usage**',
+    '',
+    '| Script | Model | Calls | Input tokens | Output tokens | Cost |',
+    '|--------|-------|------:|-------------:|--------------:|-----:|',
+  ];
+
+  for (const row of rows.values()) {
+    lines.push(
+      `| \`${row.script}\` | \`${row.model}\` | ${row.calls} | ${row.inputTokens} | ${row.outputTokens} | ${formatCost(row.cost)} |`
+    );
+  }
+
+  lines.push(
+    `| **Total** | | ${totals.calls} | ${totals.inputTokens} | ${totals.outputTokens} | **${formatCost(totals.cost)}** |`
+  );
+
+  if (unpriced) {
+    lines.push('', '*Some models have no price configured (set `AI_PRICING`); their cost is counted as $0.*');
+  }
+
+  console.log(lines.join('\n'));
+}
+
+main();
@@ -0,0 +1,146 @@
+/**
+ * ai-usage.js
+ * Token usage and cost accounting for AI calls.
+ *
+ * callAI() reports each response's token counts here. The cost is computed
+ * from a per-model price table and the call is appended to a JSON ledger that
+ * the workflows upload and summarize on the tracking issue.
+ *
+ * Environment:
+ *   AI_USAGE_FILE    - Ledger path (default: usage.json)
+ *   AI_PRICING       - JSON price table overriding the defaults, e.g.
+ *                      {"gpt-4o": {"input": 2.5, "output": 10}} (USD per 1M tokens)
+ *   AI_PRICING_FILE  - Path to a JSON file with the same shape as AI_PRICING
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const AI_USAGE_FILE = process.env.AI_USAGE_FILE || 'usage.json';
+
+// USD per 1M tokens. Keys match against the model id (longest match wins).
+const DEFAULT_PRICING = {
+  'amazon.nova-micro': { input: 0.035, output: 0.14 },
+  'amazon.nova-lite': { input: 0.06, output: 0.24 },
+  'amazon.nova-pro': { input: 0.8, output: 3.2 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4': { input: 30, output: 60 },
+  // Self-hosted models have no per-token cost
+  'openai-compatible/': { input: 0, output: 0 },
+};
+
+let pricing;
+
+/**
+ * Price table with the AI_PRICING / AI_PRICING_FILE overrides, read on first
+ * use; a broken override falls back to the defaults instead of failing the call
+ */
+function loadPricing() {
+  if (pricing) return pricing;
+
+  let overrides = {};
+  const source = process.env.AI_PRICING_FILE || (process.env.AI_PRICING && 'AI_PRICING');
+
+  try {
+    if (process.env.AI_PRICING_FILE) {
+      overrides = JSON.parse(fs.readFileSync(process.env.AI_PRICING_FILE, 'utf-8'));
+    } else if (process.env.AI_PRICING) {
+      overrides = JSON.parse(process.env.AI_PRICING);
+    }
+  } catch (error) {
+    console.error(`[AI] Ignoring pricing overrides from ${source}, using the defaults: ${error.message}`);
+  }
+
+  pricing = { ...DEFAULT_PRICING, ...overrides };
+  return pricing;
+}
+
+/**
+ * Find the price entry for a model
+ * @param {string} model - "provider/model-id"
+ * @returns {{input: number, output: number}|null}
+ */
+export function priceFor(model) {
+  const prices = loadPricing();
+  const matches = Object.keys(prices)
+    .filter((key) => model.includes(key))
+    .sort((a, b) => b.length - a.length);
+
+  return matches.length > 0 ? prices[matches[0]] : null;
+}
+
+/**
+ * Compute the USD cost of a call, or null if the model has no price entry
+ */
+export function computeCost(model, { inputTokens = 0, outputTokens = 0 }) {
+  const price = priceFor(model);
+  if (!price) return null;
+
+  return (inputTokens * price.input + outputTokens * price.output) / 1_000_000;
+}
+
+function readLedger() {
+  if (!fs.existsSync(AI_USAGE_FILE)) {
+    return { calls: [], totals: { inputTokens: 0, outputTokens: 0, cost: 0 } };
+  }
+
+  return JSON.parse(fs.readFileSync(AI_USAGE_FILE, 'utf-8'));
+}
+
+/**
+ * Record one AI call: log it and append it to the usage ledger
+ * @param {Object} entry
+ * @param {string} entry.model - Model that answered ("provider/model-id")
+ * @param {{inputTokens: number, outputTokens: number}|undefined} entry.usage - Token counts from the provider
+ * @param {boolean} [entry.replayed=false] - Served from the replay cache (no cost)
+ * @returns {Object} - The ledger record
+ */
+export function recordUsage({ model, usage, replayed = false }) {
+  const inputTokens = usage?.inputTokens ?? 0;
+  const outputTokens = usage?.outputTokens ?? 0;
+  const cost = replayed ? 0 : computeCost(model, { inputTokens, outputTokens });
+
+  const record = {
+    script: path.basename(process.argv[1] || 'unknown', '.js'),
+    model,
+    inputTokens,
+    outputTokens,
+    cost,
+    replayed,
+    timestamp: new Date().toISOString(),
+  };
+
+  console.error(
+    `[AI] Usage: ${inputTokens} input / ${outputTokens} output tokens` +
+      (cost === null ? ' (no price configured for this model)' : ` ($${cost.toFixed(4)})`)
+  );
+
+  try {
+    const ledger = readLedger();
+    ledger.calls.push(record);
+    ledger.totals = {
+      inputTokens: ledger.totals.inputTokens + inputTokens,
+      outputTokens: ledger.totals.outputTokens + outputTokens,
+      cost: ledger.totals.cost + (cost || 0),
+    };
+    fs.mkdirSync(path.dirname(AI_USAGE_FILE), { recursive: true });
+    fs.writeFileSync(AI_USAGE_FILE, JSON.stringify(ledger, null, 2));
+  } catch (error) {
+    // Accounting must never fail the pipeline
+    console.error(`[AI] Could not update usage ledger ${AI_USAGE_FILE}: ${error.message}`);
+  }
+
+  return record;
+}
+
+export default {
+  priceFor,
+  computeCost,
+  recordUsage,
+};
@@ -4,16 +4,61 @@
  * Executes sanity tests from sanity-tests.json
  *
  * Inputs:
- *   sanity-tests.json - Test plan
+ *   sanity-tests.json - Test plan; steps may add assertions, responseSchema and
+ *                       maxLatencyMs checks (see test-assertions.js)
  *   outputs.json - Deployment outputs (for variable substitution)
  *
+ * Steps with a "type" other than "http" invoke Lambda functions, send and
+ * receive SQS/SNS messages or read DynamoDB items and S3 objects instead of
+ * calling the API (see test-aws.js); they need no API URL.
+ *
+ * Endpoints, "query", headers, bodies and assertions may use ${var}, ${env.NAME}
+ * and generator placeholders such as ${uuid}; a placeholder that cannot be
+ * resolved fails the step (see test-variables.js).
+ *
+ * Authentication comes from the plan's "auth" block or AUTH_CONFIG_FILE; suites
+ * and steps can override it or opt out with "auth": false (see test-auth.js).
+ * Credentials are redacted from the output and the reports.
+ *
+ * Suites run in parallel and each gets its own variables. A suite may declare
+ * "setup" and "teardown" step lists; teardown runs even when the suite fails,
+ * skipping steps whose variables were never stored (nothing to clean up).
+ * Steps may set "timeoutMs" and poll eventually consistent endpoints with
+ * "retry": {attempts, intervalMs?}, repeating the request until its checks pass.
+ *
+ * Environment:
+ *   AUTH_CONFIG_FILE - JSON auth block, takes precedence over the plan's (optional)
+ *   AWS_REGION, AWS_ENDPOINT_URL - Region and optional emulator endpoint for non-HTTP steps
+ *   TEST_CONCURRENCY - Suites run at once (default: 3)
+ *   TEST_STEP_TIMEOUT_MS - Default request timeout (default: 30000)
+ *   TEST_STEP_DELAY_MS - Pause between steps of a suite (default: 0)
+ *   TEST_DEADLINE_MS - Budget for the whole run; steps not started by then are skipped (default: none)
+ *   TEST_RESULTS_FILE - Structured results (default: test-results.json, format in test-report.js)
+ *   JUNIT_FILE - JUnit XML report (default: junit.xml)
+ *
  * Exit Code:
  *   0 - All tests passed
  *   1 - At least one test failed
  */
 
 import fs from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
 import axios from 'axios';
+import { checkResponse } from './test-assertions.js';
+import { excerpt, summarize, writeReports } from './test-report.js';
+import { createAuth, redact, redactHeaders, redactValue } from './test-auth.js';
+import { substitute, referencedVariables, extractValue } from './test-variables.js';
+import { describeAwsStep, runAwsStep } from './test-aws.js';
+
+const AUTH_CONFIG_FILE = process.env.AUTH_CONFIG_FILE;
+const TEST_CONCURRENCY = Math.max(parseInt(process.env.TEST_CONCURRENCY || '3', 10) || 1, 1);
+const TEST_STEP_TIMEOUT_MS = parseInt(process.env.TEST_STEP_TIMEOUT_MS || '30000', 10);
+const TEST_STEP_DELAY_MS = parseInt(process.env.TEST_STEP_DELAY_MS || '0', 10);
+const TEST_DEADLINE_MS = parseInt(process.env.TEST_DEADLINE_MS || '0', 10);
+
+const DEFAULT_RETRY_INTERVAL_MS = 2000;
+const TEST_RESULTS_FILE = process.env.TEST_RESULTS_FILE || 'test-results.json';
+const JUNIT_FILE = process.env.JUNIT_FILE || 'junit.xml';
 
 // ANSI colors for output
 const colors = {
@@ -24,109 +69,381 @@ const colors = {
   blue: '\x1b[34m',
 };
 
+// Output of suites running in parallel is buffered and printed per suite
+const suiteOutput = new AsyncLocalStorage();
+
 function log(message, color = colors.reset) {
-  console.log(`${color}${message}${colors.reset}`);
+  const line = `${color}${redact(message)}${colors.reset}`;
+  const buffer = suiteOutput.getStore();
+
+  if (buffer) {
+    buffer.push(line);
+  } else {
+    console.log(line);
+  }
 }
 
-function getNestedValue(obj, path) {
-  // Handle paths like "response.data.id"
-  const parts = path.replace(/^response\./, '').split('.');
-  let value = obj;
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
-  for (const part of parts) {
-    if (value && typeof value === 'object' && part in value) {
-      value = value[part];
-    } else {
-      return undefined;
-    }
+/**
+ * Substitute a step's placeholders (generators get one value per step)
+ * @throws {Error} - When a placeholder cannot be resolved
+ */
+function resolveStep(step, variables, baseUrl) {
+  const generated = {};
+  const resolve = (value) => substitute(value, variables, generated);
+
+  if (isAwsStep(step)) {
+    // Paths and schemas hold no placeholders
+    const { storeVariables, responseSchema, ...fields } = step;
+    const awsStep = resolve(fields);
+    return { awsStep, label: describeAwsStep(awsStep), assertions: awsStep.assertions };
   }
 
-  return value;
-}
+  if (!baseUrl) {
+    throw new Error('No API URL found in outputs.json for HTTP steps');
+  }
 
-function replaceVariables(str, variables) {
-  if (typeof str !== 'string') return str;
+  let endpoint = resolve(step.endpoint);
+  if (step.query) {
+    const query = new URLSearchParams(
+      Object.entries(resolve(step.query)).map(([name, value]) => [name, String(value)])
+    ).toString();
 
-  return str.replace(/\$\{(\w+)\}/g, (match, varName) => {
-    if (varName in variables) {
-      return variables[varName];
+    if (query) {
+      endpoint += `${endpoint.includes('?') ? '&' : '?'}${query}`;
     }
-    return match;
-  });
+  }
+
+  return {
+    url: `${baseUrl}${endpoint}`,
+    label: { method: step.method, url: endpoint },
+    body: step.body ? resolve(step.body) : undefined,
+    headers: resolve(step.headers || {}),
+    assertions: resolve(step.assertions),
+  };
 }
 
-function replaceVariablesInObject(obj, variables) {
-  if (typeof obj === 'string') {
-    return replaceVariables(obj, variables);
-  }
+function isAwsStep(step) {
+  return Boolean(step.type) && step.type !== 'http';
+}
 
-  if (Array.isArray(obj)) {
-    return obj.map((item) => replaceVariablesInObject(item, variables));
+/**
+ * Complete an attempt's result with the outcome of its checks
+ */
+function withChecks(result, failures) {
+  if (failures.length > 0) {
+    return {
+      ...result,
+      success: false,
+      error: `Assertion failed: ${failures[0].check}: expected ${failures[0].expected}, got ${failures[0].actual}`,
+      failures,
+    };
   }
 
-  if (obj && typeof obj === 'object') {
-    const result = {};
-    for (const [key, value] of Object.entries(obj)) {
-      result[key] = replaceVariablesInObject(value, variables);
+  return { ...result, success: true };
+}
+
+/**
+ * Run a non-HTTP step and check the result (no logging)
+ */
+async function attemptAwsStep(step, resolved, timeoutMs) {
+  const { responseSchema, maxLatencyMs } = step;
+  const startedAt = Date.now();
+
+  try {
+    const call = await runAwsStep(resolved.awsStep, timeoutMs);
+    const latencyMs = Date.now() - startedAt;
+    const headers = call.headers || {};
+
+    const result = {
+      request: call.request,
+      response: {
+        status: call.status,
+        ...(call.contentType && { contentType: call.contentType }),
+        body: excerpt(call.data),
+      },
+      data: call.data,
+      headers,
+      durationMs: latencyMs,
+    };
+
+    // A function error or a missing item leaves nothing to check
+    if (call.failures.length > 0) {
+      return withChecks(result, call.failures);
     }
-    return result;
-  }
 
-  return obj;
+    const check = { assertions: resolved.assertions, responseSchema, maxLatencyMs };
+    return withChecks(result, checkResponse(check, { data: call.data, headers }, latencyMs));
+  } catch (error) {
+    return {
+      request: resolved.label,
+      response: null,
+      durationMs: Date.now() - startedAt,
+      success: false,
+      error: error.message,
+    };
+  }
 }
 
-async function executeStep(step, variables, baseUrl) {
-  const { action, endpoint, method, body, headers, expectedStatus, storeVariables } = step;
-
-  // Replace variables in endpoint and body
-  const processedEndpoint = replaceVariables(endpoint, variables);
-  const processedBody = body ? replaceVariablesInObject(body, variables) : undefined;
+/**
+ * Send a step's request and check the response (no logging)
+ */
+async function attemptStep(step, resolved, authenticate, timeoutMs) {
+  if (resolved.awsStep) {
+    return attemptAwsStep(step, resolved, timeoutMs);
+  }
 
-  const url = `${baseUrl}${processedEndpoint}`;
+  const { method, expectedStatus, responseSchema, maxLatencyMs } = step;
+  const { url, body, headers, assertions } = resolved;
 
-  log(`  → ${action}`, colors.blue);
-  log(`    ${method} ${processedEndpoint}`);
+  let request = { method, url, ...(body !== undefined && { body }) };
+  const startedAt = Date.now();
 
   try {
-    const response = await axios({
+    const config = await authenticate({
       method: method.toLowerCase(),
       url: url,
-      data: processedBody,
-      headers: headers || {},
+      data: body,
+      headers,
+    });
+    request = { ...request, url: config.url, headers: redactHeaders(config.headers) };
+
+    const response = await axios({
+      ...config,
       validateStatus: () => true, // Don't throw on any status
-      timeout: 30000, // 30 second timeout
+      timeout: timeoutMs,
     });
+    const latencyMs = Date.now() - startedAt;
+
+    const result = {
+      request,
+      response: {
+        status: response.status,
+        ...(response.headers?.['content-type'] && { contentType: response.headers['content-type'] }),
+        body: excerpt(response.data),
+      },
+      data: response.data,
+      headers: response.headers,
+      durationMs: latencyMs,
+    };
 
     // Check status code
     if (response.status !== expectedStatus) {
-      log(
-        `    ❌ FAILED: Expected status ${expectedStatus}, got ${response.status}`,
-        colors.red
-      );
-      log(`    Response: ${JSON.stringify(response.data).substring(0, 200)}`, colors.red);
-      return { success: false, error: `Status code mismatch: ${response.status}` };
+      return {
+        ...result,
+        success: false,
+        error: `Status code mismatch: ${response.status}`,
+        failures: [{ check: 'status', expected: expectedStatus, actual: response.status }],
+      };
     }
 
-    log(`    ✅ PASSED (${response.status})`, colors.green);
-
-    // Store variables if specified
-    if (storeVariables) {
-      for (const [varName, varPath] of Object.entries(storeVariables)) {
-        const value = getNestedValue(response.data, varPath);
-        if (value !== undefined) {
-          variables[varName] = value;
-          log(`    Stored ${varName} = ${value}`, colors.yellow);
-        } else {
-          log(`    ⚠️  Could not extract ${varName} from ${varPath}`, colors.yellow);
-        }
-      }
-    }
+    // Check body, headers and latency
+    return withChecks(result, checkResponse({ assertions, responseSchema, maxLatencyMs }, response, latencyMs));
+  } catch (error) {
+    return { request, response: null, durationMs: Date.now() - startedAt, success: false, error: error.message };
+  }
+}
 
-    return { success: true };
+async function executeStep(step, variables, baseUrl, authenticate, deadline) {
+  const { action, storeVariables, retry } = step;
+
+  log(`  → ${action}`, colors.blue);
+
+  let resolved;
+  try {
+    resolved = resolveStep(step, variables, baseUrl);
   } catch (error) {
     log(`    ❌ FAILED: ${error.message}`, colors.red);
-    return { success: false, error: error.message };
+    return { request: null, response: null, durationMs: 0, success: false, error: error.message };
+  }
+
+  log(`    ${resolved.label.method} ${resolved.label.url}`);
+
+  const attempts = Math.max(retry?.attempts || 1, 1);
+  const intervalMs = retry?.intervalMs ?? DEFAULT_RETRY_INTERVAL_MS;
+  const startedAt = Date.now();
+  let result;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    // Never wait past the run deadline
+    const timeoutMs = Math.max(Math.min(step.timeoutMs || TEST_STEP_TIMEOUT_MS, deadline - Date.now()), 1);
+    result = await attemptStep(step, resolved, authenticate, timeoutMs);
+
+    if (result.success || attempt === attempts || Date.now() + intervalMs >= deadline) {
+      break;
+    }
+
+    log(`    ⏳ Not ready (${result.error}), retrying in ${intervalMs}ms [${attempt}/${attempts}]`, colors.yellow);
+    await sleep(intervalMs);
+  }
+
+  // Report the time across all attempts
+  result.durationMs = Date.now() - startedAt;
+
+  if (!result.success) {
+    if (!result.response) {
+      log(`    ❌ FAILED: ${result.error}`, colors.red);
+    } else if (result.failures[0].check === 'status') {
+      log(`    ❌ FAILED: Expected status ${result.failures[0].expected}, got ${result.response.status}`, colors.red);
+    } else {
+      log(`    ❌ FAILED: ${result.failures.length} assertion(s) failed`, colors.red);
+      for (const failure of result.failures) {
+        log(`      - ${failure.check}: expected ${failure.expected}, got ${failure.actual}`, colors.red);
+      }
+    }
+
+    if (result.response) {
+      log(`    Response: ${JSON.stringify(result.data).substring(0, 200)}`, colors.red);
+    }
+
+    return result;
+  }
+
+  log(`    ✅ PASSED (${result.response.status}, ${result.durationMs}ms)`, colors.green);
+
+  // Store variables if specified
+  if (storeVariables) {
+    for (const [varName, varPath] of Object.entries(storeVariables)) {
+      const value = extractValue(result, varPath);
+      if (value !== undefined) {
+        variables[varName] = value;
+        log(`    Stored ${varName} = ${value}`, colors.yellow);
+      } else {
+        log(`    ⚠️  Could not extract ${varName} from ${varPath}`, colors.yellow);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Variables a step references that are not set
+ */
+function unresolvedVariables(step, variables) {
+  const { storeVariables, assertions, responseSchema, ...request } = step;
+  return referencedVariables(request).filter((name) => !(name in variables));
+}
+
+/**
+ * Record for test-results.json
+ */
+function toRecord(suite, phase, step, result, skipReason) {
+  if (!result) {
+    return {
+      suite: suite.name,
+      phase,
+      step: step.action,
+      status: 'skipped',
+      skipReason,
+      durationMs: 0,
+      request: null,
+      response: null,
+      failure: null,
+    };
   }
+
+  return redactValue({
+    suite: suite.name,
+    phase,
+    step: step.action,
+    status: result.success ? 'passed' : 'failed',
+    durationMs: result.durationMs,
+    request: result.request,
+    response: result.response,
+    failure: result.success ? null : { reason: result.error, checks: result.failures || [] },
+  });
+}
+
+/**
+ * Run a suite's setup, steps and teardown
+ * @returns {Promise<Object[]>} - Records for test-results.json
+ */
+async function runSuite(suite, { outputs, baseUrl, deadline, planAuth, authenticatorFor }) {
+  log(`\n📋 ${suite.name}`, colors.blue);
+  if (suite.description) {
+    log(`   ${suite.description}`);
+  }
+
+  // Variables for this test suite
+  const variables = { ...outputs };
+  const records = [];
+  let skipReason = null;
+
+  const run = async (phase, step, stepDeadline) => {
+    const authenticate = authenticatorFor(step.auth ?? suite.auth ?? planAuth);
+    const result = await executeStep(step, variables, baseUrl, authenticate, stepDeadline);
+    records.push(toRecord(suite, phase, step, result));
+
+    if (TEST_STEP_DELAY_MS > 0) {
+      await sleep(TEST_STEP_DELAY_MS);
+    }
+
+    return result.success;
+  };
+
+  for (const [phase, steps] of [
+    ['setup', suite.setup || []],
+    ['test', suite.steps],
+  ]) {
+    for (const step of steps) {
+      if (!skipReason && Date.now() >= deadline) {
+        skipReason = 'Run deadline reached';
+        log('  ⏰ Run deadline reached, skipping the remaining steps', colors.yellow);
+      }
+
+      if (skipReason) {
+        records.push(toRecord(suite, phase, step, null, skipReason));
+        continue;
+      }
+
+      if (!(await run(phase, step, deadline))) {
+        // Remaining steps depend on the failed one
+        skipReason = phase === 'setup' ? 'Suite setup failed' : 'Previous step in the suite failed';
+      }
+    }
+  }
+
+  // Teardown runs even after a failure or the deadline, so created resources are deleted
+  if (suite.teardown?.length > 0) {
+    log('  🧹 Teardown', colors.blue);
+
+    for (const step of suite.teardown) {
+      const unresolved = unresolvedVariables(step, variables);
+      if (unresolved.length > 0) {
+        log(`  → ${step.action}`, colors.blue);
+        log(`    ⏭️  Skipped, ${unresolved.join(', ')} never stored`, colors.yellow);
+        records.push(toRecord(suite, 'teardown', step, null, `Nothing to clean up (${unresolved.join(', ')} not set)`));
+        continue;
+      }
+
+      await run('teardown', step, Infinity);
+    }
+  }
+
+  if (records.some((record) => record.status === 'failed')) {
+    log(`\n  ❌ Suite failed`, colors.red);
+  } else {
+    log(`\n  ✅ Suite passed`, colors.green);
+  }
+
+  return records;
+}
+
+async function runWithConcurrency(items, limit, task) {
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      await task(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
 }
 
 async function main() {
@@ -154,60 +471,95 @@ async function main() {
     outputs.HttpApiUrl ||
     Object.values(outputs).find((v) => typeof v === 'string' && v.startsWith('http'));
 
-  if (!baseUrl) {
-    log('❌ No API URL found in outputs.json', colors.red);
-    process.exit(1);
+  // Deployments without an API (e.g. a plain Lambda) are tested with non-HTTP steps only
+  if (baseUrl) {
+    log(`🌐 API Base URL: ${baseUrl}\n`);
+  } else {
+    log('⚠️  No API URL found in outputs.json, HTTP steps will fail\n', colors.yellow);
   }
 
-  log(`🌐 API Base URL: ${baseUrl}\n`);
+  // Auth config file takes precedence over the plan's auth block
+  if (AUTH_CONFIG_FILE && !fs.existsSync(AUTH_CONFIG_FILE)) {
+    log(`❌ ${AUTH_CONFIG_FILE} not found`, colors.red);
+    process.exit(1);
+  }
 
-  let totalTests = 0;
-  let passedTests = 0;
-  let failedTests = 0;
+  const planAuth = AUTH_CONFIG_FILE ? JSON.parse(fs.readFileSync(AUTH_CONFIG_FILE, 'utf-8')) : testPlan.auth;
+  if (planAuth) {
+    log(`🔐 Auth: ${planAuth.type}\n`);
+  }
 
-  // Execute all test suites
-  for (const suite of testPlan.tests) {
-    log(`\n📋 ${suite.name}`, colors.blue);
-    log(`   ${suite.description}`);
+  // One authenticator per auth block, so OAuth2 tokens are fetched once
+  const authenticators = new Map();
+  const authenticatorFor = (config) => {
+    if (!authenticators.has(config)) {
+      let authenticate;
+      try {
+        // Auth blocks may reference deployment outputs, e.g. "tokenUrl": "${AuthDomain}/oauth2/token"
+        authenticate = createAuth(config && substitute(config, outputs));
+      } catch (error) {
+        // Fails the steps that use it
+        authenticate = async () => {
+          throw error;
+        };
+      }
+      authenticators.set(config, authenticate);
+    }
 
-    // Variables for this test suite
-    const variables = { ...outputs };
+    return authenticators.get(config);
+  };
 
-    let suiteSuccess = true;
+  const startedAt = new Date();
+  const deadline = TEST_DEADLINE_MS > 0 ? startedAt.getTime() + TEST_DEADLINE_MS : Infinity;
+  const suiteRecords = [];
 
-    for (const step of suite.steps) {
-      totalTests++;
-      const result = await executeStep(step, variables, baseUrl);
+  if (TEST_CONCURRENCY > 1 && testPlan.tests.length > 1) {
+    log(`⚡ Running up to ${TEST_CONCURRENCY} suites in parallel`);
+  }
 
-      if (result.success) {
-        passedTests++;
-      } else {
-        failedTests++;
-        suiteSuccess = false;
-        // Continue to next suite on failure
-        break;
-      }
+  // Execute all test suites
+  await runWithConcurrency(testPlan.tests, TEST_CONCURRENCY, async (suite, index) => {
+    const context = { outputs, baseUrl, deadline, planAuth, authenticatorFor };
 
-      // Small delay between requests
-      await new Promise((resolve) => setTimeout(resolve, 500));
+    if (TEST_CONCURRENCY === 1) {
+      suiteRecords[index] = await runSuite(suite, context);
+      return;
     }
 
-    if (suiteSuccess) {
-      log(`\n  ✅ Suite passed`, colors.green);
-    } else {
-      log(`\n  ❌ Suite failed`, colors.red);
-    }
-  }
+    const buffer = [];
+    suiteRecords[index] = await suiteOutput.run(buffer, () => runSuite(suite, context));
+    console.log(buffer.join('\n'));
+  });
+
+  // Plan order, whatever order the suites finished in
+  const records = suiteRecords.flat();
+
+  const summary = summarize(records);
+
+  writeReports(
+    {
+      baseUrl,
+      startedAt: startedAt.toISOString(),
+      durationMs: Date.now() - startedAt.getTime(),
+      summary,
+      results: records,
+    },
+    { jsonFile: TEST_RESULTS_FILE, junitFile: JUNIT_FILE }
+  );
 
   // Summary
   log(`\n${'='.repeat(60)}`, colors.blue);
   log('📊 Test Summary\n', colors.blue);
-  log(`  Total Steps:  ${totalTests}`);
-  log(`  Passed:       ${passedTests}`, colors.green);
-  log(`  Failed:       ${failedTests}`, failedTests > 0 ? colors.red : colors.green);
+  log(`  Total Steps:  ${summary.total}`);
+  log(`  Passed:       ${summary.passed}`, colors.green);
+  log(`  Failed:       ${summary.failed}`, summary.failed > 0 ? colors.red : colors.green);
+  if (summary.skipped > 0) {
+    log(`  Skipped:      ${summary.skipped}`, colors.yellow);
+  }
   log(`${'='.repeat(60)}\n`, colors.blue);
+  log(`📄 Reports: ${TEST_RESULTS_FILE}, ${JUNIT_FILE}\n`);
 
-  if (failedTests > 0) {
+  if (summary.failed > 0) {
     log('❌ Some tests failed', colors.red);
     process.exit(1);
   } else {
@@ -5,7 +5,12 @@
 # Args:
 #   $1 - IAC_TYPE
 #   $2 - STACK_NAME
-# Output: JSON to stdout
+# Environment Variables:
+#   DEPLOY_TARGET - aws (default), local or sam-local (see run-deployment.sh)
+#   LOCAL_ENDPOINT - Emulator endpoint for the local target (defaults to http://localhost:4566)
+#   LOCAL_API_PORT - Port of the sam-local API (defaults to 3000)
+# Output: JSON to stdout; for the local target, API Gateway and function URLs
+#         point at the emulator
 #
 
 set -e
@@ -13,12 +18,51 @@ set -e
 IAC_TYPE=$1
 STACK_NAME=$2
 AWS_REGION=${AWS_REGION:-us-east-1}
+DEPLOY_TARGET=${DEPLOY_TARGET:-aws}
+LOCAL_ENDPOINT=${LOCAL_ENDPOINT:-http://localhost:4566}
+LOCAL_API_PORT=${LOCAL_API_PORT:-3000}
 
 if [ -z "$IAC_TYPE" ] || [ -z "$STACK_NAME" ]; then
     echo '{"error": "IAC_TYPE and STACK_NAME required"}' >&2
     exit 1
 fi
 
+# sam local start-api serves the whole API on one port
+if [ "$DEPLOY_TARGET" = "sam-local" ]; then
+    jq -n --arg url "http://127.0.0.1:$LOCAL_API_PORT" '{ApiUrl: $url}'
+    exit 0
+fi
+
+if [ "$DEPLOY_TARGET" = "local" ]; then
+    export AWS_ENDPOINT_URL="$LOCAL_ENDPOINT"
+    export AWS_ACCESS_KEY_ID=test
+    export AWS_SECRET_ACCESS_KEY=test
+    unset AWS_SESSION_TOKEN AWS_PROFILE
+fi
+
+# Rewrite AWS endpoints in the outputs to the emulator's
+# (https://abc123.execute-api.us-east-1.amazonaws.com/prod -> http://abc123.execute-api.localhost.localstack.cloud:4566/prod)
+localize_outputs() {
+    if [ "$DEPLOY_TARGET" != "local" ]; then
+        cat
+        return
+    fi
+
+    local scheme=${LOCAL_ENDPOINT%%://*}
+    local port
+    port=$(echo "$LOCAL_ENDPOINT" | sed -E 's#^[a-z]+://[^:/]+:?([0-9]*).*#\1#')
+    port=${port:-4566}
+
+    jq --arg scheme "$scheme" --arg port "$port" 'walk(
+        if type == "string" then
+            sub("^https://(?<id>[a-z0-9]+)\\.execute-api\\.[a-z0-9-]+\\.amazonaws\\.com";
+                "\($scheme)://\(.id).execute-api.localhost.localstack.cloud:\($port)")
+            | sub("^https://(?<id>[a-z0-9]+)\\.lambda-url\\.(?<region>[a-z0-9-]+)\\.on\\.aws";
+                "\($scheme)://\(.id).lambda-url.\(.region).localhost.localstack.cloud:\($port)")
+        else . end
+    )'
+}
+
 case $IAC_TYPE in
     sam|cloudformation|lambda)
         # Query CloudFormation stack outputs
@@ -26,14 +70,14 @@ case $IAC_TYPE in
             --stack-name "$STACK_NAME" \
             --region "$AWS_REGION" \
             --query 'Stacks[0].Outputs' \
-            --output json | jq 'reduce .[] as $item ({}; .[$item.OutputKey] = $item.OutputValue)'
+            --output json | jq 'reduce .[] as $item ({}; .[$item.OutputKey] = $item.OutputValue)' | localize_outputs
         ;;
 
     cdk)
         # CDK writes outputs to cdk-outputs.json
         if [ -f "cdk-outputs.json" ]; then
             # Flatten all stack outputs into single object
-            cat cdk-outputs.json | jq 'reduce to_entries[] as $stack ({}; . + $stack.value)'
+            cat cdk-outputs.json | jq 'reduce to_entries[] as $stack ({}; . + $stack.value)' | localize_outputs
         else
             echo '{"error": "cdk-outputs.json not found"}' >&2
             exit 1
@@ -42,7 +86,7 @@ case $IAC_TYPE in
 
     terraform)
         # Get Terraform outputs
-        terraform output -json | jq 'with_entries(.value = .value.value)'
+        terraform output -json | jq 'with_entries(.value = .value.value)' | localize_outputs
         ;;
 
     serverless)
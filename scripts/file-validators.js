@@ -0,0 +1,202 @@
+/**
+ * file-validators.js
+ * Syntax validation for generated files, keyed on file extension.
+ *
+ * - JSON (tsconfig/jsconfig and .jsonc allow comments and trailing commas)
+ * - YAML (multi-document; CloudFormation short-form tags such as !Ref are accepted)
+ * - TOML
+ * - JavaScript via `node --check` (CommonJS or ES module)
+ * - TypeScript/JSX via the TypeScript parser (syntax only, no type checking)
+ * - Python via `python3 -m py_compile` (skipped when python3 is not installed)
+ *
+ * Files with other extensions are not validated.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import YAML from 'yaml';
+import { parse as parseToml } from 'smol-toml';
+import ts from 'typescript';
+
+// Keep the error short enough to send back to the model
+const MAX_ERROR_CHARS = 2000;
+
+/**
+ * Remove // and /* comments and trailing commas, leaving string contents intact
+ */
+function stripJsonComments(text) {
+  let result = '';
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      result += char;
+      if (char === '\\') {
+        result += text[++i] ?? '';
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      result += char;
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      result += '\n';
+    } else if (char === '/' && text[i + 1] === '*') {
+      i += 2;
+      while (i < text.length && !(text[i] === '*' && text[i + 1] === '/')) i++;
+      i++;
+    } else {
+      result += char;
+    }
+  }
+
+  return result.replace(/,(\s*[}\]])/g, '$1');
+}
+
+function validateJson(content, filePath) {
+  const allowComments = /^(tsconfig|jsconfig).*\.json$/.test(path.basename(filePath)) || filePath.endsWith('.jsonc');
+  JSON.parse(allowComments ? stripJsonComments(content) : content);
+}
+
+function validateYaml(content) {
+  // Unknown tags (e.g. CloudFormation !Ref, !Sub) are warnings, not errors
+  const documents = YAML.parseAllDocuments(content);
+  const errors = documents.flatMap((document) => document.errors);
+
+  if (errors.length > 0) {
+    throw new Error(errors.map((error) => error.message).join('\n'));
+  }
+}
+
+function validateToml(content) {
+  parseToml(content);
+}
+
+/**
+ * Run a checker command on the content written to a temporary file
+ * @returns {{status: number|null, output: string, missing: boolean}}
+ */
+function checkWithCommand(command, args, content, fileName) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-'));
+  const file = path.join(dir, fileName);
+
+  try {
+    fs.writeFileSync(file, content);
+    const result = spawnSync(command, [...args, file], { encoding: 'utf-8', timeout: 30000 });
+
+    return {
+      status: result.status,
+      output: `${result.stderr || ''}${result.stdout || ''}`.split(dir + path.sep).join(''),
+      missing: result.error?.code === 'ENOENT',
+    };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function validateJavaScript(content, filePath) {
+  const ext = path.extname(filePath);
+
+  // A .js file may be either module type depending on the project's package.json
+  const candidates = ext === '.js' ? ['.cjs', '.mjs'] : [ext];
+  let output = '';
+
+  for (const candidate of candidates) {
+    const result = checkWithCommand(process.execPath, ['--check'], content, `${path.basename(filePath, ext)}${candidate}`);
+    if (result.status === 0) return;
+    output = result.output;
+  }
+
+  // Drop the checker's own stack frames and version banner
+  throw new Error(
+    output
+      .split('\n')
+      .filter((line) => !/^\s+at |^Node\.js v/.test(line))
+      .join('\n')
+      .trim()
+  );
+}
+
+function validateTypeScript(content, filePath) {
+  // A transpile-only pass reports the syntax errors (no type checking)
+  const { diagnostics = [] } = ts.transpileModule(content, {
+    compilerOptions: { target: ts.ScriptTarget.Latest, jsx: ts.JsxEmit.Preserve },
+    fileName: path.basename(filePath),
+    reportDiagnostics: true,
+  });
+
+  if (diagnostics.length > 0) {
+    throw new Error(
+      diagnostics
+        .map((diagnostic) => {
+          const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n');
+          if (!diagnostic.file || diagnostic.start === undefined) return message;
+
+          const { line, character } = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+          return `${line + 1}:${character + 1} ${message}`;
+        })
+        .join('\n')
+    );
+  }
+}
+
+function validatePython(content, filePath) {
+  const result = checkWithCommand('python3', ['-m', 'py_compile'], content, path.basename(filePath));
+
+  if (result.missing) {
+    return 'python3 not installed';
+  }
+  if (result.status !== 0) {
+    throw new Error(result.output.trim());
+  }
+}
+
+const VALIDATORS = {
+  '.json': ['json', validateJson],
+  '.jsonc': ['json', validateJson],
+  '.yaml': ['yaml', validateYaml],
+  '.yml': ['yaml', validateYaml],
+  '.toml': ['toml', validateToml],
+  '.js': ['javascript', validateJavaScript],
+  '.mjs': ['javascript', validateJavaScript],
+  '.cjs': ['javascript', validateJavaScript],
+  '.jsx': ['typescript', validateTypeScript],
+  '.ts': ['typescript', validateTypeScript],
+  '.tsx': ['typescript', validateTypeScript],
+  '.mts': ['typescript', validateTypeScript],
+  '.cts': ['typescript', validateTypeScript],
+  '.py': ['python', validatePython],
+};
+
+/**
+ * Validate file contents according to the file's extension
+ * @param {string} filePath - Path of the file (only the extension and name are used)
+ * @param {string} content - File contents
+ * @returns {{valid: boolean, validator: string|null, error?: string, skipped?: string}}
+ *   validator is null when no validator exists for the extension
+ */
+export function validateFile(filePath, content) {
+  const entry = VALIDATORS[path.extname(filePath).toLowerCase()];
+  if (!entry) {
+    return { valid: true, validator: null };
+  }
+
+  const [validator, validate] = entry;
+
+  try {
+    const skipped = validate(content, filePath);
+    return skipped ? { valid: true, validator, skipped } : { valid: true, validator };
+  } catch (error) {
+    const message = error.message || String(error);
+    return { valid: false, validator, error: message.substring(0, MAX_ERROR_CHARS) };
+  }
+}
+
+export default {
+  validateFile,
+};
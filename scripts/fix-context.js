@@ -0,0 +1,413 @@
+/**
+ * fix-context.js
+ * Picks the code shown to the fix generator, driven by the failure (see ai-generate-fix.js).
+ *
+ * Clues read from the failed tests and logs:
+ *   - File paths in stack traces and errors (src/db.ts:12:5, File "app/main.py", line 4, on main.tf line 9)
+ *   - Modules that failed to load (Cannot find module './lib/db', No module named 'app.db')
+ *   - Failed resources: CloudFormation logical IDs, Terraform addresses, CDK construct paths
+ *   - API paths of failed requests (/orders/123 points at code routing "/orders")
+ *
+ * Files are scored by the clues that point at them. The files a clue-matched
+ * file imports, and the files importing it, get a share of its score. The
+ * ranked files are then packed into a token budget: whole files while they
+ * fit, then an excerpt around the failing line (or the start of the file).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { listRepoFiles } from './repo-context.js';
+
+const SOURCE_FILE = /\.(js|mjs|cjs|jsx|ts|tsx|py|java|go|ya?ml|json|tf|sh|toml)$|(^|\/)(requirements\.txt|Dockerfile)$/;
+const CODE_FILE = /\.(js|mjs|cjs|jsx|ts|tsx|py|java|go)$/;
+
+// Inputs and outputs of the SDLC run itself, not project code
+const RUN_ARTIFACT = /^(logs\/|outputs\.json$|sanity-tests\.json$|test-results\.json$|fix-history\.json$|usage\.json$)/;
+const LOCK_FILE = /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|poetry\.lock)$/;
+
+// Project configuration: always somewhat relevant, more so when the deployment failed
+const CONFIG_FILE = /(^|\/)(template|serverless)\.ya?ml$|\.tf$|(^|\/)(cdk|package)\.json$|(^|\/)requirements\.txt$/;
+const MANIFEST_FILE = /(^|\/)(package\.json|requirements\.txt|pyproject\.toml|go\.mod)$/;
+const ENTRY_FILE = /(^|\/)(index|main|app|server|handler)\.(js|ts|py|go)$/;
+
+// A file path, optionally followed by a line number (file.js:12, "file.py", line 12, main.tf line 12)
+const PATH_CLUE =
+  /((?:[\w.@-]+\/)*[\w.@-]+\.(?:js|mjs|cjs|jsx|ts|tsx|py|java|go|tf|ya?ml|json|sh))\b(?:"?,?\s*line\s+|[:(])?(\d+)?/g;
+
+const MAX_FILE_BYTES = 500000;
+const MIN_EXCERPT_TOKENS = 400;
+const EXCERPT_CONTEXT_LINES = 40;
+
+const SCORES = {
+  path: 100,
+  basename: 40,
+  module: 80,
+  resource: 60,
+  route: 15,
+  deployConfig: 20,
+  config: 5,
+  entry: 3,
+};
+const IMPORTED_SHARE = 0.4;
+const IMPORTER_SHARE = 0.25;
+
+// Path segments that name the stage or version, not a resource
+const ROUTE_NOISE = new Set(['api', 'prod', 'dev', 'test', 'stage', 'staging', 'default', 'latest']);
+
+/**
+ * Rough token count for budgeting (about 4 characters per token)
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Pull file, module, resource and route clues out of failure text
+ * @returns {{paths: {path: string, line?: number}[], modules: string[], resources: string[], routes: string[]}}
+ */
+export function extractClues(text) {
+  const paths = [];
+  const modules = new Set();
+  const resources = new Set();
+  const routes = new Set();
+
+  for (const [, file, line] of text.matchAll(PATH_CLUE)) {
+    // Dependencies and runtime internals are not the project's to fix
+    if (/(^|\/)(node_modules|site-packages|dist-packages)\//.test(file) || /^https?:/.test(file)) continue;
+    paths.push({ path: file, ...(line && { line: parseInt(line, 10) }) });
+  }
+
+  const modulePatterns = [
+    /Cannot find module ['"]([^'"]+)['"]/g,
+    /Module not found:.*?['"]([^'"]+)['"]/g,
+    /No module named ['"]?([\w.]+)['"]?/g,
+    /cannot import name ['"]?\w+['"]? from ['"]?([\w.]+)/g,
+  ];
+  for (const pattern of modulePatterns) {
+    for (const [, name] of text.matchAll(pattern)) modules.add(name);
+  }
+
+  const resourcePatterns = [
+    // SAM/CloudFormation event tables: CREATE_FAILED  AWS::Lambda::Function  HelloFunction  reason
+    /(?:CREATE|UPDATE|DELETE)_FAILED\s+(?:AWS::[\w:]+\s+)?([A-Za-z][A-Za-z0-9]+)/g,
+    /LogicalResourceId"?\s*[:=]\s*"?([A-Za-z][A-Za-z0-9]+)/g,
+    // Terraform: "with aws_lambda_function.hello,"
+    /\bwith\s+(?:module\.[\w-]+\.)*([a-z][\w]*\.[\w-]+)/g,
+    // CDK construct paths: MyStack/HelloFunction/Resource
+    /\b[A-Za-z][\w-]*\/([A-Za-z][\w-]*)(?:\/[\w-]+)*\/Resource\b/g,
+  ];
+  for (const pattern of resourcePatterns) {
+    for (const [, id] of text.matchAll(pattern)) {
+      // CDK logical IDs end in an 8-character hash of the construct path
+      resources.add(id.replace(/^([A-Za-z]\w+?)[0-9A-F]{8}$/, '$1'));
+    }
+  }
+
+  for (const [, url] of text.matchAll(/\b(?:GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)\s+(\S+)/g)) {
+    const urlPath = url.replace(/^[a-z]+:\/\/[^/]+/i, '').split('?')[0];
+    for (const segment of urlPath.split('/')) {
+      if (/^[A-Za-z][\w-]{2,}$/.test(segment) && !ROUTE_NOISE.has(segment.toLowerCase()) && !/^v\d+$/.test(segment)) {
+        routes.add(segment);
+      }
+    }
+  }
+
+  return { paths, modules: [...modules], resources: [...resources], routes: [...routes] };
+}
+
+function readText(file) {
+  try {
+    if (fs.statSync(file).size > MAX_FILE_BYTES) return null;
+    return fs.readFileSync(file, 'utf-8');
+  } catch (error) {
+    return null;
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Repository files a relative import or a module name may refer to
+ */
+function resolveModule(name, fromDir, fileSet, files) {
+  const candidates = [];
+
+  if (/^\.{1,2}\//.test(name)) {
+    // JS/TS relative import; "./db.js" may be compiled from db.ts
+    const base = path.posix.normalize(path.posix.join(fromDir, name));
+    const stem = base.replace(/\.(js|mjs|cjs)$/, '');
+    const extensions = ['.js', '.ts', '.mjs', '.cjs', '.jsx', '.tsx', '/index.js', '/index.ts'];
+    candidates.push(base, ...extensions.map((ext) => stem + ext));
+  } else if (/^[\w.]+$/.test(name)) {
+    // Python dotted module, relative (.db) or absolute (app.db), also under a src/ layout
+    const dots = name.match(/^\.*/)[0].length;
+    const modulePath = name.substring(dots).replace(/\./g, '/');
+    const dir = dots > 0 ? path.posix.join(fromDir, ...Array(dots - 1).fill('..')) : '';
+    const base = path.posix.join(dir, modulePath);
+    candidates.push(`${base}.py`, `${base}/__init__.py`);
+
+    if (dots === 0) {
+      const suffixes = [`/${modulePath}.py`, `/${modulePath}/__init__.py`];
+      candidates.push(...files.filter((file) => suffixes.some((suffix) => file.endsWith(suffix))));
+    }
+  }
+
+  return [...new Set(candidates)].filter((file) => fileSet.has(file));
+}
+
+/**
+ * Files behind a module that failed to load: the module itself, or the
+ * dependency manifests when it is a package that is not installed
+ */
+function moduleFiles(name, fileSet, files) {
+  if (/^\.{0,2}\//.test(name)) {
+    // The importing file (or the runtime's root for /var/task/...) is unknown, so match the path from the end
+    const parts = name
+      .replace(/\.(js|mjs|cjs)$/, '')
+      .split('/')
+      .filter((part) => part && part !== '.' && part !== '..');
+
+    for (let start = 0; start < parts.length; start++) {
+      const stem = parts.slice(start).join('/');
+      const matches = files.filter((file) => {
+        const fileStem = file.replace(/\.\w+$/, '');
+        return [stem, `${stem}/index`].some((s) => fileStem === s || fileStem.endsWith(`/${s}`));
+      });
+      if (matches.length > 0) return matches;
+    }
+
+    return [];
+  }
+
+  const local = resolveModule(name, '', fileSet, files);
+  return local.length > 0 ? local : files.filter((file) => MANIFEST_FILE.test(file));
+}
+
+/**
+ * Relative imports of a source file, resolved to repository files
+ */
+function importsOf(file, content, fileSet, files) {
+  const fromDir = path.posix.dirname(file);
+  const names = [];
+
+  if (/\.(js|mjs|cjs|jsx|ts|tsx)$/.test(file)) {
+    const pattern = /(?:\bfrom\s*|\bimport\s*\(?\s*|\brequire\s*\(\s*)['"](\.{1,2}\/[^'"]+)['"]/g;
+    for (const [, name] of content.matchAll(pattern)) names.push(name);
+  } else if (file.endsWith('.py')) {
+    for (const [, from, plain] of content.matchAll(/^\s*(?:from\s+(\.*[\w.]*)\s+import|import\s+([\w.]+))/gm)) {
+      names.push(from || plain);
+    }
+  }
+
+  return names.flatMap((name) => resolveModule(name, fromDir, fileSet, files));
+}
+
+/**
+ * Files matching a path clue: the longest path suffix wins over a bare basename
+ */
+function matchPath(clue, files) {
+  const parts = clue.split('/').filter((part) => part && part !== '.' && part !== '..');
+
+  // Stack traces carry runtime prefixes (/var/task/, /app/); drop leading segments until a file matches
+  for (let start = 0; start < parts.length - 1; start++) {
+    const suffix = parts.slice(start).join('/');
+    const matches = files.filter((file) => file === suffix || file.endsWith(`/${suffix}`));
+    if (matches.length > 0) return { files: matches, exact: true };
+  }
+
+  const basename = parts[parts.length - 1];
+  if (files.includes(basename)) {
+    return { files: [basename], exact: true };
+  }
+
+  return { files: files.filter((file) => path.posix.basename(file) === basename), exact: false };
+}
+
+/**
+ * Score repository files against the clues
+ * @param {string[]} files - Candidate files (relative, posix)
+ * @param {Object} clues - From extractClues
+ * @param {Object} [options]
+ * @param {string} [options.stage] - "deploy" weighs the IaC and manifest files higher
+ * @param {(file: string) => string|null} [options.read] - File contents
+ * @returns {{file: string, score: number, reasons: string[], lines: number[]}[]} - Best first, score > 0
+ */
+export function rankFiles(files, clues, { stage, read = readText } = {}) {
+  const fileSet = new Set(files);
+  const ranking = new Map(files.map((file) => [file, { file, score: 0, reasons: [], lines: [] }]));
+  const add = (file, score, reason) => {
+    const entry = ranking.get(file);
+    entry.score += score;
+    if (!entry.reasons.includes(reason)) entry.reasons.push(reason);
+  };
+
+  for (const clue of clues.paths) {
+    const { files: matches, exact } = matchPath(clue.path, files);
+    for (const file of matches) {
+      add(file, (exact ? SCORES.path : SCORES.basename) / matches.length, exact ? 'stack trace' : 'file name');
+      if (clue.line && !ranking.get(file).lines.includes(clue.line)) ranking.get(file).lines.push(clue.line);
+    }
+  }
+
+  for (const name of clues.modules) {
+    const matches = moduleFiles(name, fileSet, files);
+    for (const file of matches) add(file, SCORES.module / matches.length, `module ${name}`);
+  }
+
+  const contents = new Map();
+  const contentOf = (file) => {
+    if (!contents.has(file)) contents.set(file, read(file));
+    return contents.get(file);
+  };
+
+  const resourcePatterns = clues.resources.map((id) => {
+    const [type, name] = id.includes('.') ? id.split('.') : [null, id];
+    return {
+      id,
+      pattern: type
+        ? new RegExp(`resource\\s+"${escapeRegExp(type)}"\\s+"${escapeRegExp(name)}"`)
+        : new RegExp(`^\\s*${escapeRegExp(name)}:\\s*$|['"]${escapeRegExp(name)}['"]`, 'm'),
+    };
+  });
+  const routePatterns = clues.routes.map((route) => ({ route, pattern: new RegExp(`/${escapeRegExp(route)}\\b`) }));
+
+  if (resourcePatterns.length > 0 || routePatterns.length > 0) {
+    for (const file of files) {
+      const content = contentOf(file);
+      if (!content) continue;
+
+      for (const { id, pattern } of resourcePatterns) {
+        if (pattern.test(content)) add(file, SCORES.resource, `resource ${id}`);
+      }
+      for (const { route, pattern } of routePatterns) {
+        if (CODE_FILE.test(file) || CONFIG_FILE.test(file)) {
+          if (pattern.test(content)) add(file, SCORES.route, `route /${route}`);
+        }
+      }
+    }
+  }
+
+  for (const file of files) {
+    if (CONFIG_FILE.test(file)) {
+      add(file, stage === 'deploy' ? SCORES.deployConfig : SCORES.config, 'project config');
+    } else if (ENTRY_FILE.test(file)) {
+      add(file, SCORES.entry, 'entry point');
+    }
+  }
+
+  // Import neighbors of the files the clues point at, one hop each way
+  const direct = [...ranking.values()].filter((entry) => entry.score > SCORES.deployConfig);
+  if (direct.length > 0) {
+    const importers = new Map();
+    for (const file of files.filter((f) => CODE_FILE.test(f))) {
+      const content = contentOf(file);
+      if (!content) continue;
+
+      for (const imported of importsOf(file, content, fileSet, files)) {
+        if (!importers.has(imported)) importers.set(imported, []);
+        importers.get(imported).push(file);
+      }
+    }
+
+    const neighborScores = direct.map(({ file, score }) => ({
+      file,
+      score,
+      imports: CODE_FILE.test(file) && contentOf(file) ? importsOf(file, contentOf(file), fileSet, files) : [],
+    }));
+
+    for (const { file, score, imports } of neighborScores) {
+      for (const imported of imports) add(imported, score * IMPORTED_SHARE, `imported by ${file}`);
+      for (const importer of importers.get(file) || []) add(importer, score * IMPORTER_SHARE, `imports ${file}`);
+    }
+  }
+
+  return [...ranking.values()]
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score || a.file.localeCompare(b.file));
+}
+
+/**
+ * Lines around the failing lines (or the start of the file) that fit in maxChars
+ */
+function excerpt(content, lines, maxChars) {
+  const all = content.split('\n');
+  const center = lines.length > 0 ? Math.min(...lines) - 1 : 0;
+
+  let start = Math.max(0, center - EXCERPT_CONTEXT_LINES);
+  let end = start;
+  let size = 0;
+  while (end < all.length && size + all[end].length + 1 <= maxChars) {
+    size += all[end].length + 1;
+    end++;
+  }
+
+  // Not even the failing line fits after the context above it: start closer
+  if (end <= center && center < all.length) {
+    start = center;
+    end = center + 1;
+  }
+
+  return { text: all.slice(start, end).join('\n'), from: start + 1, to: end, total: all.length };
+}
+
+/**
+ * Build the code section of the fix prompt
+ * @param {string} failureText - Failed tests, logs and earlier attempts
+ * @param {Object} options
+ * @param {number} options.maxTokens - Budget for the code section
+ * @param {string} [options.stage] - "deploy" or "test"
+ * @param {string} [options.dir='.'] - Repository root
+ * @returns {Promise<{context: string, included: string[], omitted: string[], tokens: number}>}
+ */
+export async function buildFixContext(failureText, { maxTokens, stage, dir = '.' }) {
+  const files = (await listRepoFiles(dir)).filter(
+    (file) => SOURCE_FILE.test(file) && !RUN_ARTIFACT.test(file) && !LOCK_FILE.test(file)
+  );
+
+  const clues = extractClues(failureText);
+  const ranked = rankFiles(files, clues, { stage, read: (file) => readText(path.join(dir, file)) });
+
+  const sections = [];
+  const included = [];
+  const omitted = [];
+  let remaining = maxTokens;
+
+  for (const { file, lines, reasons } of ranked) {
+    const content = readText(path.join(dir, file));
+    if (content === null) continue;
+
+    const why = reasons.slice(0, 3).join(', ');
+    const whole = `--- ${file} (${why}) ---\n${content}\n`;
+
+    if (estimateTokens(whole) <= remaining) {
+      sections.push(whole);
+      included.push(file);
+      remaining -= estimateTokens(whole);
+    } else if (remaining >= MIN_EXCERPT_TOKENS) {
+      const part = excerpt(content, lines, (remaining - 50) * 4);
+      const section = `--- ${file} (${why}; lines ${part.from}-${part.to} of ${part.total}) ---\n${part.text}\n`;
+      sections.push(section);
+      included.push(file);
+      remaining -= estimateTokens(section);
+    } else {
+      omitted.push(file);
+    }
+  }
+
+  let context = sections.join('\n');
+  if (omitted.length > 0) {
+    context += `\nOther possibly relevant files (not shown): ${omitted.slice(0, 20).join(', ')}`;
+    context += omitted.length > 20 ? `, ... (${omitted.length - 20} more)\n` : '\n';
+  }
+
+  return { context, included, omitted, tokens: maxTokens - remaining };
+}
+
+export default {
+  estimateTokens,
+  extractClues,
+  rankFiles,
+  buildFixContext,
+};
@@ -0,0 +1,217 @@
+/**
+ * fix-context.test.js
+ * Clues from failure text, file ranking and the token budget of the fix prompt's
+ * code section, against a fixture repository.
+ *
+ * Run: npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { extractClues, rankFiles, buildFixContext, estimateTokens } from './fix-context.js';
+
+// db.js is long, with the failing line well past the start
+const dbLines = Array.from({ length: 400 }, (_, i) => `  // step ${i + 1} of loading the order`);
+dbLines[0] = 'export async function getOrder(client, id) {';
+dbLines[299] = "  throw new Error('Order not found');";
+dbLines[399] = '}';
+
+const fixture = {
+  'package.json': '{ "name": "orders", "type": "module" }\n',
+  'package-lock.json': '{ "lockfileVersion": 3 }\n',
+  'template.yaml': [
+    'Resources:',
+    '  OrdersFunction:',
+    '    Type: AWS::Serverless::Function',
+    '    Properties:',
+    '      Handler: src/handler.handler',
+    '      Events:',
+    '        Get:',
+    '          Type: Api',
+    '          Properties:',
+    '            Path: /orders/{id}',
+    '',
+  ].join('\n'),
+  'src/handler.js': [
+    "import { getOrder } from './db.js';",
+    "import log from './util/log.js';",
+    '',
+    'export async function handler(event) {',
+    '  log(event);',
+    '  return getOrder(null, event.pathParameters.id);',
+    '}',
+    '',
+  ].join('\n'),
+  'src/db.js': `${dbLines.join('\n')}\n`,
+  'src/util/log.js': 'export default (value) => console.log(JSON.stringify(value));\n',
+  'src/routes/orders.js': [
+    "const { getOrder } = require('../db');",
+    '',
+    "router.get('/orders/:id', (req, res) => getOrder(null, req.params.id).then((order) => res.json(order)));",
+    '',
+  ].join('\n'),
+  'src/unrelated.js': 'export const answer = 42;\n',
+  'logs/deploy.log': 'CREATE_FAILED AWS::Lambda::Function OrdersFunction\n',
+  'node_modules/aws-sdk/index.js': 'module.exports = {};\n',
+};
+const sourceFiles = Object.keys(fixture).filter((file) => !/^(logs|node_modules)\/|-lock\.json$/.test(file)).sort();
+const read = (file) => fixture[file] ?? null;
+
+let repoDir;
+
+before(() => {
+  repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fix-context-test-'));
+  for (const [file, content] of Object.entries(fixture)) {
+    fs.mkdirSync(path.dirname(path.join(repoDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(repoDir, file), content);
+  }
+});
+
+after(() => {
+  fs.rmSync(repoDir, { recursive: true, force: true });
+});
+
+test('extractClues reads paths, modules, resources and routes out of the failure', () => {
+  const text = [
+    "TypeError: Cannot read properties of undefined (reading 'Item')",
+    '    at getOrder (/var/task/src/db.js:12:5)',
+    '    at handler (file:///var/task/node_modules/@aws-sdk/client-dynamodb/dist/index.js:3:1)',
+    "Error: Cannot find module './lib/missing'",
+    "ModuleNotFoundError: No module named 'app.models'",
+    '  File "app/main.py", line 4, in <module>',
+    'on main.tf line 9:',
+    'CREATE_FAILED  AWS::Lambda::Function  OrdersFunction  Resource handler returned message',
+    '  with aws_lambda_function.orders,',
+    '"LogicalResourceId": "OrdersTable12AB34CD"',
+    'MyStack/OrdersQueue/Resource failed',
+    'GET https://abc.execute-api.us-east-1.amazonaws.com/prod/v1/orders/123 -> 500',
+  ].join('\n');
+
+  assert.deepEqual(extractClues(text), {
+    paths: [
+      { path: 'var/task/src/db.js', line: 12 },
+      { path: 'app/main.py', line: 4 },
+      { path: 'main.tf', line: 9 },
+    ],
+    modules: ['./lib/missing', 'app.models'],
+    resources: ['OrdersFunction', 'OrdersTable', 'aws_lambda_function.orders', 'OrdersQueue'],
+    routes: ['orders'],
+  });
+});
+
+test('extractClues finds nothing in text without clues', () => {
+  assert.deepEqual(extractClues('Tests failed: expected 200, got 500'), {
+    paths: [],
+    modules: [],
+    resources: [],
+    routes: [],
+  });
+});
+
+test('rankFiles puts the stack trace file first and its importers after it', () => {
+  const ranked = rankFiles(sourceFiles, extractClues('    at getOrder (/var/task/src/db.js:300:9)'), { read });
+
+  assert.deepEqual(
+    ranked.map(({ file, score }) => [file, score]),
+    [
+      ['src/db.js', 100],
+      ['src/handler.js', 28],
+      ['src/routes/orders.js', 25],
+      ['package.json', 5],
+      ['template.yaml', 5],
+    ]
+  );
+  assert.deepEqual(ranked[0].lines, [300]);
+  assert.deepEqual(ranked[1].reasons, ['entry point', 'imports src/db.js']);
+  assert.deepEqual(ranked[2].reasons, ['imports src/db.js']);
+});
+
+test('rankFiles gives the files a matched file imports a share of its score', () => {
+  const ranked = rankFiles(sourceFiles, extractClues('at handler (/var/task/src/handler.js:6:10)'), { read });
+  const byFile = Object.fromEntries(ranked.map((entry) => [entry.file, entry]));
+
+  assert.equal(ranked[0].file, 'src/handler.js');
+  assert.equal(byFile['src/db.js'].score, ranked[0].score * 0.4);
+  assert.deepEqual(byFile['src/db.js'].reasons, ['imported by src/handler.js']);
+  assert.deepEqual(byFile['src/util/log.js'].reasons, ['imported by src/handler.js']);
+  // Not an import of handler.js, only another importer of db.js
+  assert.equal(byFile['src/routes/orders.js'], undefined);
+  assert.equal(byFile['src/unrelated.js'], undefined);
+});
+
+test('rankFiles matches a bare file name with less weight than a path', () => {
+  const [first] = rankFiles(sourceFiles, extractClues('Error in log.js'), { read });
+
+  assert.equal(first.file, 'src/util/log.js');
+  assert.equal(first.score, 40);
+  assert.deepEqual(first.reasons, ['file name']);
+});
+
+test('rankFiles weighs the failed resource and the IaC files higher for a deploy failure', () => {
+  const clues = extractClues('CREATE_FAILED  AWS::Serverless::Function  OrdersFunction  Handler not found');
+  const ranked = rankFiles(sourceFiles, clues, { stage: 'deploy', read });
+
+  assert.deepEqual(
+    ranked.slice(0, 2).map(({ file, score, reasons }) => [file, score, reasons]),
+    [
+      ['template.yaml', 80, ['resource OrdersFunction', 'project config']],
+      ['package.json', 20, ['project config']],
+    ]
+  );
+});
+
+test('buildFixContext includes whole files while they fit', async () => {
+  const text = '    at getOrder (/var/task/src/db.js:300:9)';
+  const result = await buildFixContext(text, { maxTokens: 100000, dir: repoDir });
+
+  assert.deepEqual(result.included, [
+    'src/db.js',
+    'src/handler.js',
+    'src/routes/orders.js',
+    'package.json',
+    'template.yaml',
+  ]);
+  assert.deepEqual(result.omitted, []);
+  assert.ok(result.context.startsWith(`--- src/db.js (stack trace) ---\n${fixture['src/db.js']}`));
+  assert.ok(result.context.includes('--- src/handler.js (entry point, imports src/db.js) ---\n'));
+  // Lock files, run logs and dependencies are never shown
+  assert.doesNotMatch(result.context, /lockfileVersion|CREATE_FAILED|module\.exports/);
+  assert.ok(result.tokens >= estimateTokens(fixture['src/db.js']) && result.tokens < 100000);
+});
+
+test('buildFixContext shows an excerpt around the failing line and lists what did not fit', async () => {
+  const result = await buildFixContext('    at getOrder (/var/task/src/db.js:300:9)', { maxTokens: 600, dir: repoDir });
+
+  // A lower-ranked file that still fits whole in what the excerpt left over goes in too
+  assert.deepEqual(result.included, ['src/db.js', 'package.json']);
+  assert.deepEqual(result.omitted, ['src/handler.js', 'src/routes/orders.js', 'template.yaml']);
+  assert.match(result.context, /^--- src\/db\.js \(stack trace; lines 260-\d+ of 401\) ---\n {2}\/\/ step 260 /);
+  assert.ok(result.context.includes("throw new Error('Order not found');"));
+  assert.doesNotMatch(result.context, /export async function getOrder/);
+  assert.ok(
+    result.context.endsWith(
+      '\nOther possibly relevant files (not shown): src/handler.js, src/routes/orders.js, template.yaml\n'
+    )
+  );
+  assert.ok(result.tokens <= 600);
+});
+
+test('buildFixContext fills the rest of the budget with the start of the next file', async () => {
+  const text = [
+    "TypeError: Cannot read properties of undefined (reading 'id')",
+    '    at /var/task/src/routes/orders.js:3:44',
+  ].join('\n');
+  const result = await buildFixContext(text, { maxTokens: 1200, dir: repoDir });
+
+  assert.deepEqual(result.included, ['src/routes/orders.js', 'src/db.js', 'package.json']);
+  const orders = fixture['src/routes/orders.js'];
+  assert.ok(result.context.startsWith(`--- src/routes/orders.js (stack trace) ---\n${orders}`));
+  assert.match(result.context, /\n--- src\/db\.js \(imported by src\/routes\/orders\.js; lines 1-\d+ of 401\) ---\n/);
+  assert.ok(result.context.includes(dbLines[0]));
+  assert.ok(!result.context.includes(dbLines[299]));
+  assert.deepEqual(result.omitted, ['template.yaml', 'src/handler.js']);
+  assert.ok(result.tokens <= 1200);
+});
@@ -0,0 +1,235 @@
+/**
+ * fix-rules.js
+ * Known failures with a deterministic fix, tried before the AI (see ai-generate-fix.js).
+ *
+ * A rule is {id, description, categories, detect, fix}:
+ *   detect(failure) - Match details, or null; failure is {analysis, text}
+ *                     (analysis from log-analyzer.js, text is the failed tests and logs)
+ *   fix(match, project) - {path: new content} for the files to change, or null;
+ *                         project is {files, read}. Returns null when the files
+ *                         already have the fix, so a rule that did not help
+ *                         leaves the next attempt to the AI.
+ *
+ * Rules only run when the failure's category is one of theirs (all rules run
+ * for unclassified failures). Add a rule by appending it to RULES.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { listRepoFiles } from './repo-context.js';
+
+// Latest Lambda runtime of each family, for replacing deprecated ones
+const CURRENT_RUNTIMES = {
+  nodejs: 'nodejs20.x',
+  python: 'python3.12',
+  java: 'java21',
+  ruby: 'ruby3.3',
+  dotnet: 'dotnet8',
+};
+
+// Files that can set a Lambda runtime: IaC templates and CDK code
+const RUNTIME_FILE = /\.(ya?ml|tf|json|toml|js|mjs|cjs|ts|py)$/;
+const GENERATED_FILE = new RegExp(
+  '^(logs/|outputs\\.json$|sanity-tests\\.json$|test-results\\.json$|fix-history\\.json$|usage\\.json$)'
+    + '|(^|/)package(-lock)?\\.json$'
+);
+
+// Variables run-deployment.sh passes to terraform plan
+const TERRAFORM_VARIABLES = {
+  stack_name: 'Name prefix for the deployed resources (set by run-deployment.sh)',
+  region: 'AWS region to deploy to (set by run-deployment.sh)',
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * CDK constant of a runtime (nodejs14.x -> NODEJS_14_X, python3.7 -> PYTHON_3_7)
+ */
+function cdkRuntime(runtime) {
+  const match = runtime.match(/^([a-z]+)([\d.]+?)(\.x)?$/);
+  return match ? `${match[1].toUpperCase()}_${match[2].replace(/\./g, '_')}${match[3] ? '_X' : ''}` : null;
+}
+
+const unsupportedRuntime = {
+  id: 'unsupported-runtime',
+  description: 'Replace a deprecated Lambda runtime with the current one of the same language',
+  categories: ['template-syntax'],
+
+  detect({ text }) {
+    const patterns = [
+      /runtime parameter of (\w[\w.]*) is no longer supported/i,
+      /'(\w[\w.]*)' runtime is not supported/i,
+      /expected runtime to be one of .*?, got (\w[\w.]*)/i,
+      /Runtime (\w[\w.]*) is (?:deprecated|not supported)/i,
+    ];
+
+    for (const pattern of patterns) {
+      const runtime = text.match(pattern)?.[1];
+      const family = runtime?.match(/^[a-z]+/)?.[0];
+      const current = CURRENT_RUNTIMES[family];
+      if (current && current !== runtime) return { runtime, current };
+    }
+
+    return null;
+  },
+
+  fix({ runtime, current }, { files, read }) {
+    const replacements = [[new RegExp(`(?<![\\w.])${escapeRegExp(runtime)}(?![\\w.])`, 'g'), current]];
+    const [from, to] = [cdkRuntime(runtime), cdkRuntime(current)];
+    if (from && to) replacements.push([new RegExp(`\\bRuntime\\.${from}\\b`, 'g'), `Runtime.${to}`]);
+
+    const changes = {};
+    for (const file of files.filter((f) => RUNTIME_FILE.test(f) && !GENERATED_FILE.test(f))) {
+      const content = read(file);
+      if (content === null) continue;
+
+      const updated = replacements.reduce((text, [pattern, value]) => text.replace(pattern, value), content);
+      if (updated !== content) changes[file] = updated;
+    }
+
+    return Object.keys(changes).length > 0 ? changes : null;
+  },
+};
+
+const undeclaredTerraformVariable = {
+  id: 'undeclared-terraform-variable',
+  description: 'Declare the variables run-deployment.sh passes to Terraform (stack_name, region)',
+  categories: ['template-syntax'],
+
+  detect({ text }) {
+    const names = [...text.matchAll(/variable named "(\w+)" was assigned on the command line/g)].map((m) => m[1]);
+    const known = [...new Set(names)].filter((name) => name in TERRAFORM_VARIABLES);
+    return known.length > 0 ? { names: known } : null;
+  },
+
+  fix({ names }, { files, read }) {
+    // terraform plan runs in the project root, so that is the module to declare them in
+    const rootModule = files.filter((f) => /^[^/]+\.tf$/.test(f));
+    const declared = rootModule.map(read).join('\n');
+    const missing = names.filter((name) => !new RegExp(`^\\s*variable\\s+"${name}"`, 'm').test(declared));
+    if (missing.length === 0) return null;
+
+    const blocks = missing.map(
+      (name) => `variable "${name}" {\n  description = "${TERRAFORM_VARIABLES[name]}"\n  type        = string\n}\n`
+    );
+
+    const file = 'variables.tf';
+    const existing = rootModule.includes(file) ? read(file) : '';
+    const separator = existing && !existing.endsWith('\n\n') ? (existing.endsWith('\n') ? '\n' : '\n\n') : '';
+
+    return { [file]: `${existing}${separator}${blocks.join('\n')}` };
+  },
+};
+
+/**
+ * Functions a module exports (or defines, for Python), with the style to export another name
+ */
+function exportsOf(file, content) {
+  if (file.endsWith('.py')) {
+    const functions = [...content.matchAll(/^(?:async )?def (\w+)\(\s*\w+\s*,\s*\w+\s*\)/gm)].map((m) => m[1]);
+    // Names bound to another function at module level, such as an alias added before
+    const aliases = [...content.matchAll(/^(\w+)\s*=\s*\w+\s*$/gm)].map((m) => m[1]);
+    return { functions, aliases, alias: (name, target) => `${name} = ${target}\n` };
+  }
+
+  if (/\.mjs$|\.ts$/.test(file) || /^\s*export\s/m.test(content)) {
+    const functions = [
+      ...[...content.matchAll(/^export (?:async )?function\s*\*?\s*(\w+)/gm)].map((m) => m[1]),
+      ...[...content.matchAll(/^export (?:const|let|var) (\w+)\s*=/gm)].map((m) => m[1]),
+    ];
+    return { functions, alias: (name, target) => `export const ${name} = ${target};\n` };
+  }
+
+  const functions = [...content.matchAll(/^(?:module\.)?exports\.(\w+)\s*=/gm)].map((m) => m[1]);
+  const object = content.match(/^module\.exports\s*=\s*\{([^}]*)\}/m);
+  if (object) {
+    functions.push(...object[1].split(',').map((entry) => entry.split(':')[0].trim()).filter(Boolean));
+  }
+
+  return {
+    functions,
+    defaultExport: /^module\.exports\s*=\s*(?:async\s+)?(?:function|\()/m.test(content),
+    alias: (name, target) => `module.exports.${name} = ${target ? `module.exports.${target}` : 'module.exports'};\n`,
+  };
+}
+
+const missingHandlerExport = {
+  id: 'missing-handler-export',
+  description: 'Export the handler name Lambda looks up when the module exports the function under another name',
+  categories: ['code-bug', 'missing-dependency'],
+
+  detect({ text }) {
+    const node = text.match(/([\w./-]+)\.(\w+) is undefined or not exported/);
+    if (node) return { module: node[1], name: node[2] };
+
+    const python = text.match(/Handler '(\w+)' missing on module '([\w./]+)'/);
+    return python ? { module: python[2].replace(/\./g, '/'), name: python[1] } : null;
+  },
+
+  fix({ module, name }, { files, read }) {
+    // The handler module is relative to the function's code directory
+    const candidates = files.filter((f) => {
+      const withoutExtension = f.replace(/\.(js|mjs|cjs|ts|py)$/, '');
+      return withoutExtension !== f && (withoutExtension === module || withoutExtension.endsWith(`/${module}`));
+    });
+    if (candidates.length !== 1) return null;
+
+    const [file] = candidates;
+    const content = read(file);
+    if (content === null) return null;
+
+    const { functions, aliases = [], defaultExport, alias } = exportsOf(file, content);
+    if (functions.includes(name) || aliases.includes(name)) return null;
+
+    // Only when there is one obvious function to point the handler at
+    const likely = functions.filter((f) => /handler|main|lambda|run/i.test(f));
+    const target = likely.length === 1 ? likely[0] : functions.length === 1 ? functions[0] : null;
+    if (!target && !defaultExport) return null;
+
+    const separator = content.endsWith('\n') ? '\n' : '\n\n';
+    return { [file]: `${content}${separator}${alias(name, target)}` };
+  },
+};
+
+export const RULES = [unsupportedRuntime, undeclaredTerraformVariable, missingHandlerExport];
+
+/**
+ * Find the first rule that detects the failure and has a fix for it
+ * @param {{analysis: Object, text: string}} failure
+ * @param {Object} [options]
+ * @param {string} [options.dir='.'] - Project root
+ * @param {string[]} [options.only] - Rule ids to try (default: all)
+ * @returns {Promise<{rule: Object, match: Object, changes: Object<string, string>}|null>}
+ */
+export async function findRuleFix(failure, { dir = '.', only } = {}) {
+  const category = failure.analysis?.category || 'unknown';
+  const rules = RULES.filter(
+    (rule) => (!only || only.includes(rule.id)) && (category === 'unknown' || rule.categories.includes(category))
+  );
+
+  const files = await listRepoFiles(dir);
+  const read = (file) => {
+    try {
+      return fs.readFileSync(path.join(dir, file), 'utf-8');
+    } catch {
+      return null;
+    }
+  };
+
+  for (const rule of rules) {
+    const match = rule.detect(failure);
+    if (!match) continue;
+
+    const changes = rule.fix(match, { files, read });
+    if (changes) return { rule, match, changes };
+  }
+
+  return null;
+}
+
+export default {
+  RULES,
+  findRuleFix,
+};
@@ -0,0 +1,213 @@
+/**
+ * fix-rules.test.js
+ * The deterministic fixes against temporary project directories: each applies
+ * once, and a second run over the fixed files finds nothing left to do.
+ *
+ * Run: npm test
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { findRuleFix } from './fix-rules.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fix-rules-test-'));
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Write a project into a fresh directory
+ */
+function makeProject(files) {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'project-'));
+  writeFiles(dir, files);
+  return dir;
+}
+
+function writeFiles(dir, files) {
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+}
+
+/**
+ * Find the fix, write it, and check that running the rules again finds nothing
+ */
+async function fixOnce(dir, failure) {
+  const fix = await findRuleFix(failure, { dir });
+  assert.ok(fix, 'a rule should fix the failure');
+
+  writeFiles(dir, fix.changes);
+  assert.equal(await findRuleFix(failure, { dir }), null);
+
+  return fix;
+}
+
+test('nodejs14.x is replaced with nodejs20.x in templates and CDK code', async () => {
+  const template = [
+    'Resources:',
+    '  HelloFunction:',
+    '    Type: AWS::Serverless::Function',
+    '    Properties:',
+    '      Runtime: nodejs14.x',
+    '      Handler: app.handler',
+    '',
+  ].join('\n');
+  const stack = [
+    "import * as lambda from 'aws-cdk-lib/aws-lambda';",
+    '',
+    'new lambda.Function(this, "Hello", {',
+    '  runtime: lambda.Runtime.NODEJS_14_X,',
+    "  handler: 'app.handler',",
+    '});',
+    '',
+  ].join('\n');
+  const unchanged = {
+    // Mentions of other versions, run outputs and manifests are left alone
+    'README.md': 'Runs on nodejs14.x\n',
+    'docs/runtimes.yaml': 'supported: [nodejs14.xx, nodejs18.x]\n',
+    'outputs.json': '{ "Runtime": "nodejs14.x" }\n',
+    'package.json': '{ "engines": { "lambda": "nodejs14.x" } }\n',
+  };
+  const dir = makeProject({ 'template.yaml': template, 'lib/stack.ts': stack, ...unchanged });
+
+  const fix = await fixOnce(dir, {
+    analysis: { category: 'template-syntax' },
+    text: 'Resource handler returned message: "The runtime parameter of nodejs14.x is no longer supported for '
+      + 'creating or updating AWS Lambda functions."',
+  });
+
+  assert.equal(fix.rule.id, 'unsupported-runtime');
+  assert.deepEqual(fix.match, { runtime: 'nodejs14.x', current: 'nodejs20.x' });
+  assert.deepEqual(Object.keys(fix.changes).sort(), ['lib/stack.ts', 'template.yaml']);
+  assert.equal(fix.changes['template.yaml'], template.replace('nodejs14.x', 'nodejs20.x'));
+  assert.equal(fix.changes['lib/stack.ts'], stack.replace('Runtime.NODEJS_14_X', 'Runtime.NODEJS_20_X'));
+
+  for (const [file, content] of Object.entries(unchanged)) {
+    assert.equal(fs.readFileSync(path.join(dir, file), 'utf-8'), content, file);
+  }
+});
+
+test('the runtime rule only runs for template failures', async () => {
+  const dir = makeProject({ 'template.yaml': 'Runtime: nodejs14.x\n' });
+  const failure = {
+    analysis: { category: 'code-bug' },
+    text: 'The runtime parameter of nodejs14.x is no longer supported',
+  };
+
+  assert.equal(await findRuleFix(failure, { dir }), null);
+  assert.ok(await findRuleFix({ ...failure, analysis: { category: 'unknown' } }, { dir }));
+  assert.equal(await findRuleFix({ ...failure, analysis: {} }, { dir, only: ['missing-handler-export'] }), null);
+});
+
+const UNDECLARED_VARIABLES = [
+  '│ Error: Value for undeclared variable',
+  '│ ',
+  '│ A variable named "stack_name" was assigned on the command line, but the root module does not declare a',
+  '│ variable of that name. To use this value, add a "variable" block to the configuration.',
+  '│ Error: Value for undeclared variable',
+  '│ ',
+  '│ A variable named "region" was assigned on the command line, but the root module does not declare a',
+  '│ variable of that name. To use this value, add a "variable" block to the configuration.',
+].join('\n');
+
+test('undeclared Terraform variables are appended to variables.tf', async () => {
+  const variables = 'variable "region" {\n  type = string\n}\n';
+  const dir = makeProject({
+    'main.tf': 'provider "aws" {\n  region = var.region\n}\n',
+    'variables.tf': variables,
+    // Declared in a child module, which is not where terraform plan assigns it
+    'modules/api/variables.tf': 'variable "stack_name" {}\n',
+  });
+
+  const fix = await fixOnce(dir, { analysis: { category: 'template-syntax' }, text: UNDECLARED_VARIABLES });
+
+  assert.equal(fix.rule.id, 'undeclared-terraform-variable');
+  assert.deepEqual(fix.match, { names: ['stack_name', 'region'] });
+  assert.deepEqual(fix.changes, {
+    'variables.tf': `${variables}\nvariable "stack_name" {\n`
+      + '  description = "Name prefix for the deployed resources (set by run-deployment.sh)"\n'
+      + '  type        = string\n'
+      + '}\n',
+  });
+});
+
+test('undeclared Terraform variables go into a new variables.tf', async () => {
+  const dir = makeProject({ 'main.tf': 'resource "aws_s3_bucket" "site" {\n  bucket = "${var.stack_name}-site"\n}\n' });
+
+  const fix = await fixOnce(dir, { analysis: { category: 'template-syntax' }, text: UNDECLARED_VARIABLES });
+
+  assert.equal(
+    fs.readFileSync(path.join(dir, 'variables.tf'), 'utf-8'),
+    [
+      'variable "stack_name" {',
+      '  description = "Name prefix for the deployed resources (set by run-deployment.sh)"',
+      '  type        = string',
+      '}',
+      '',
+      'variable "region" {',
+      '  description = "AWS region to deploy to (set by run-deployment.sh)"',
+      '  type        = string',
+      '}',
+      '',
+    ].join('\n')
+  );
+  assert.deepEqual(Object.keys(fix.changes), ['variables.tf']);
+});
+
+const HANDLER_CASES = [
+  {
+    name: 'an ES module',
+    file: 'src/app.mjs',
+    content: 'export const lambdaHandler = async (event) => {\n  return { statusCode: 200 };\n};\n',
+    error: 'Runtime.HandlerNotFound: app.handler is undefined or not exported',
+    alias: 'export const handler = lambdaHandler;\n',
+  },
+  {
+    name: 'a CommonJS module exporting the function under another name',
+    file: 'src/app.js',
+    content: 'exports.main = async (event) => ({ statusCode: 200 });\n',
+    error: '{"errorType":"Runtime.HandlerNotFound","errorMessage":"app.handler is undefined or not exported"}',
+    alias: 'module.exports.handler = module.exports.main;\n',
+  },
+  {
+    name: 'a CommonJS module exporting the function itself',
+    file: 'functions/orders/index.js',
+    content: 'module.exports = async function (event) {\n  return { statusCode: 200 };\n};',
+    error: 'Runtime.HandlerNotFound: functions/orders/index.handler is undefined or not exported',
+    alias: 'module.exports.handler = module.exports;\n',
+  },
+  {
+    name: 'a Python module',
+    file: 'hello_world/app.py',
+    content: 'import json\n\n\ndef handler(event, context):\n    return {"statusCode": 200}\n',
+    error: "[ERROR] Runtime.HandlerNotFound: Handler 'lambda_handler' missing on module 'app'",
+    alias: 'lambda_handler = handler\n',
+  },
+];
+
+for (const { name, file, content, error, alias } of HANDLER_CASES) {
+  test(`the missing handler is exported from ${name}`, async () => {
+    const dir = makeProject({ [file]: content, 'template.yaml': 'Resources: {}\n' });
+
+    const fix = await fixOnce(dir, { analysis: { category: 'code-bug' }, text: error });
+
+    assert.equal(fix.rule.id, 'missing-handler-export');
+    const separator = content.endsWith('\n') ? '\n' : '\n\n';
+    assert.deepEqual(fix.changes, { [file]: `${content}${separator}${alias}` });
+  });
+}
+
+test('no handler export is added when the function to point it at is ambiguous', async () => {
+  const dir = makeProject({
+    'src/app.mjs': 'export const getItem = async () => {};\nexport const putItem = async () => {};\n',
+  });
+
+  const failure = { analysis: { category: 'code-bug' }, text: 'app.handler is undefined or not exported' };
+  assert.equal(await findRuleFix(failure, { dir }), null);
+});
@@ -0,0 +1,507 @@
+/**
+ * log-analyzer.js
+ * Finds the errors in deployment and test logs and classifies the root one
+ * (see ai-generate-fix.js and ai-fix-loop.js).
+ *
+ * Understands:
+ *   - CloudFormation stack events (SAM, CDK, Serverless and aws cloudformation output);
+ *     cascades such as "Resource creation cancelled" are not root errors
+ *   - SAM build and changeset errors (Error: PythonPipBuilder:ResolveDependencies - ...)
+ *   - Terraform diagnostics (│ Error: ... with aws_x.y, on main.tf line 12)
+ *   - CDK synth and deploy errors, npm and pip install failures
+ *   - Runtime stack traces (Node.js, Python), Lambda invoke errors and execute-tests.js failures
+ *   - Anything else that looks like an error line, as a fallback
+ *
+ * Categories: iam, quota, missing-dependency, template-syntax, code-bug, unknown
+ */
+
+const CATEGORIES = {
+  iam: {
+    label: 'IAM permissions',
+    hint: 'Grant the missing permission in the IaC template (role policy, resource policy or trust relationship); '
+      + 'application code changes will not help.',
+    patterns: [
+      /AccessDenied/i,
+      /not authorized to perform/i,
+      /is not authorized/i,
+      /UnauthorizedOperation/,
+      /iam:PassRole/,
+      /Forbidden.*(?:role|policy|permission)/i,
+      /does not have permission/i,
+      /cannot be assumed/i,
+    ],
+  },
+  quota: {
+    label: 'Service quota or throttling',
+    hint: 'A limit was hit; reduce the resources requested (memory, concurrency, count) or reuse existing ones. '
+      + 'Quotas themselves cannot be raised from code.',
+    patterns: [
+      /LimitExceeded/i,
+      /limit exceeded/i,
+      /ServiceQuota/i,
+      /quota/i,
+      /TooManyRequests/i,
+      /Rate exceeded/i,
+      /Throttl/i,
+      /maximum number of/i,
+    ],
+  },
+  'missing-dependency': {
+    label: 'Missing dependency',
+    hint: 'Add or correct the dependency in the manifest (package.json, requirements.txt) or fix the import path.',
+    patterns: [
+      /Cannot find module/,
+      /Module not found/i,
+      /No module named/,
+      /ModuleNotFoundError/,
+      /ImportModuleError|Unable to import module/,
+      /No matching distribution found/,
+      /Builder:ResolveDependencies/,
+      /Could not find a version that satisfies/,
+      /npm (?:ERR!|error) (?:code )?(?:E404|ETARGET|ERESOLVE)/,
+      /404 Not Found - GET https:\/\/registry/,
+    ],
+  },
+  'template-syntax': {
+    label: 'Template or configuration error',
+    hint: 'Fix the IaC definition (property names, types, references, required arguments).',
+    patterns: [
+      /Template format error/i,
+      /Template error/i,
+      /Invalid template/i,
+      /ValidationError/,
+      /Invalid Serverless Application Specification/,
+      /Unresolved resource dependencies/,
+      /Unsupported (?:argument|block type|attribute)/,
+      /Missing required (?:argument|property)/i,
+      /Reference to undeclared/,
+      /Invalid reference/,
+      /Argument or block definition required/,
+      /Properties validation failed/i,
+      /Encountered unsupported property/i,
+      /YAMLException|yaml\.scanner|could not find expected ':'/i,
+      /error TS\d+/,
+      /Parameter validation failed/i,
+      /InvalidParameter/,
+      /Requires capabilities|InsufficientCapabilities/,
+      /undeclared variable/i,
+      /\bis (?:invalid|not valid|no longer supported)\b/i,
+    ],
+  },
+  'code-bug': {
+    label: 'Application code bug',
+    hint: 'Fix the application code at the failing line; the infrastructure deployed fine.',
+    patterns: [
+      /\b(?:TypeError|ReferenceError|RangeError|SyntaxError|KeyError|AttributeError|ValueError|NameError)\b/,
+      /Traceback \(most recent call last\)/,
+      /Runtime\.\w+/,
+      /errorType/,
+      /Internal Server Error/i,
+      /\bgot 5\d\d\b|Response: 5\d\d/,
+    ],
+  },
+};
+
+// Follow-on failures that only report that something else failed
+const CASCADE =
+  /Resource (?:creation|update) cancelled|The following resource\(s\) failed|Rollback requested|cancelled|-\s*$|^\s*$/i;
+
+// Lines that only say the run failed, emitted by the platform's own scripts
+const WRAPPER = /Deployment failed|deploy(?:ment)? exited|exited with code|Tests? failed$|Some tests failed/i;
+
+const PRIORITY = { specific: 3, trace: 2, generic: 1, wrapper: 0 };
+
+/**
+ * Classify an error message
+ * @returns {string} - Category key, "unknown" when nothing matches
+ */
+export function classifyError(text) {
+  for (const [category, { patterns }] of Object.entries(CATEGORIES)) {
+    if (patterns.some((pattern) => pattern.test(text))) return category;
+  }
+
+  return 'unknown';
+}
+
+function clean(line) {
+  return line
+    .replace(/\x1b\[[0-9;]*m/g, '')
+    .replace(/^[│╷╵]\s?/, '')
+    .trimEnd();
+}
+
+function cloudFormationEvents(lines, source) {
+  const errors = [];
+  const patterns = [
+    // CDK:   Stack | 3/5 | 10:00:00 AM | CREATE_FAILED | AWS::Lambda::Function | Fn (Fn1A2B3C4D) reason
+    /((?:CREATE|UPDATE|DELETE)_FAILED)\s*\|\s*(AWS::[\w:]+)\s*\|\s*\S+\s+\((\w+)\)\s*(.*)$/,
+    // SAM / aws cloudformation tables: CREATE_FAILED  AWS::Lambda::Function  HelloFunction  reason
+    /((?:CREATE|UPDATE|DELETE)_FAILED)\s+(AWS::[\w:]+)\s+(\S+)\s+(.*)$/,
+    // Serverless: CREATE_FAILED: HelloLambdaFunction (AWS::Lambda::Function)
+    /((?:CREATE|UPDATE|DELETE)_FAILED):\s+(\w+)\s+\((AWS::[\w:]+)\)\s*(.*)$/,
+  ];
+
+  lines.forEach((line, index) => {
+    for (const [i, pattern] of patterns.entries()) {
+      const match = line.match(pattern);
+      if (!match) continue;
+
+      const [, status, a, b, rest] = match;
+      const [resourceType, resource] = i === 2 ? [b, a] : [a, b];
+
+      // Long reasons wrap onto indented lines (SAM) or continue on the next line (Serverless)
+      let reason = rest.trim();
+      for (let next = index + 1; next < lines.length && next <= index + 5; next++) {
+        const continuation = lines[next];
+        if (!/^\s{20,}\S/.test(continuation) && !(i === 2 && !reason && continuation.trim())) break;
+        reason = `${reason} ${continuation.trim()}`.trim();
+      }
+
+      errors.push({
+        source,
+        kind: 'cloudformation',
+        line: index,
+        message: `${status} ${resource} (${resourceType}): ${reason || 'no reason given'}`,
+        resource,
+        resourceType,
+        priority: CASCADE.test(reason) ? PRIORITY.generic : PRIORITY.specific,
+      });
+      break;
+    }
+  });
+
+  return errors;
+}
+
+function terraformDiagnostics(lines, source) {
+  const errors = [];
+
+  lines.forEach((line, index) => {
+    const match = line.match(/^Error: (.+)$/);
+    if (!match || !lines.slice(index + 1, index + 4).some((l) => /^\s*(with|on) /.test(l) || l === '')) return;
+
+    const block = [];
+    for (let next = index + 1; next < lines.length && next <= index + 30; next++) {
+      if (/^(Error|Warning): /.test(lines[next]) || /^[╵]/.test(lines[next])) break;
+      block.push(lines[next]);
+    }
+
+    const text = block.join('\n');
+    const address = text.match(/^\s*with ([\w.[\]"-]+),/m)?.[1];
+    const location = text.match(/^\s*on (\S+) line (\d+)/m);
+    if (!address && !location) return;
+
+    // The explanation follows the quoted source line ("  12:   handler = ...")
+    const detail = block
+      .filter((l) => l.trim() && !/^\s*(with|on) /.test(l) && !/^\s*\d+:/.test(l) && !/^\s*[│├]/.test(l))
+      .map((l) => l.trim())
+      .join(' ');
+
+    errors.push({
+      source,
+      kind: 'terraform',
+      line: index,
+      message: `Error: ${match[1]}${detail ? ` - ${detail}` : ''}`,
+      ...(address && { resource: address }),
+      ...(location && { file: `${location[1]}:${location[2]}` }),
+      priority: PRIORITY.specific,
+    });
+  });
+
+  return errors;
+}
+
+function stackTraces(lines, source) {
+  const errors = [];
+
+  lines.forEach((line, index) => {
+    // Node.js: "TypeError: x is undefined" followed by "    at fn (file:line:col)"
+    const node = line.match(/^\s*(?:Uncaught )?((?:\w+\.)?\w*(?:Error|Exception)(?: \[\w+\])?: .+)$/);
+    if (node && /^\s+at /.test(lines[index + 1] || '')) {
+      const frame = lines[index + 1].match(/\(?((?:[\w.@-]*\/)*[\w.@-]+\.\w+):(\d+)(?::\d+)?\)?$/);
+      errors.push({
+        source,
+        kind: 'runtime',
+        line: index,
+        message: node[1].trim(),
+        ...(frame && { file: `${frame[1]}:${frame[2]}` }),
+        priority: PRIORITY.trace,
+      });
+      return;
+    }
+
+    // Lambda invoke errors (CloudWatch, sam local, emulator logs and error responses)
+    const invoke = line.match(/"errorType"\s*:\s*"([^"]+)"\s*,\s*"errorMessage"\s*:\s*"((?:[^"\\]|\\.)*)"/);
+    if (invoke) {
+      errors.push({
+        source,
+        kind: 'runtime',
+        line: index,
+        message: `${invoke[1]}: ${invoke[2]}`,
+        priority: PRIORITY.trace,
+      });
+      return;
+    }
+
+    // Python: the exception is the last line of the traceback
+    if (/^\s*Traceback \(most recent call last\):/.test(line)) {
+      let end = index + 1;
+      let file;
+      while (end < lines.length && /^\s+/.test(lines[end])) {
+        const frame = lines[end].match(/File "([^"]+)", line (\d+)/);
+        if (frame && !/site-packages/.test(frame[1])) file = `${frame[1]}:${frame[2]}`;
+        end++;
+      }
+      if (end < lines.length) {
+        errors.push({
+          source,
+          kind: 'runtime',
+          line: index,
+          message: lines[end].trim(),
+          ...(file && { file }),
+          priority: PRIORITY.trace,
+        });
+      }
+    }
+  });
+
+  return errors;
+}
+
+function buildErrors(lines, source) {
+  const errors = [];
+  const patterns = [
+    // sam build / sam deploy
+    { kind: 'sam', pattern: /^Error: (\w+Builder:\w+ - .+|Failed to create changeset.+|.*Template.+)$/ },
+    { kind: 'cdk', pattern: /^❌\s+(.+failed: .+)$/ },
+    { kind: 'pip', pattern: /^ERROR: ((?:Could not|No matching|Cannot install|ResolutionImpossible).+)$/ },
+  ];
+
+  lines.forEach((line, index) => {
+    // npm (old "npm ERR!" and npm 10 "npm error"): the code, then what it means on the following lines
+    const npm = line.trim().match(/^npm (?:ERR!|error) code (E[A-Z0-9]+)$/);
+    if (npm) {
+      const explanation = lines
+        .slice(index + 1, index + 4)
+        .map((l) => l.trim().match(/^npm (?:ERR!|error) (.+)$/)?.[1])
+        .filter((l) => l && !/^(?:code|errno|syscall|A complete log)/.test(l));
+      errors.push({
+        source,
+        kind: 'npm',
+        line: index,
+        message: [npm[1], ...explanation].join(' - ').replace(/\s+/g, ' '),
+        priority: PRIORITY.specific,
+      });
+      return;
+    }
+
+    for (const { kind, pattern } of patterns) {
+      const match = line.trim().match(pattern);
+      if (match) {
+        errors.push({ source, kind, line: index, message: match[1].trim(), priority: PRIORITY.specific });
+        return;
+      }
+    }
+  });
+
+  return errors;
+}
+
+function testFailures(lines, source) {
+  const errors = [];
+  let action;
+  let request;
+  let response;
+
+  lines.forEach((line, index) => {
+    const step = line.match(/^\s*(?:→ (.+)|### (.+))$/);
+    if (step) {
+      action = step[1] || step[2];
+      request = undefined;
+      response = undefined;
+      return;
+    }
+
+    const call = line.match(/^\s*(?:Request: )?((?:GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS|\w+:\w+) \S+)$/);
+    if (call) request = call[1];
+
+    // test-results.json failures list the response before the failure reason
+    if (/^\s*Response: \w+/.test(line)) response = line.trim();
+
+    const failed = line.match(/^\s*(?:❌ FAILED|Failure): (.+)$/);
+    if (!failed) return;
+
+    // Assertion details and the response follow the failure line
+    const detail = response ? [response] : [];
+    for (let next = index + 1; next < lines.length && next <= index + 6; next++) {
+      if (/^\s*(-|Response:)/.test(lines[next])) detail.push(lines[next].trim().substring(0, 300));
+      else break;
+    }
+
+    errors.push({
+      source,
+      kind: 'test',
+      line: index,
+      message: `${action ? `${action}: ` : ''}${failed[1].trim()}${request ? ` [${request}]` : ''}`,
+      ...(detail.length > 0 && { detail: detail.join('\n') }),
+      priority: PRIORITY.trace,
+    });
+  });
+
+  return errors;
+}
+
+function genericErrors(lines, source) {
+  const errors = [];
+
+  lines.forEach((line, index) => {
+    const match = line.match(/^\s*(?:\[ERROR\]\s*|ERROR:?\s+|Error:\s+|FATAL:?\s+|error:\s+)(.+)$/);
+    if (!match) return;
+
+    errors.push({
+      source,
+      kind: 'generic',
+      line: index,
+      message: match[1].trim(),
+      priority: WRAPPER.test(match[1]) ? PRIORITY.wrapper : PRIORITY.generic,
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Find and classify the errors in a set of logs
+ * @param {{name: string, content: string}[]} logs
+ * @returns {{category: string, label: string, hint: string, root: Object|null, errors: Object[]}}
+ *   errors: [{source, kind, line, message, detail?, resource?, resourceType?, file?, category}],
+ *   most relevant first; root is errors[0]
+ */
+export function analyzeLogs(logs) {
+  const found = [];
+
+  for (const { name, content } of logs) {
+    const lines = content.split('\n').map(clean);
+    const specific = [
+      ...cloudFormationEvents(lines, name),
+      ...terraformDiagnostics(lines, name),
+      ...stackTraces(lines, name),
+      ...buildErrors(lines, name),
+      ...testFailures(lines, name),
+    ];
+
+    // Lines already explained by a specific parser are not repeated as generic errors
+    const covered = new Set(specific.map((error) => error.line));
+    const generic = genericErrors(lines, name).filter((error) => !covered.has(error.line));
+
+    found.push(...specific, ...generic);
+  }
+
+  const seen = new Set();
+  const errors = found
+    .filter((error) => {
+      const key = error.message.replace(/\d+/g, '#');
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map((error, order) => ({
+      ...error,
+      order,
+      category: classifyError(`${error.message}\n${error.detail || ''}`),
+    }))
+    // Most specific first; among equals, the earliest (later errors tend to be consequences)
+    .sort((a, b) => b.priority - a.priority || a.order - b.order)
+    .map(({ priority, order, ...error }) => error);
+
+  const root = errors[0] || null;
+  const classified = errors.find((error) => error.category !== 'unknown');
+  const category = root?.category !== 'unknown' ? root?.category : classified?.category;
+  const { label, hint } = CATEGORIES[category] || { label: 'Unclassified', hint: '' };
+
+  return { category: category || 'unknown', label, hint, root, errors };
+}
+
+/**
+ * Focused summary of an analysis for the fix prompt
+ * @param {Object} analysis - From analyzeLogs
+ * @param {number} [maxErrors=8]
+ */
+export function formatAnalysis(analysis, maxErrors = 8) {
+  const { root, errors } = analysis;
+  if (!root) return 'No recognizable error lines were found in the logs.';
+
+  const location = [root.resource && `Resource: ${root.resource}${root.resourceType ? ` (${root.resourceType})` : ''}`,
+    root.file && `File: ${root.file}`].filter(Boolean);
+
+  const lines = [
+    `Category: ${analysis.label} (${analysis.category})`,
+    ...(analysis.hint ? [`Guidance: ${analysis.hint}`] : []),
+    `Root error (${root.source}, ${root.kind}): ${root.message}`,
+    ...location,
+    ...(root.detail ? [root.detail] : []),
+  ];
+
+  const others = errors.slice(1, maxErrors);
+  if (others.length > 0) {
+    lines.push('', 'Other errors:');
+    others.forEach((error) => lines.push(`- [${error.category}] ${error.message}`));
+  }
+  if (errors.length > maxErrors) {
+    lines.push(`- ... and ${errors.length - maxErrors} more`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * The log lines around the errors, instead of the start of each log
+ * @param {{name: string, content: string}[]} logs
+ * @param {Object[]} errors - From analyzeLogs, most relevant first
+ * @param {number} maxChars
+ */
+export function excerptLogs(logs, errors, maxChars) {
+  const byName = new Map(logs.map((log) => [log.name, log.content.split('\n').map(clean)]));
+  const ranges = [];
+
+  for (const error of errors) {
+    const lines = byName.get(error.source);
+    if (!lines) continue;
+
+    const from = Math.max(0, error.line - 3);
+    const to = Math.min(lines.length, error.line + 10);
+    const overlapping = ranges.find((range) => range.source === error.source && from <= range.to && to >= range.from);
+    if (overlapping) {
+      overlapping.from = Math.min(overlapping.from, from);
+      overlapping.to = Math.max(overlapping.to, to);
+    } else {
+      ranges.push({ source: error.source, from, to });
+    }
+  }
+
+  // Without recognizable errors, the end of each log is the most telling part
+  if (ranges.length === 0) {
+    for (const [source, lines] of byName) {
+      ranges.push({ source, from: Math.max(0, lines.length - 40), to: lines.length });
+    }
+  }
+
+  let text = '';
+  for (const { source, from, to } of ranges) {
+    const section = `=== ${source} (lines ${from + 1}-${to}) ===\n${byName.get(source).slice(from, to).join('\n')}\n\n`;
+    if (text.length + section.length > maxChars) {
+      text += section.substring(0, Math.max(0, maxChars - text.length));
+      break;
+    }
+    text += section;
+  }
+
+  return text.trim();
+}
+
+export default {
+  classifyError,
+  analyzeLogs,
+  formatAnalysis,
+  excerptLogs,
+};
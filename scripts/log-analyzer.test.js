@@ -0,0 +1,256 @@
+/**
+ * log-analyzer.test.js
+ * Root error and category of real deployment and test log excerpts.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeLogs, formatAnalysis } from './log-analyzer.js';
+
+const CASES = [
+  {
+    name: 'sam deploy with a cancelled resource listed before the failed one',
+    log: [
+      '[STEP] Deploying SAM project...',
+      'Building codeuri: /tmp/app runtime: python3.11 metadata: {} architecture: x86_64 functions: HelloFunction',
+      'Running PythonPipBuilder:ResolveDependencies',
+      'Build Succeeded',
+      'CloudFormation events from stack operations (refresh every 5.0 seconds)',
+      '-------------------------------------------------------------------------------------------------',
+      'ResourceStatus                   ResourceType                     LogicalResourceId                '
+        + 'ResourceStatusReason',
+      '-------------------------------------------------------------------------------------------------',
+      'CREATE_IN_PROGRESS               AWS::IAM::Role                   HelloFunctionRole                -',
+      'CREATE_FAILED                    AWS::DynamoDB::Table             ItemsTable                       '
+        + 'Resource creation cancelled',
+      'CREATE_FAILED                    AWS::Lambda::Function            HelloFunction                    '
+        + 'Resource handler returned message: "User: arn:aws:sts::123:assumed-role/x',
+      '                                                                                                   '
+        + 'is not authorized to perform: iam:PassRole on resource: arn:aws:iam::123:role/y"',
+      'ROLLBACK_IN_PROGRESS             AWS::CloudFormation::Stack       app                              '
+        + 'The following resource(s) failed to create: [HelloFunction, ItemsTable].',
+      '-------------------------------------------------------------------------------------------------',
+      'Error: Failed to create/update the stack: app, Waiter StackCreateComplete failed: Waiter encountered a '
+        + 'terminal failure state: For expression "Stacks[].StackStatus" we matched expected path: '
+        + '"ROLLBACK_COMPLETE" at least once',
+      '[ERROR] Deployment failed',
+    ],
+    kind: 'cloudformation',
+    root: 'CREATE_FAILED HelloFunction (AWS::Lambda::Function): Resource handler returned message: '
+      + '"User: arn:aws:sts::123:assumed-role/x is not authorized to perform: iam:PassRole on resource: '
+      + 'arn:aws:iam::123:role/y"',
+    category: 'iam',
+  },
+  {
+    name: 'cdk deploy with a cancelled resource listed before the failed one',
+    log: [
+      'ApiStack: deploying... [1/1]',
+      'ApiStack: creating CloudFormation changeset...',
+      'ApiStack | 0/6 | 9:12:01 AM | CREATE_IN_PROGRESS   | AWS::CloudFormation::Stack | ApiStack User Initiated',
+      'ApiStack | 1/6 | 9:12:09 AM | CREATE_FAILED        | AWS::DynamoDB::Table  | Items (ItemsB4A1C7F3) '
+        + 'Resource creation cancelled',
+      'ApiStack | 1/6 | 9:12:09 AM | CREATE_FAILED        | AWS::Lambda::Function | Handler (Handler886CB40B) '
+        + 'Resource handler returned message: "The role defined for the function cannot be assumed by Lambda. '
+        + '(Service: Lambda, Status Code: 400)"',
+      'ApiStack | 1/6 | 9:12:10 AM | ROLLBACK_IN_PROGRESS | AWS::CloudFormation::Stack | ApiStack '
+        + 'The following resource(s) failed to create: [ItemsB4A1C7F3, Handler886CB40B]. Rollback requested by user.',
+      '',
+      ' ❌  ApiStack failed: Error: The stack named ApiStack failed creation, it may need to be manually deleted '
+        + 'from the AWS console: ROLLBACK_COMPLETE',
+    ],
+    kind: 'cloudformation',
+    root: 'CREATE_FAILED Handler886CB40B (AWS::Lambda::Function): Resource handler returned message: '
+      + '"The role defined for the function cannot be assumed by Lambda. (Service: Lambda, Status Code: 400)"',
+    category: 'iam',
+  },
+  {
+    name: 'cdk deploy with an invalid property',
+    log: [
+      'app: deploying... [1/1]',
+      'app | 0/5 | 10:00:00 AM | CREATE_IN_PROGRESS | AWS::CloudFormation::Stack | app',
+      'app | 1/5 | 10:00:05 AM | CREATE_FAILED        | AWS::SQS::Queue | Queue (Queue4A7E3555) '
+        + 'Resource handler returned message: "Value 1500000 for parameter VisibilityTimeout is invalid. '
+        + '(Service: Sqs, Status Code: 400)"',
+      ' ❌  app failed: Error: The stack named app failed creation, it may need to be manually deleted from the '
+        + 'AWS console: ROLLBACK_COMPLETE',
+    ],
+    kind: 'cloudformation',
+    root: 'CREATE_FAILED Queue4A7E3555 (AWS::SQS::Queue): Resource handler returned message: '
+      + '"Value 1500000 for parameter VisibilityTimeout is invalid. (Service: Sqs, Status Code: 400)"',
+    category: 'template-syntax',
+  },
+  {
+    name: 'serverless deploy with the reason on the next line',
+    log: [
+      'Deploying my-service to stage dev (us-east-1)',
+      'CREATE_FAILED: ItemsTable (AWS::DynamoDB::Table)',
+      'Resource creation cancelled',
+      'CREATE_FAILED: HelloLambdaFunction (AWS::Lambda::Function)',
+      'Resource handler returned message: "Unzipped size must be smaller than 262144000 bytes '
+        + '(Service: Lambda, Status Code: 400, Request ID: 1b2c)"',
+      '',
+      '✖ Stack my-service-dev failed to deploy (41s)',
+      'Environment: linux, node 20.11.0, framework 3.38.0',
+    ],
+    kind: 'cloudformation',
+    root: 'CREATE_FAILED HelloLambdaFunction (AWS::Lambda::Function): Resource handler returned message: '
+      + '"Unzipped size must be smaller than 262144000 bytes (Service: Lambda, Status Code: 400, Request ID: 1b2c)"',
+    category: 'unknown',
+  },
+  {
+    name: 'terraform apply with a deprecated runtime',
+    log: [
+      'aws_iam_role.lambda: Refreshing state...',
+      '\x1b[0m\x1b[1maws_lambda_function.api: Creating...\x1b[0m',
+      '╷',
+      '│ Error: creating Lambda Function (api): InvalidParameterValueException: The runtime parameter of '
+        + 'nodejs14.x is no longer supported',
+      '│ ',
+      '│   with aws_lambda_function.api,',
+      '│   on main.tf line 42, in resource "aws_lambda_function" "api":',
+      '│   42: resource "aws_lambda_function" "api" {',
+      '│ ',
+      '╵',
+    ],
+    kind: 'terraform',
+    root: 'Error: creating Lambda Function (api): InvalidParameterValueException: The runtime parameter of '
+      + 'nodejs14.x is no longer supported',
+    category: 'template-syntax',
+  },
+  {
+    name: 'sam build with an unresolvable Python dependency',
+    log: [
+      'Building codeuri: src runtime: python3.11',
+      'Running PythonPipBuilder:ResolveDependencies',
+      '',
+      'Build Failed',
+      'Error: PythonPipBuilder:ResolveDependencies - {boto4==1.0(wheel)}',
+    ],
+    kind: 'sam',
+    root: 'PythonPipBuilder:ResolveDependencies - {boto4==1.0(wheel)}',
+    category: 'missing-dependency',
+  },
+  {
+    name: 'npm install of a package that does not exist',
+    log: [
+      '> npm install',
+      'npm error code E404',
+      'npm error 404 Not Found - GET https://registry.npmjs.org/left-padd - Not found',
+      "npm error 404  'left-padd@^1.0.0' is not in this registry.",
+    ],
+    kind: 'npm',
+    root: "E404 - 404 Not Found - GET https://registry.npmjs.org/left-padd - Not found - 404 'left-padd@^1.0.0' "
+      + 'is not in this registry.',
+    category: 'missing-dependency',
+  },
+  {
+    name: 'pip install of a version that does not exist',
+    log: [
+      'Collecting requests==9.9.9',
+      'ERROR: Could not find a version that satisfies the requirement requests==9.9.9 (from versions: 2.0.0, 2.31.0)',
+      'ERROR: No matching distribution found for requests==9.9.9',
+    ],
+    kind: 'pip',
+    root: 'Could not find a version that satisfies the requirement requests==9.9.9 (from versions: 2.0.0, 2.31.0)',
+    category: 'missing-dependency',
+  },
+  {
+    name: 'Node.js Lambda stack trace',
+    log: [
+      '/var/task/index.js:5',
+      "TypeError: Cannot read properties of undefined (reading 'id')",
+      '    at handler (/var/task/index.js:5:20)',
+      '    at Runtime.handleOnce (file:///var/runtime/index.mjs:1:2)',
+    ],
+    kind: 'runtime',
+    root: "TypeError: Cannot read properties of undefined (reading 'id')",
+    category: 'code-bug',
+  },
+  {
+    name: 'Python Lambda traceback',
+    log: [
+      'START RequestId: abc',
+      'Traceback (most recent call last):',
+      '  File "/var/task/app.py", line 12, in handler',
+      '    return json.dumps(items[event["id"]])',
+      "KeyError: 'id'",
+    ],
+    kind: 'runtime',
+    root: "KeyError: 'id'",
+    category: 'code-bug',
+  },
+  {
+    name: 'execute-tests.js failure with the Lambda error in the response',
+    log: [
+      '  → Create item',
+      '    ❌ FAILED: Expected status 201, got 500',
+      '    Response: {"errorType":"TypeError","errorMessage":"Cannot read properties of undefined (reading \'name\')"}',
+    ],
+    kind: 'runtime',
+    root: "TypeError: Cannot read properties of undefined (reading 'name')",
+    category: 'code-bug',
+  },
+];
+
+for (const { name, log, kind, root, category } of CASES) {
+  test(`root error of ${name}`, () => {
+    const analysis = analyzeLogs([{ name: 'deploy.log', content: log.join('\n') }]);
+
+    assert.equal(analysis.root.message, root);
+    assert.equal(analysis.root.kind, kind);
+    assert.equal(analysis.category, category);
+    assert.doesNotMatch(analysis.root.message, /cancelled/i);
+  });
+}
+
+test('a cancelled resource is never the root error, whichever log it is in', () => {
+  // The sam deploy events split in two: the cancelled table, then the function that failed
+  const [sam] = CASES;
+  const events = sam.log.slice(4, 9);
+  const cancelled = [...events, sam.log[9], ...sam.log.slice(12)];
+  const failed = [...events, ...sam.log.slice(10, 12)];
+
+  for (const logs of [
+    [{ name: 'deploy.log', content: cancelled.join('\n') }, { name: 'retry.log', content: failed.join('\n') }],
+    [{ name: 'retry.log', content: failed.join('\n') }, { name: 'deploy.log', content: cancelled.join('\n') }],
+  ]) {
+    const analysis = analyzeLogs(logs);
+
+    assert.equal(analysis.root.resource, 'HelloFunction');
+    assert.equal(analysis.category, 'iam');
+    assert.ok(analysis.errors.some((error) => /Resource creation cancelled/.test(error.message)));
+  }
+});
+
+test('an unclassified root takes the category of the first classified error', () => {
+  const serverless = CASES.find((c) => c.name.startsWith('serverless'));
+  const analysis = analyzeLogs([
+    { name: 'deploy.log', content: serverless.log.join('\n') },
+    { name: 'cleanup.log', content: 'Error: Rate exceeded (Service: Lambda, Status Code: 429)' },
+  ]);
+
+  assert.equal(analysis.root.message, serverless.root);
+  assert.equal(analysis.root.category, 'unknown');
+  assert.equal(analysis.category, 'quota');
+  assert.equal(analysis.label, 'Service quota or throttling');
+});
+
+test('logs without errors have no root and an unknown category', () => {
+  const content = 'Build Succeeded\nSuccessfully created/updated stack - app in us-east-1';
+  const analysis = analyzeLogs([{ name: 'deploy.log', content }]);
+
+  assert.equal(analysis.root, null);
+  assert.deepEqual(analysis.errors, []);
+  assert.equal(analysis.category, 'unknown');
+  assert.equal(analysis.label, 'Unclassified');
+});
+
+test('formatAnalysis leads with the root error and its category hint', () => {
+  const [sam] = CASES;
+  const summary = formatAnalysis(analyzeLogs([{ name: 'deploy.log', content: sam.log.join('\n') }]));
+
+  assert.match(summary, /IAM permissions/);
+  assert.ok(summary.indexOf('HelloFunction') < summary.indexOf('Resource creation cancelled'));
+});
@@ -0,0 +1,462 @@
+/**
+ * openapi-tests.js
+ * Sanity test plans derived from an OpenAPI 3 / Swagger 2 spec.
+ *
+ * Every operation becomes one happy-path step: path and query parameters and
+ * the request body come from the spec's examples (or are built from the
+ * schemas), expectedStatus is the operation's first 2xx response and the
+ * response body is validated against that response's schema. Only local
+ * $refs (#/components/..., #/definitions/...) are resolved.
+ *
+ * Path parameters without an example in the spec (usually ids) are chained
+ * instead: a setup step calls the POST on the parent collection
+ * (/items for /items/{itemId}) and stores the id it returns. Operations with
+ * no such create operation are left out of the plan.
+ *
+ * The plan uses the sanity-tests.json format (see ai-generate-tests.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { glob } from 'glob';
+import YAML from 'yaml';
+
+const METHODS = ['post', 'get', 'put', 'patch', 'delete', 'head', 'options'];
+
+const IGNORE = ['**/node_modules/**', '**/.git/**', '.sdlc-platform/**', '**/dist/**', '**/build/**', '**/.aws-sam/**'];
+
+// Schemas nested deeper than this get no generated example
+const MAX_EXAMPLE_DEPTH = 6;
+
+const FORMAT_EXAMPLES = {
+  'date-time': '2024-01-01T00:00:00Z',
+  date: '2024-01-01',
+  email: 'user@example.com',
+  uuid: '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+  uri: 'https://example.com',
+  url: 'https://example.com',
+  hostname: 'example.com',
+  ipv4: '192.0.2.1',
+};
+
+/**
+ * Find and parse the first OpenAPI/Swagger spec in a directory (shallowest path first)
+ * @returns {Promise<{file: string, spec: Object}|null>}
+ */
+export async function findOpenApiSpec(dir = '.') {
+  const candidates = (
+    await glob('**/{openapi,swagger}*.{yaml,yml,json}', { cwd: dir, nodir: true, nocase: true, ignore: IGNORE })
+  ).sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+
+  for (const file of candidates) {
+    try {
+      const spec = YAML.parse(fs.readFileSync(path.join(dir, file), 'utf-8'));
+      if (spec && (spec.openapi || spec.swagger) && spec.paths) {
+        return { file, spec };
+      }
+    } catch (error) {
+      // Not a parseable spec, try the next candidate
+    }
+  }
+
+  return null;
+}
+
+function resolveRef(spec, ref) {
+  if (!ref.startsWith('#/')) {
+    return undefined;
+  }
+
+  return ref
+    .substring(2)
+    .split('/')
+    .map((part) => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((value, part) => (value !== null && typeof value === 'object' ? value[part] : undefined), spec);
+}
+
+/**
+ * Inline local $refs and convert OpenAPI 3.0 `nullable` and boolean
+ * exclusiveMinimum/exclusiveMaximum to JSON Schema (recursive references
+ * resolve to an empty schema)
+ */
+export function normalizeSchema(schema, spec, seen = new Set()) {
+  if (Array.isArray(schema)) {
+    return schema.map((item) => normalizeSchema(item, spec, seen));
+  }
+
+  if (schema === null || typeof schema !== 'object') {
+    return schema;
+  }
+
+  if (typeof schema.$ref === 'string') {
+    if (seen.has(schema.$ref)) return {};
+
+    const target = resolveRef(spec, schema.$ref);
+    return target === undefined ? {} : normalizeSchema(target, spec, new Set([...seen, schema.$ref]));
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    // example/examples hold data, not schemas
+    result[key] = key === 'example' || key === 'examples' ? value : normalizeSchema(value, spec, seen);
+  }
+
+  if (result.nullable === true && typeof result.type === 'string') {
+    result.type = [result.type, 'null'];
+  }
+  delete result.nullable;
+
+  // OpenAPI 3.0 and Swagger 2 use draft-4 boolean exclusive bounds: {minimum: 0, exclusiveMinimum: true}
+  for (const [bound, exclusive] of [['minimum', 'exclusiveMinimum'], ['maximum', 'exclusiveMaximum']]) {
+    if (typeof result[exclusive] !== 'boolean') continue;
+
+    if (result[exclusive] && typeof result[bound] === 'number') {
+      result[exclusive] = result[bound];
+      delete result[bound];
+    } else {
+      delete result[exclusive];
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Build an example value from a (normalized) schema
+ */
+export function exampleFromSchema(schema, depth = 0) {
+  if (!schema || typeof schema !== 'object' || depth > MAX_EXAMPLE_DEPTH) return null;
+
+  if (schema.example !== undefined) return schema.example;
+  if (Array.isArray(schema.examples) && schema.examples.length > 0) return schema.examples[0];
+  if (schema.default !== undefined) return schema.default;
+  if (schema.const !== undefined) return schema.const;
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+
+  if (Array.isArray(schema.allOf)) {
+    const parts = schema.allOf.map((part) => exampleFromSchema(part, depth + 1));
+    return parts.every((part) => part !== null && typeof part === 'object' && !Array.isArray(part))
+      ? Object.assign({}, ...parts)
+      : parts.find((part) => part !== null) ?? null;
+  }
+
+  const variants = schema.oneOf || schema.anyOf;
+  if (Array.isArray(variants) && variants.length > 0) {
+    return exampleFromSchema(variants[0], depth + 1);
+  }
+
+  const type = Array.isArray(schema.type) ? schema.type.find((t) => t !== 'null') : schema.type;
+
+  switch (type || (schema.properties ? 'object' : schema.items ? 'array' : undefined)) {
+    case 'string':
+      return FORMAT_EXAMPLES[schema.format] ?? 'example'.padEnd(schema.minLength || 0, 'x');
+    case 'integer':
+    case 'number': {
+      // An exclusive bound is not a valid value; draft-4 marks it with a boolean
+      const exclusive = schema.exclusiveMinimum === true ? schema.minimum : schema.exclusiveMinimum;
+      const bounds = [
+        schema.exclusiveMinimum === true ? undefined : schema.minimum,
+        typeof exclusive === 'number' ? exclusive + 1 : undefined,
+      ].filter((bound) => typeof bound === 'number');
+      return bounds.length > 0 ? Math.max(...bounds) : 1;
+    }
+    case 'boolean':
+      return true;
+    case 'array': {
+      const item = exampleFromSchema(schema.items, depth + 1);
+      return item === null ? [] : Array(Math.max(schema.minItems || 1, 1)).fill(item);
+    }
+    case 'object': {
+      const properties = schema.properties || {};
+      const names = Array.isArray(schema.required) ? schema.required : Object.keys(properties);
+      const example = {};
+
+      for (const name of names) {
+        if (properties[name]?.readOnly) continue;
+        const value = exampleFromSchema(properties[name] || {}, depth + 1);
+        if (value !== null) example[name] = value;
+      }
+
+      return example;
+    }
+    default:
+      return null;
+  }
+}
+
+function isJsonMediaType(mediaType) {
+  return /^application\/(.+\+)?json/.test(mediaType);
+}
+
+function jsonContent(content) {
+  const mediaType = Object.keys(content || {}).find(isJsonMediaType);
+  return mediaType ? content[mediaType] : undefined;
+}
+
+function mediaExample(media, spec) {
+  if (!media) return undefined;
+  if (media.example !== undefined) return media.example;
+
+  const first = Object.values(media.examples || {})[0];
+  if (first) {
+    const example = first.$ref ? resolveRef(spec, first.$ref) : first;
+    if (example?.value !== undefined) return example.value;
+  }
+
+  return media.schema ? exampleFromSchema(normalizeSchema(media.schema, spec)) ?? undefined : undefined;
+}
+
+/**
+ * Whether the spec gives a real value for a parameter, rather than one built from its type
+ */
+function hasParameterExample(parameter, spec) {
+  if (parameter.example !== undefined || Object.values(parameter.examples || {})[0]?.value !== undefined) {
+    return true;
+  }
+
+  const schema = normalizeSchema(parameter.schema || parameter, spec);
+  return ['example', 'default', 'const'].some((key) => schema[key] !== undefined) ||
+    schema.examples?.length > 0 ||
+    schema.enum?.length > 0;
+}
+
+function parameterExample(parameter, spec) {
+  if (parameter.example !== undefined) return parameter.example;
+
+  const first = Object.values(parameter.examples || {})[0];
+  if (first?.value !== undefined) return first.value;
+
+  // Swagger 2 declares the type on the parameter itself
+  const schema = normalizeSchema(parameter.schema || parameter, spec);
+  const value = exampleFromSchema(schema);
+  return value === null || typeof value === 'object' ? 'example' : value;
+}
+
+/**
+ * List the spec's operations with their happy-path request and response
+ * @returns {Object[]} - {method, path, name, tag, pathParams, placeholderParams, query, body, expectedStatus,
+ *   responseSchema}; placeholderParams are the path parameters without an example in the spec
+ */
+export function listOperations(spec) {
+  const basePath = spec.swagger && spec.basePath && spec.basePath !== '/' ? spec.basePath.replace(/\/$/, '') : '';
+  const operations = [];
+
+  for (const [route, pathItem] of Object.entries(spec.paths || {})) {
+    for (const method of METHODS) {
+      const operation = pathItem?.[method];
+      if (!operation) continue;
+
+      const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+        .map((parameter) => (parameter.$ref ? resolveRef(spec, parameter.$ref) : parameter))
+        .filter(Boolean);
+
+      const pathParams = {};
+      const placeholderParams = [];
+      const query = {};
+      let body;
+
+      for (const parameter of parameters) {
+        if (parameter.in === 'path') {
+          pathParams[parameter.name] = parameterExample(parameter, spec);
+          if (!hasParameterExample(parameter, spec)) placeholderParams.push(parameter.name);
+        } else if (parameter.in === 'query' && parameter.required) {
+          query[parameter.name] = parameterExample(parameter, spec);
+        } else if (parameter.in === 'body') {
+          body = exampleFromSchema(normalizeSchema(parameter.schema, spec)) ?? undefined;
+        }
+      }
+
+      if (operation.requestBody) {
+        const requestBody = operation.requestBody.$ref
+          ? resolveRef(spec, operation.requestBody.$ref)
+          : operation.requestBody;
+        body = mediaExample(jsonContent(requestBody?.content), spec);
+      }
+
+      const codes = Object.keys(operation.responses || {});
+      const success = codes.filter((code) => /^2(\d\d|XX)$/i.test(code)).sort()[0];
+      const expectedStatus = success ? Number(success.replace(/XX$/i, '00')) : 200;
+
+      let response = success ? operation.responses[success] : undefined;
+      if (response?.$ref) response = resolveRef(spec, response.$ref);
+
+      const rawSchema = spec.swagger ? response?.schema : jsonContent(response?.content)?.schema;
+
+      operations.push({
+        method: method.toUpperCase(),
+        path: `${basePath}${route}`,
+        name: operation.summary || operation.operationId || `${method.toUpperCase()} ${route}`,
+        tag: operation.tags?.[0] || route.split('/').filter(Boolean)[0] || 'root',
+        pathParams,
+        placeholderParams,
+        query,
+        ...(body !== undefined && { body }),
+        expectedStatus,
+        ...(rawSchema && { responseSchema: normalizeSchema(rawSchema, spec) }),
+      });
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Endpoint for an operation with example parameter values
+ * @param {Object} operation
+ * @param {Object<string, string>} [variables] - Path parameters to fill with "${variable}" instead
+ */
+function exampleEndpoint(operation, variables = {}) {
+  const endpoint = operation.path.replace(/\{([^}]+)\}/g, (match, name) =>
+    name in variables ? `\${${variables[name]}}` : encodeURIComponent(String(operation.pathParams[name] ?? 'example'))
+  );
+
+  const query = new URLSearchParams(
+    Object.entries(operation.query).map(([name, value]) => [name, String(value)])
+  ).toString();
+
+  return query ? `${endpoint}?${query}` : endpoint;
+}
+
+/**
+ * Find the create operation that returns a value for a placeholder path parameter:
+ * the POST on the path up to the parameter, whose response has a field named after
+ * the parameter or an "id" (assumed to be "id" when the response schema lists no properties)
+ * @returns {{operation: Object, field: string}|undefined}
+ */
+function findCreateOperation(operations, operation, param) {
+  const collection = operation.path.substring(0, operation.path.indexOf(`/{${param}}`));
+  const create = operations.find((other) => other.method === 'POST' && other.path === collection);
+  if (!create) return undefined;
+
+  const properties = create.responseSchema?.properties;
+  if (!properties) return { operation: create, field: 'id' };
+
+  const field = [param, 'id'].find((name) => name in properties);
+  return field ? { operation: create, field } : undefined;
+}
+
+/**
+ * The create operations an operation's placeholder parameters come from, parents first
+ * @returns {{sources: {operation: Object, field: string, param: string}[]}|{missing: string}} - missing is the
+ *   parameter that has no create operation
+ */
+function chainSources(operations, operation) {
+  const sources = [];
+
+  for (const param of operation.placeholderParams || []) {
+    const source = findCreateOperation(operations, operation, param);
+    if (!source) return { missing: param };
+
+    const parent = chainSources(operations, source.operation);
+    if (parent.missing) return parent;
+
+    sources.push(...parent.sources, { ...source, param });
+  }
+
+  return { sources };
+}
+
+/**
+ * Build a sanity test plan with one step per operation, one suite per tag
+ *
+ * Each suite gets setup steps that create the resources its placeholder path parameters
+ * refer to, and runs its DELETE steps last.
+ * @returns {{tests: Object[], skipped: Object[]}} - skipped lists the operations left out because a
+ *   placeholder parameter has no create operation to chain from ({method, path, param})
+ */
+export function buildSpecTestPlan(operations) {
+  const suites = new Map();
+  const skipped = [];
+
+  const buildStep = (operation, variables, storeVariables) => ({
+    action: operation.name,
+    endpoint: exampleEndpoint(operation, variables),
+    method: operation.method,
+    ...(operation.body !== undefined && { body: operation.body }),
+    expectedStatus: operation.expectedStatus,
+    ...(storeVariables && { storeVariables }),
+    ...(operation.responseSchema && { responseSchema: operation.responseSchema }),
+  });
+
+  const sourceKey = ({ operation, field }) => `${operation.path} ${field}`;
+
+  // Variables holding the ids a suite's setup stored, by path parameter
+  const variablesFor = (operation, created) =>
+    Object.fromEntries(
+      (operation.placeholderParams || []).map((param) => [
+        param,
+        created.get(sourceKey(findCreateOperation(operations, operation, param))),
+      ])
+    );
+
+  for (const operation of operations) {
+    const { sources, missing } = chainSources(operations, operation);
+    if (missing) {
+      skipped.push({ method: operation.method, path: operation.path, param: missing });
+      continue;
+    }
+
+    if (!suites.has(operation.tag)) {
+      suites.set(operation.tag, { setup: [], steps: [], created: new Map() });
+    }
+    const suite = suites.get(operation.tag);
+
+    for (const source of sources) {
+      if (suite.created.has(sourceKey(source))) continue;
+
+      const taken = new Set(suite.created.values());
+      // Placeholders only take word characters
+      const base = source.param.replace(/\W/g, '_');
+      let name = base;
+      for (let i = 2; taken.has(name); i++) name = `${base}${i}`;
+
+      const variables = variablesFor(source.operation, suite.created);
+      suite.setup.push(buildStep(source.operation, variables, { [name]: `$.${source.field}` }));
+      suite.created.set(sourceKey(source), name);
+    }
+
+    suite.steps.push(buildStep(operation, variablesFor(operation, suite.created)));
+  }
+
+  return {
+    tests: [...suites.entries()].map(([tag, suite]) => ({
+      name: tag,
+      description: `Operations tagged ${tag} in the OpenAPI spec`,
+      ...(suite.setup.length > 0 && { setup: suite.setup }),
+      // Deleting first would make the other operations on the resource fail
+      steps: [
+        ...suite.steps.filter((step) => step.method !== 'DELETE'),
+        ...suite.steps.filter((step) => step.method === 'DELETE'),
+      ],
+    })),
+    skipped,
+  };
+}
+
+/**
+ * Find the operation a step calls ("${var}" placeholders match any path segment)
+ * @returns {Object|undefined}
+ */
+export function matchOperation(operations, method, endpoint) {
+  const requestPath = endpoint.split('?')[0];
+
+  return operations.find((operation) => {
+    if (operation.method !== method) return false;
+
+    const pattern = operation.path
+      .split(/\{[^}]+\}/)
+      .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^/]+');
+
+    return new RegExp(`^${pattern}/?$`).test(requestPath);
+  });
+}
+
+export default {
+  findOpenApiSpec,
+  normalizeSchema,
+  exampleFromSchema,
+  listOperations,
+  buildSpecTestPlan,
+  matchOperation,
+};
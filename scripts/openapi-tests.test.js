@@ -0,0 +1,291 @@
+/**
+ * openapi-tests.test.js
+ * Spec lookup, operation listing and the spec-derived test plan, on a fixture spec.
+ *
+ * Run: npm test
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import YAML from 'yaml';
+import { findOpenApiSpec, listOperations, buildSpecTestPlan, matchOperation } from './openapi-tests.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openapi-tests-test-'));
+
+const SPEC = `
+openapi: 3.0.3
+info: { title: Shop, version: 1.0.0 }
+paths:
+  /items:
+    get:
+      summary: List items
+      tags: [items]
+      parameters:
+        - { name: limit, in: query, required: true, schema: { type: integer, minimum: 1 } }
+        - { name: cursor, in: query, schema: { type: string } }
+      responses:
+        '200':
+          description: Items
+          content:
+            application/json:
+              schema: { type: array, items: { $ref: '#/components/schemas/Item' } }
+    post:
+      summary: Create item
+      tags: [items]
+      requestBody:
+        content:
+          application/json:
+            schema: { $ref: '#/components/schemas/NewItem' }
+      responses:
+        '201':
+          description: Created
+          content:
+            application/json:
+              schema: { $ref: '#/components/schemas/Item' }
+  /items/{itemId}:
+    parameters:
+      - { name: itemId, in: path, required: true, schema: { type: string, format: uuid } }
+    get:
+      summary: Get item
+      tags: [items]
+      responses:
+        '200':
+          description: Item
+          content:
+            application/json:
+              schema: { $ref: '#/components/schemas/Item' }
+    delete:
+      summary: Delete item
+      tags: [items]
+      responses:
+        '204': { description: Deleted }
+  /items/{itemId}/reviews:
+    post:
+      summary: Review item
+      tags: [reviews]
+      parameters:
+        - { $ref: '#/components/parameters/ItemId' }
+      requestBody:
+        content:
+          application/json:
+            schema:
+              type: object
+              required: [stars]
+              properties: { stars: { type: integer, minimum: 1, maximum: 5 } }
+      responses:
+        '201': { description: Created }
+  /reports/{format}:
+    get:
+      summary: Download report
+      parameters:
+        - { name: format, in: path, required: true, schema: { type: string, enum: [csv, pdf] } }
+      responses:
+        '200': { description: Report }
+  /orders/{orderId}:
+    get:
+      summary: Get order
+      tags: [orders]
+      parameters:
+        - { name: orderId, in: path, required: true, schema: { type: string } }
+      responses:
+        '200': { description: Order }
+components:
+  parameters:
+    ItemId: { name: itemId, in: path, required: true, schema: { type: string } }
+  schemas:
+    NewItem:
+      type: object
+      required: [name, price]
+      properties:
+        name: { type: string, example: Widget }
+        price: { type: number, minimum: 0, exclusiveMinimum: true }
+    Item:
+      allOf:
+        - $ref: '#/components/schemas/NewItem'
+      type: object
+      properties:
+        id: { type: string, format: uuid, readOnly: true }
+        name: { type: string }
+        price: { type: number }
+`;
+
+function writeFiles(dir, files) {
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('findOpenApiSpec picks the shallowest parseable spec under the given directory', async () => {
+  const repo = writeFiles(path.join(tmpDir, 'repo'), {
+    'docs/api/openapi.yaml': SPEC,
+    'api/swagger.json': JSON.stringify({ swagger: '2.0', info: {}, paths: { '/health': {} } }),
+    'openapi-notes.yaml': 'These are notes, not a spec\n',
+    'node_modules/some-lib/openapi.yaml': SPEC,
+    '.sdlc-platform/scripts/openapi.yaml': SPEC,
+  });
+
+  const found = await findOpenApiSpec(repo);
+  assert.equal(found.file, 'api/swagger.json');
+  assert.equal(found.spec.swagger, '2.0');
+
+  fs.rmSync(path.join(repo, 'api'), { recursive: true });
+  assert.equal((await findOpenApiSpec(repo)).file, 'docs/api/openapi.yaml');
+
+  // Looked up in the given directory, not the current one
+  assert.equal(await findOpenApiSpec(path.join(repo, 'docs', 'missing')), null);
+  assert.equal(await findOpenApiSpec(writeFiles(path.join(tmpDir, 'empty'), { 'README.md': '# Empty\n' })), null);
+});
+
+test('listOperations builds the happy-path request and response of every operation', () => {
+  const operations = listOperations(YAML.parse(SPEC));
+
+  assert.deepEqual(
+    operations.map((operation) => `${operation.method} ${operation.path}`),
+    [
+      'POST /items',
+      'GET /items',
+      'GET /items/{itemId}',
+      'DELETE /items/{itemId}',
+      'POST /items/{itemId}/reviews',
+      'GET /reports/{format}',
+      'GET /orders/{orderId}',
+    ]
+  );
+
+  const [create, list, get, remove, review, report] = operations;
+
+  assert.deepEqual(list.query, { limit: 1 });
+  assert.equal(list.tag, 'items');
+  assert.equal(list.responseSchema.type, 'array');
+
+  // readOnly properties stay out of the body; the exclusive minimum is not a valid price
+  assert.deepEqual(create.body, { name: 'Widget', price: 1 });
+  assert.equal(create.expectedStatus, 201);
+  assert.deepEqual(Object.keys(create.responseSchema.properties), ['id', 'name', 'price']);
+
+  assert.deepEqual(get.placeholderParams, ['itemId']);
+  assert.equal(remove.expectedStatus, 204);
+  assert.equal(remove.responseSchema, undefined);
+  assert.deepEqual(review.placeholderParams, ['itemId']);
+  assert.deepEqual(review.body, { stars: 1 });
+
+  // An enum is a real value, not a placeholder
+  assert.deepEqual(report.pathParams, { format: 'csv' });
+  assert.deepEqual(report.placeholderParams, []);
+  assert.equal(report.tag, 'reports');
+});
+
+test('buildSpecTestPlan chains placeholder path parameters from create responses', () => {
+  const operations = listOperations(YAML.parse(SPEC));
+  const plan = buildSpecTestPlan(operations);
+
+  assert.deepEqual(
+    plan.tests.map((suite) => suite.name),
+    ['items', 'reviews', 'reports']
+  );
+
+  const [items, reviews, reports] = plan.tests;
+  const call = (step) => `${step.method} ${step.endpoint}`;
+
+  assert.deepEqual(items.setup.map(call), ['POST /items']);
+  assert.deepEqual(items.setup[0].storeVariables, { itemId: '$.id' });
+  assert.deepEqual(items.setup[0].body, { name: 'Widget', price: 1 });
+  // DELETE runs after the other operations on the resource
+  assert.deepEqual(items.steps.map(call), [
+    'POST /items',
+    'GET /items?limit=1',
+    'GET /items/${itemId}',
+    'DELETE /items/${itemId}',
+  ]);
+  assert.deepEqual(
+    items.steps.map((step) => step.expectedStatus),
+    [201, 200, 200, 204]
+  );
+  assert.ok(items.steps[2].responseSchema);
+
+  // Suites run with their own variables, so each creates what it needs
+  assert.deepEqual(reviews.setup.map(call), ['POST /items']);
+  assert.deepEqual(reviews.steps.map(call), ['POST /items/${itemId}/reviews']);
+
+  assert.equal(reports.setup, undefined);
+  assert.deepEqual(reports.steps.map(call), ['GET /reports/csv']);
+
+  // Nothing creates orders, so there is no id to call GET /orders/{orderId} with
+  assert.deepEqual(plan.skipped, [{ method: 'GET', path: '/orders/{orderId}', param: 'orderId' }]);
+
+  for (const step of [...items.steps, ...reviews.steps]) {
+    assert.ok(matchOperation(operations, step.method, step.endpoint), call(step));
+  }
+});
+
+test('buildSpecTestPlan skips parameters the create response has no field for', () => {
+  const spec = YAML.parse(SPEC);
+  spec.components.schemas.Item = { type: 'object', properties: { sku: { type: 'string' } } };
+
+  const plan = buildSpecTestPlan(listOperations(spec));
+
+  assert.deepEqual(
+    plan.skipped.map((s) => `${s.method} ${s.path}`),
+    ['GET /items/{itemId}', 'DELETE /items/{itemId}', 'POST /items/{itemId}/reviews', 'GET /orders/{orderId}']
+  );
+  assert.deepEqual(
+    plan.tests.flatMap((suite) => suite.steps.map((step) => `${step.method} ${step.endpoint}`)),
+    ['POST /items', 'GET /items?limit=1', 'GET /reports/csv']
+  );
+});
+
+test('buildSpecTestPlan chains nested resources parents first', () => {
+  const spec = {
+    openapi: '3.0.0',
+    paths: {
+      '/users': { post: { tags: ['users'], responses: { 201: { description: 'Created' } } } },
+      '/users/{userId}/orders': {
+        post: {
+          tags: ['users'],
+          parameters: [{ name: 'userId', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: {
+            201: {
+              description: 'Created',
+              content: {
+                'application/json': { schema: { type: 'object', properties: { orderId: { type: 'string' } } } },
+              },
+            },
+          },
+        },
+      },
+      '/users/{userId}/orders/{orderId}': {
+        get: {
+          tags: ['users'],
+          parameters: [
+            { name: 'userId', in: 'path', required: true, schema: { type: 'string' } },
+            { name: 'orderId', in: 'path', required: true, schema: { type: 'string' } },
+          ],
+          responses: { 200: { description: 'Order' } },
+        },
+      },
+    },
+  };
+
+  const [suite] = buildSpecTestPlan(listOperations(spec)).tests;
+
+  assert.deepEqual(
+    suite.setup.map((step) => [step.endpoint, step.storeVariables]),
+    [
+      ['/users', { userId: '$.id' }],
+      ['/users/${userId}/orders', { orderId: '$.orderId' }],
+    ]
+  );
+  assert.deepEqual(
+    suite.steps.map((step) => step.endpoint),
+    ['/users', '/users/${userId}/orders', '/users/${userId}/orders/${orderId}']
+  );
+});
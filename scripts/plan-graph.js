@@ -0,0 +1,133 @@
+/**
+ * plan-graph.js
+ * Dependency graph helpers for scaffold plans.
+ *
+ * Each plan file may list the paths it imports in dependsOn. The graph is
+ * checked for unknown paths and cycles, then split into levels: every file in
+ * a level depends only on files from earlier levels, so a level can be
+ * generated in parallel once the previous ones are done.
+ *
+ * When extending an existing repository, files may also depend on paths that
+ * already exist and are not part of the plan; those impose no ordering.
+ */
+
+/**
+ * Check the dependsOn edges of a plan
+ * @param {{path: string, dependsOn?: string[], action?: string}[]} files - Plan files
+ * @param {Object} [options]
+ * @param {string[]} [options.existingPaths=[]] - Files already in the repository
+ * @returns {string[]} - Human-readable errors (empty when the graph is valid)
+ */
+export function validatePlanGraph(files, { existingPaths = [] } = {}) {
+  const errors = [];
+  const paths = new Set();
+
+  for (const file of files) {
+    if (paths.has(file.path)) {
+      errors.push(`Duplicate file path: ${file.path}`);
+    }
+    paths.add(file.path);
+  }
+
+  const existing = new Set(existingPaths);
+  const deleted = new Set(files.filter((file) => file.action === 'delete').map((file) => file.path));
+
+  for (const file of files) {
+    for (const dependency of file.dependsOn || []) {
+      if (dependency === file.path) {
+        errors.push(`${file.path} depends on itself`);
+      } else if (deleted.has(dependency)) {
+        errors.push(`${file.path} depends on ${dependency}, which the plan deletes`);
+      } else if (!paths.has(dependency) && !existing.has(dependency)) {
+        errors.push(`${file.path} depends on ${dependency}, which is not in the plan or the repository`);
+      }
+    }
+  }
+
+  if (errors.length === 0) {
+    const cycle = findCycle(files);
+    if (cycle) {
+      errors.push(`Dependency cycle: ${cycle.join(' -> ')}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Find one dependency cycle, if any (depth-first search)
+ * @returns {string[]|null} - Paths forming the cycle, first path repeated at the end
+ */
+function findCycle(files) {
+  const edges = new Map(files.map((file) => [file.path, planDependencies(file, files)]));
+  const state = new Map(); // path -> 'visiting' | 'done'
+  const stack = [];
+
+  function visit(node) {
+    state.set(node, 'visiting');
+    stack.push(node);
+
+    for (const next of edges.get(node) || []) {
+      if (state.get(next) === 'visiting') {
+        return [...stack.slice(stack.indexOf(next)), next];
+      }
+      if (!state.has(next)) {
+        const cycle = visit(next);
+        if (cycle) return cycle;
+      }
+    }
+
+    stack.pop();
+    state.set(node, 'done');
+    return null;
+  }
+
+  for (const file of files) {
+    if (!state.has(file.path)) {
+      const cycle = visit(file.path);
+      if (cycle) return cycle;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Dependencies of a file that are themselves part of the plan
+ */
+function planDependencies(file, files) {
+  return (file.dependsOn || []).filter((dependency) => files.some((other) => other.path === dependency));
+}
+
+/**
+ * Group plan files into topological levels
+ * Level 0 holds files without plan dependencies; level N files depend only on levels < N.
+ * @param {{path: string, dependsOn?: string[]}[]} files - Plan files with a valid graph
+ * @returns {Object[][]} - Files grouped by level, in plan order within a level
+ */
+export function planLevels(files) {
+  const levelOf = new Map();
+  let remaining = [...files];
+  const levels = [];
+
+  while (remaining.length > 0) {
+    const ready = remaining.filter((file) =>
+      planDependencies(file, files).every((dependency) => levelOf.has(dependency))
+    );
+
+    if (ready.length === 0) {
+      throw new Error(`Dependency cycle among: ${remaining.map((file) => file.path).join(', ')}`);
+    }
+
+    ready.forEach((file) => levelOf.set(file.path, levels.length));
+    levels.push(ready);
+    remaining = remaining.filter((file) => !levelOf.has(file.path));
+  }
+
+  return levels;
+}
+
+export default {
+  validatePlanGraph,
+  planLevels,
+};
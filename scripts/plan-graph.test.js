@@ -0,0 +1,80 @@
+/**
+ * plan-graph.test.js
+ * Dependency checks and level ordering of scaffold plans.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePlanGraph, planLevels } from './plan-graph.js';
+
+const file = (path, dependsOn = [], action) => ({ path, dependsOn, ...(action && { action }) });
+
+test('a valid graph has no errors', () => {
+  const files = [file('src/handler.ts', ['src/db.ts']), file('src/db.ts'), file('README.md')];
+  assert.deepEqual(validatePlanGraph(files), []);
+});
+
+test('cycles are reported with the path that closes them', () => {
+  const files = [file('src/a.ts', ['src/b.ts']), file('src/b.ts', ['src/c.ts']), file('src/c.ts', ['src/a.ts'])];
+
+  assert.deepEqual(validatePlanGraph(files), ['Dependency cycle: src/a.ts -> src/b.ts -> src/c.ts -> src/a.ts']);
+  assert.throws(() => planLevels(files), /Dependency cycle among: src\/a\.ts, src\/b\.ts, src\/c\.ts/);
+});
+
+test('a file depending on itself is reported', () => {
+  assert.deepEqual(validatePlanGraph([file('src/a.ts', ['src/a.ts'])]), ['src/a.ts depends on itself']);
+});
+
+test('unknown dependencies are reported unless they exist in the repository', () => {
+  const files = [file('src/handler.ts', ['src/db.ts', 'src/util.ts'])];
+
+  assert.deepEqual(validatePlanGraph(files), [
+    'src/handler.ts depends on src/db.ts, which is not in the plan or the repository',
+    'src/handler.ts depends on src/util.ts, which is not in the plan or the repository',
+  ]);
+  assert.deepEqual(validatePlanGraph(files, { existingPaths: ['src/db.ts', 'src/util.ts'] }), []);
+});
+
+test('depending on a file the plan deletes is reported', () => {
+  const files = [file('src/handler.ts', ['src/legacy.ts'], 'modify'), file('src/legacy.ts', [], 'delete')];
+
+  assert.deepEqual(validatePlanGraph(files, { existingPaths: ['src/handler.ts', 'src/legacy.ts'] }), [
+    'src/handler.ts depends on src/legacy.ts, which the plan deletes',
+  ]);
+});
+
+test('duplicate paths are reported', () => {
+  assert.deepEqual(validatePlanGraph([file('README.md'), file('README.md')]), ['Duplicate file path: README.md']);
+});
+
+test('planLevels puts every file after its dependencies, in plan order within a level', () => {
+  const files = [
+    file('src/handlers/create.ts', ['src/db.ts', 'src/types.ts']),
+    file('template.yaml', ['src/handlers/create.ts', 'src/handlers/get.ts']),
+    file('src/types.ts'),
+    file('src/db.ts', ['src/types.ts']),
+    file('src/handlers/get.ts', ['src/db.ts']),
+    file('README.md'),
+  ];
+
+  assert.deepEqual(
+    planLevels(files).map((level) => level.map((f) => f.path)),
+    [
+      ['src/types.ts', 'README.md'],
+      ['src/db.ts'],
+      ['src/handlers/create.ts', 'src/handlers/get.ts'],
+      ['template.yaml'],
+    ]
+  );
+});
+
+test('planLevels ignores dependencies on existing files outside the plan', () => {
+  const files = [file('src/feature.ts', ['src/existing.ts']), file('tests/feature.test.ts', ['src/feature.ts'])];
+
+  assert.deepEqual(
+    planLevels(files).map((level) => level.map((f) => f.path)),
+    [['src/feature.ts'], ['tests/feature.test.ts']]
+  );
+});
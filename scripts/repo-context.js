@@ -0,0 +1,110 @@
+/**
+ * repo-context.js
+ * Snapshot of an existing repository for AI prompts: the file tree plus the
+ * contents of the files that describe the project (manifests, IaC templates,
+ * configs, entry points).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { glob } from 'glob';
+
+const IGNORE = [
+  '**/node_modules/**',
+  '**/.git/**',
+  '.sdlc-platform/**',
+  '**/dist/**',
+  '**/build/**',
+  '**/coverage/**',
+  '**/.aws-sam/**',
+  '**/cdk.out/**',
+  '**/.terraform/**',
+  '**/__pycache__/**',
+  '**/*.log',
+];
+
+// Files that describe the project, in priority order
+const KEY_FILE_PATTERNS = [
+  /(^|\/)package\.json$/,
+  /^README(\.md)?$/i,
+  /(^|\/)(template|serverless)\.ya?ml$/,
+  /^cdk\.json$/,
+  /\.tf$/,
+  /(^|\/)(tsconfig|jsconfig)\.json$/,
+  /^(requirements\.txt|pyproject\.toml|go\.mod|Cargo\.toml)$/,
+  /^Dockerfile$/,
+  /(^|\/)(index|main|app|server|handler)\.(js|ts|py|go)$/,
+];
+
+/**
+ * Every file of a repository, sorted, relative to dir (dependencies, build
+ * output and the platform checkout left out)
+ */
+export async function listRepoFiles(dir) {
+  return (await glob('**/*', { cwd: dir, nodir: true, dot: true, ignore: IGNORE })).sort();
+}
+
+/**
+ * Scan a repository
+ * @param {string} dir - Repository root
+ * @param {Object} [options]
+ * @param {number} [options.maxTreeEntries=500] - Paths listed in the tree
+ * @param {number} [options.maxKeyFiles=15] - Key files included with contents
+ * @param {number} [options.maxChars=30000] - Budget for key file contents
+ * @returns {Promise<{files: string[], tree: string, keyFiles: {path: string, content: string}[]}>}
+ *   files holds every path (sorted, relative to dir); tree is the listing for the prompt
+ */
+export async function scanRepo(dir, { maxTreeEntries = 500, maxKeyFiles = 15, maxChars = 30000 } = {}) {
+  const files = await listRepoFiles(dir);
+
+  const tree =
+    files.slice(0, maxTreeEntries).join('\n') +
+    (files.length > maxTreeEntries ? `\n... (${files.length - maxTreeEntries} more files)` : '');
+
+  const keyFiles = [];
+  let budget = maxChars;
+
+  const candidates = files
+    .map((file) => ({ file, priority: KEY_FILE_PATTERNS.findIndex((pattern) => pattern.test(file)) }))
+    .filter(({ priority }) => priority !== -1)
+    .sort((a, b) => a.priority - b.priority || a.file.length - b.file.length);
+
+  for (const { file } of candidates) {
+    if (keyFiles.length >= maxKeyFiles || budget <= 0) break;
+
+    try {
+      let content = fs.readFileSync(path.join(dir, file), 'utf-8');
+      if (content.length > budget) {
+        content = `${content.substring(0, budget)}\n... (truncated)`;
+      }
+
+      budget -= content.length;
+      keyFiles.push({ path: file, content });
+    } catch (error) {
+      // Skip unreadable files
+    }
+  }
+
+  return { files, tree, keyFiles };
+}
+
+/**
+ * Format a scan for a prompt
+ */
+export function formatRepoContext({ tree, keyFiles }) {
+  const sections = keyFiles.map((file) => `--- ${file.path} ---\n${file.content}`);
+
+  return `**Current file tree:**
+\`\`\`
+${tree}
+\`\`\`
+
+**Key files:**
+${sections.join('\n\n')}`;
+}
+
+export default {
+  listRepoFiles,
+  scanRepo,
+  formatRepoContext,
+};
@@ -6,6 +6,16 @@
 #   IAC_TYPE - Type of IaC (sam|cdk|terraform|serverless|cloudformation|lambda)
 #   STACK_NAME - Name for the CloudFormation/Terraform stack
 #   AWS_REGION - AWS region (defaults to us-east-1)
+#   DEPLOY_TARGET - Where to deploy (defaults to aws):
+#                     aws       - The AWS account of the current credentials
+#                     local     - A LocalStack-style emulator at LOCAL_ENDPOINT (sam, cloudformation,
+#                                 lambda, terraform, cdk); uses samlocal/awslocal/tflocal/cdklocal
+#                                 when installed. Credentials are replaced with dummy ones, so a
+#                                 misconfigured tool fails instead of reaching a real account
+#                     sam-local - "sam local start-api" on LOCAL_API_PORT (sam only); the API keeps
+#                                 running in the background, its PID is written to .sam-local.pid
+#   LOCAL_ENDPOINT - Emulator endpoint (defaults to http://localhost:4566)
+#   LOCAL_API_PORT - Port for sam-local (defaults to 3000)
 #
 
 set -e
@@ -45,11 +55,86 @@ if [ -z "$STACK_NAME" ]; then
 fi
 
 AWS_REGION=${AWS_REGION:-us-east-1}
+DEPLOY_TARGET=${DEPLOY_TARGET:-aws}
+LOCAL_ENDPOINT=${LOCAL_ENDPOINT:-http://localhost:4566}
+LOCAL_API_PORT=${LOCAL_API_PORT:-3000}
+
+# CLIs used for the deployment; the local target swaps in the emulator wrappers
+SAM_CMD="sam"
+AWS_CMD="aws"
+CDK_CMD="npx cdk"
+TF_CMD="terraform"
+
+# Use a LocalStack wrapper when installed, otherwise the plain tool with AWS_ENDPOINT_URL
+local_cmd() {
+    if command -v "$1" >/dev/null 2>&1; then
+        echo "$1"
+    else
+        echo "$2"
+    fi
+}
+
+# Fail unless a wrapper is installed (for tools that ignore AWS_ENDPOINT_URL)
+require_local_cmd() {
+    if ! command -v "$1" >/dev/null 2>&1; then
+        log_error "$1 is required for DEPLOY_TARGET=local (install with: $2)"
+        exit 1
+    fi
+}
+
+wait_for_url() {
+    local url=$1
+    local seconds=$2
+
+    for _ in $(seq 1 "$seconds"); do
+        if curl -s -o /dev/null "$url"; then
+            return 0
+        fi
+        sleep 1
+    done
+
+    return 1
+}
+
+case $DEPLOY_TARGET in
+    aws)
+        ;;
+
+    local)
+        export AWS_ENDPOINT_URL="$LOCAL_ENDPOINT"
+        export AWS_ACCESS_KEY_ID=test
+        export AWS_SECRET_ACCESS_KEY=test
+        unset AWS_SESSION_TOKEN AWS_PROFILE
+
+        log_step "Waiting for the emulator at $LOCAL_ENDPOINT..."
+        if ! wait_for_url "$LOCAL_ENDPOINT" 60; then
+            log_error "No emulator is listening at $LOCAL_ENDPOINT (start one with: localstack start -d)"
+            exit 1
+        fi
+
+        SAM_CMD=$(local_cmd samlocal sam)
+        AWS_CMD=$(local_cmd awslocal aws)
+        ;;
+
+    sam-local)
+        if [ "$IAC_TYPE" != "sam" ]; then
+            log_error "DEPLOY_TARGET=sam-local only supports SAM projects (detected: $IAC_TYPE)"
+            exit 1
+        fi
+        ;;
+
+    *)
+        log_error "Unsupported DEPLOY_TARGET: $DEPLOY_TARGET"
+        log_error "Supported targets: aws, local, sam-local"
+        exit 1
+        ;;
+esac
 
 log_info "Starting deployment"
 log_info "IaC Type: $IAC_TYPE"
 log_info "Stack Name: $STACK_NAME"
 log_info "AWS Region: $AWS_REGION"
+log_info "Target: $DEPLOY_TARGET"
 
 # Deploy based on IaC type
 case $IAC_TYPE in
@@ -63,17 +148,32 @@ case $IAC_TYPE in
         log_info "Building SAM application..."
         sam build --template "$TEMPLATE"
 
-        # Deploy
-        log_info "Deploying SAM application..."
-        sam deploy \
-            --stack-name "$STACK_NAME" \
-            --region "$AWS_REGION" \
-            --capabilities CAPABILITY_IAM CAPABILITY_NAMED_IAM CAPABILITY_AUTO_EXPAND \
-            --no-confirm-changeset \
-            --no-fail-on-empty-changeset \
-            --resolve-s3
+        if [ "$DEPLOY_TARGET" = "sam-local" ]; then
+            log_info "Starting local API on port $LOCAL_API_PORT..."
+            nohup sam local start-api --port "$LOCAL_API_PORT" > sam-local.log 2>&1 &
+            echo $! > .sam-local.pid
+
+            # The first start pulls the Lambda runtime images
+            if ! wait_for_url "http://127.0.0.1:$LOCAL_API_PORT" 300; then
+                log_error "sam local start-api did not come up"
+                cat sam-local.log
+                exit 1
+            fi
 
-        log_info "SAM deployment completed successfully"
+            log_info "SAM local API running at http://127.0.0.1:$LOCAL_API_PORT (PID $(cat .sam-local.pid))"
+        else
+            # Deploy
+            log_info "Deploying SAM application..."
+            $SAM_CMD deploy \
+                --stack-name "$STACK_NAME" \
+                --region "$AWS_REGION" \
+                --capabilities CAPABILITY_IAM CAPABILITY_NAMED_IAM CAPABILITY_AUTO_EXPAND \
+                --no-confirm-changeset \
+                --no-fail-on-empty-changeset \
+                --resolve-s3
+
+            log_info "SAM deployment completed successfully"
+        fi
         ;;
 
     cdk)
@@ -90,13 +190,20 @@ case $IAC_TYPE in
             pip install -r requirements.txt
         fi
 
+        if [ "$DEPLOY_TARGET" = "local" ]; then
+            require_local_cmd cdklocal "npm install -g aws-cdk-local aws-cdk"
+            CDK_CMD="cdklocal"
+            log_info "Bootstrapping CDK in the emulator..."
+            $CDK_CMD bootstrap
+        fi
+
         # Synthesize
         log_info "Synthesizing CDK application..."
-        npx cdk synth
+        $CDK_CMD synth
 
         # Deploy all stacks
         log_info "Deploying CDK application..."
-        npx cdk deploy --all \
+        $CDK_CMD deploy --all \
             --require-approval never \
             --region "$AWS_REGION" \
             --outputs-file cdk-outputs.json
@@ -107,13 +214,18 @@ case $IAC_TYPE in
     terraform)
         log_step "Deploying with Terraform..."
 
+        if [ "$DEPLOY_TARGET" = "local" ]; then
+            require_local_cmd tflocal "pip install terraform-local"
+            TF_CMD="tflocal"
+        fi
+
         # Initialize
         log_info "Initializing Terraform..."
-        terraform init -input=false
+        $TF_CMD init -input=false
 
         # Plan
         log_info "Planning Terraform deployment..."
-        terraform plan \
+        $TF_CMD plan \
             -out=tfplan \
             -var="stack_name=$STACK_NAME" \
             -var="region=$AWS_REGION" \
@@ -121,7 +233,7 @@ case $IAC_TYPE in
 
         # Apply
         log_info "Applying Terraform plan..."
-        terraform apply -auto-approve -input=false tfplan
+        $TF_CMD apply -auto-approve -input=false tfplan
 
         log_info "Terraform deployment completed successfully"
         ;;
@@ -129,6 +241,12 @@ case $IAC_TYPE in
     serverless)
         log_step "Deploying with Serverless Framework..."
 
+        if [ "$DEPLOY_TARGET" = "local" ]; then
+            log_error "DEPLOY_TARGET=local does not support Serverless Framework projects"
+            log_error "Add the serverless-localstack plugin and deploy with --stage local instead"
+            exit 1
+        fi
+
         # Install dependencies
         if [ -f "package.json" ]; then
             log_info "Installing Node.js dependencies..."
@@ -173,7 +291,7 @@ case $IAC_TYPE in
         log_info "Deploying CloudFormation template: $TEMPLATE"
 
         # Deploy using AWS CLI
-        aws cloudformation deploy \
+        $AWS_CMD cloudformation deploy \
             --template-file "$TEMPLATE" \
             --stack-name "$STACK_NAME" \
             --region "$AWS_REGION" \
@@ -225,10 +343,10 @@ EOF
 
         # Deploy with SAM
         sam build --template auto-generated-template.yaml
-        sam deploy \
+        $SAM_CMD deploy \
             --stack-name "$STACK_NAME" \
             --region "$AWS_REGION" \
-            --capabilities CAPABILITY_IAM \
+            --capabilities CAPABILITY_IAM CAPABILITY_NAMED_IAM CAPABILITY_AUTO_EXPAND \
             --no-confirm-changeset \
             --resolve-s3
 
@@ -0,0 +1,122 @@
+#!/bin/bash
+#
+# run-local-loop.sh
+# Runs deploy -> test -> fix on one machine against a local target, without a
+# cloud account (developer box or PR checks). Run from the project root.
+# Environment Variables:
+#   DEPLOY_TARGET - local (default) or sam-local (see run-deployment.sh)
+#   IAC_TYPE - Type of IaC (detected with detect-iac.sh when unset)
+#   STACK_NAME - Stack name (defaults to sdlc-local)
+#   LOCAL_ENDPOINT, LOCAL_API_PORT - Emulator endpoint and sam-local port (see run-deployment.sh)
+#   AI_API_KEY, AI_MODEL, AI_ENDPOINT - AI configuration for test generation and fixes
+# Output:
+#   logs/ - deployment.log, outputs.json, test-results.log, test-results.json, junit.xml
+#   fix.patch - Suggested fix when the deployment or the tests fail (not applied)
+# Exit Code:
+#   0 - Deployed and all sanity tests passed
+#   1 - Deployment or sanity tests failed
+#
+
+set -o pipefail
+
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+
+# Color output
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+BLUE='\033[0;34m'
+NC='\033[0m'
+
+log_info() {
+    echo -e "${GREEN}[INFO]${NC} $1"
+}
+
+log_step() {
+    echo -e "${BLUE}[STEP]${NC} $1"
+}
+
+log_error() {
+    echo -e "${RED}[ERROR]${NC} $1"
+}
+
+export DEPLOY_TARGET=${DEPLOY_TARGET:-local}
+export STACK_NAME=${STACK_NAME:-sdlc-local}
+export LOCAL_ENDPOINT=${LOCAL_ENDPOINT:-http://localhost:4566}
+
+if [ "$DEPLOY_TARGET" = "aws" ]; then
+    log_error "run-local-loop.sh only runs local targets (local, sam-local); use the SDLC workflow for AWS"
+    exit 1
+fi
+
+if [ -z "$IAC_TYPE" ]; then
+    IAC_TYPE=$("$SCRIPT_DIR/detect-iac.sh")
+fi
+export IAC_TYPE
+
+if [ "$IAC_TYPE" = "unknown" ]; then
+    log_error "No supported IaC found in $(pwd)"
+    exit 1
+fi
+
+mkdir -p logs
+rm -f fix.patch
+
+# Stop the API that a sam-local deployment leaves running
+cleanup() {
+    if [ -f .sam-local.pid ]; then
+        kill "$(cat .sam-local.pid)" 2>/dev/null || true
+        rm -f .sam-local.pid
+    fi
+}
+trap cleanup EXIT
+
+# Ask the AI for a fix patch and fail the run
+fix_and_exit() {
+    local stage=$1
+
+    log_step "Generating a fix for the $stage failure..."
+    if FAILURE_STAGE="$stage" TEST_RESULTS_FILE=logs/test-results.json node "$SCRIPT_DIR/ai-generate-fix.js"; then
+        log_info "Suggested fix written to fix.patch (review it, then: git apply fix.patch)"
+    else
+        log_error "Could not generate a fix, see the logs in logs/"
+    fi
+
+    exit 1
+}
+
+log_step "Deploying $IAC_TYPE project to $DEPLOY_TARGET..."
+if ! "$SCRIPT_DIR/run-deployment.sh" 2>&1 | tee logs/deployment.log; then
+    log_error "Deployment failed"
+    fix_and_exit deploy
+fi
+
+log_step "Extracting deployment outputs..."
+if ! "$SCRIPT_DIR/extract-outputs.sh" "$IAC_TYPE" "$STACK_NAME" > outputs.json; then
+    log_error "Could not read the deployment outputs"
+    exit 1
+fi
+cp outputs.json logs/outputs.json
+jq '.' outputs.json
+
+log_step "Generating sanity tests..."
+if ! node "$SCRIPT_DIR/ai-generate-tests.js"; then
+    log_error "Could not generate sanity tests"
+    exit 1
+fi
+
+# Non-HTTP steps (Lambda, SQS, DynamoDB, ...) talk to the emulator too
+if [ "$DEPLOY_TARGET" = "local" ]; then
+    export AWS_ENDPOINT_URL="$LOCAL_ENDPOINT"
+    export AWS_ACCESS_KEY_ID=test
+    export AWS_SECRET_ACCESS_KEY=test
+    unset AWS_SESSION_TOKEN AWS_PROFILE
+fi
+
+log_step "Running sanity tests..."
+if ! TEST_RESULTS_FILE=logs/test-results.json JUNIT_FILE=logs/junit.xml \
+    node "$SCRIPT_DIR/execute-tests.js" | tee logs/test-results.log; then
+    log_error "Sanity tests failed"
+    fix_and_exit test
+fi
+
+log_info "✅ Deployed to $DEPLOY_TARGET and all sanity tests passed"
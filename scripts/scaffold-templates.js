@@ -0,0 +1,132 @@
+/**
+ * scaffold-templates.js
+ * Registry of scaffold presets (templates/*.json).
+ *
+ * A template bundles the stack conventions a team would otherwise retype in
+ * every scaffold prompt:
+ *   {
+ *     name: string,                     - Display name
+ *     description: string,
+ *     conventions: string[],            - Rules the planned files must follow
+ *     config: {key: value},             - Required settings (runtime, IaC, ...)
+ *     files: [{path, prompt, dependsOn?, exports?}],  - Files every plan must include
+ *     dependencies: {package.json defaults} | null
+ *   }
+ *
+ * Environment:
+ *   SCAFFOLD_TEMPLATES_DIR - Directory holding the templates (default: templates/ next to this script)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SCAFFOLD_TEMPLATES_DIR =
+  process.env.SCAFFOLD_TEMPLATES_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), 'templates');
+
+/**
+ * List the available template ids
+ * @returns {string[]}
+ */
+export function listTemplates() {
+  if (!fs.existsSync(SCAFFOLD_TEMPLATES_DIR)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(SCAFFOLD_TEMPLATES_DIR)
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => path.basename(file, '.json'))
+    .sort();
+}
+
+/**
+ * Load a template by id
+ * @param {string} id - Template id (file name without .json)
+ * @returns {Object} - Template with defaults filled in
+ * @throws {Error} - When the template does not exist
+ */
+export function loadTemplate(id) {
+  if (!/^[a-z0-9-]+$/.test(id) || !listTemplates().includes(id)) {
+    throw new Error(`Unknown scaffold template "${id}". Available: ${listTemplates().join(', ') || '(none)'}`);
+  }
+
+  const template = JSON.parse(fs.readFileSync(path.join(SCAFFOLD_TEMPLATES_DIR, `${id}.json`), 'utf-8'));
+
+  return {
+    id,
+    name: template.name || id,
+    description: template.description || '',
+    conventions: template.conventions || [],
+    config: template.config || {},
+    files: template.files || [],
+    dependencies: template.dependencies ?? null,
+  };
+}
+
+/**
+ * Format a template as planner instructions
+ * @param {Object} template - Loaded template
+ * @param {string[]} [existingPaths=[]] - Files already in the repository; they are not required again
+ */
+export function formatTemplate(template, existingPaths = []) {
+  const requiredFiles = template.files.filter((file) => !existingPaths.includes(file.path));
+  const config = Object.entries(template.config).map(([key, value]) => `- ${key}: ${value}`);
+
+  const sections = [`**Template:** ${template.name}${template.description ? ` - ${template.description}` : ''}`];
+
+  if (template.conventions.length > 0) {
+    sections.push(`**Conventions (follow all of these):**\n${template.conventions.map((c) => `- ${c}`).join('\n')}`);
+  }
+
+  if (config.length > 0) {
+    sections.push(`**Required configuration:**\n${config.join('\n')}`);
+  }
+
+  if (requiredFiles.length > 0) {
+    sections.push(
+      `**Files the plan must include** (keep these paths; extend their prompts with the project's specifics):\n` +
+        requiredFiles.map((file) => `- ${file.path}: ${file.prompt}`).join('\n')
+    );
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Errors for template files missing from a plan
+ */
+export function missingTemplateFiles(template, files, existingPaths = []) {
+  const planned = new Set(files.map((file) => file.path));
+
+  return template.files
+    .filter((file) => !planned.has(file.path) && !existingPaths.includes(file.path))
+    .map((file) => `Template "${template.id}" requires ${file.path} in the plan`);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge the template's dependency defaults with the planned ones (the plan wins on conflicts)
+ */
+export function mergeDependencies(defaults, planned) {
+  if (!isPlainObject(defaults)) return planned ?? null;
+  if (!isPlainObject(planned)) return defaults;
+
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(planned)) {
+    merged[key] = isPlainObject(value) && isPlainObject(defaults[key]) ? mergeDependencies(defaults[key], value) : value;
+  }
+
+  return merged;
+}
+
+export default {
+  listTemplates,
+  loadTemplate,
+  formatTemplate,
+  missingTemplateFiles,
+  mergeDependencies,
+};
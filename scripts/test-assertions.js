@@ -0,0 +1,250 @@
+/**
+ * test-assertions.js
+ * Response checks for sanity test steps (see execute-tests.js).
+ *
+ * A step may declare, besides expectedStatus:
+ *   maxLatencyMs?: number     - Fail when the response takes longer
+ *   responseSchema?: object   - JSON Schema the response body must satisfy
+ *   assertions?: [{
+ *     path?: string,          - JSONPath into the response body, e.g. "$.items[0].id"
+ *     header?: string,        - Or a response header name (case-insensitive)
+ *     equals?: any,           - Deep equality
+ *     contains?: any,         - Substring, array element or object subset
+ *     matches?: string,       - Regular expression tested against the value
+ *     exists?: boolean        - Default check when no other operator is given
+ *   }]
+ *
+ * A JSONPath with a single match is compared as that value; wildcard paths
+ * with several matches are compared as the array of matches.
+ */
+
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { JSONPath } from 'jsonpath-plus';
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+const MAX_VALUE_CHARS = 200;
+
+/**
+ * Format a value for a failure message
+ */
+export function formatValue(value) {
+  if (value === undefined) return '(missing)';
+
+  const text = JSON.stringify(value) ?? String(value);
+  return text.length > MAX_VALUE_CHARS ? `${text.substring(0, MAX_VALUE_CHARS)}...` : text;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => key in b && deepEqual(a[key], b[key]));
+  }
+
+  return false;
+}
+
+/**
+ * Equality for assertions; "${var}" placeholders are substituted as strings,
+ * so a string expectation also matches a number or boolean with the same text
+ */
+function valuesEqual(actual, expected) {
+  if (deepEqual(actual, expected)) return true;
+
+  return (
+    typeof expected === 'string' &&
+    (typeof actual === 'number' || typeof actual === 'boolean') &&
+    String(actual) === expected
+  );
+}
+
+function isSubset(actual, expected) {
+  if (isPlainObject(expected) && isPlainObject(actual)) {
+    return Object.entries(expected).every(([key, value]) => key in actual && isSubset(actual[key], value));
+  }
+
+  return valuesEqual(actual, expected);
+}
+
+function containsValue(actual, expected) {
+  if (typeof actual === 'string') {
+    return actual.includes(String(expected));
+  }
+
+  if (Array.isArray(actual)) {
+    return actual.some((item) => isSubset(item, expected));
+  }
+
+  if (isPlainObject(actual)) {
+    return isSubset(actual, expected);
+  }
+
+  return false;
+}
+
+/**
+ * Value at a JSON Pointer (as reported by ajv)
+ */
+function pointerValue(data, pointer) {
+  return pointer
+    .split('/')
+    .slice(1)
+    .map((part) => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((value, part) => (value !== null && typeof value === 'object' ? value[part] : undefined), data);
+}
+
+/**
+ * Resolve the value an assertion targets
+ * @returns {{label: string, value: any}}
+ */
+function resolveTarget(assertion, response) {
+  if (assertion.header) {
+    const name = assertion.header.toLowerCase();
+    return { label: `header ${name}`, value: response.headers?.[name] };
+  }
+
+  const path = assertion.path.startsWith('$') ? assertion.path : `$.${assertion.path}`;
+  const json = response.data;
+
+  if (path === '$') {
+    return { label: path, value: json };
+  }
+
+  const matches = json !== null && typeof json === 'object' ? JSONPath({ path, json, wrap: true }) : [];
+  return { label: path, value: matches.length <= 1 ? matches[0] : matches };
+}
+
+/**
+ * Evaluate one assertion
+ * @returns {Object[]} - Failures: {check, expected, actual}
+ */
+function checkAssertion(assertion, response) {
+  if (!assertion.path && !assertion.header) {
+    return [{ check: 'assertion', expected: 'a path or header', actual: formatValue(assertion) }];
+  }
+
+  const { label, value } = resolveTarget(assertion, response);
+  const failures = [];
+
+  const hasOperator = ['equals', 'contains', 'matches'].some((op) => op in assertion);
+  const exists = assertion.exists ?? (hasOperator ? undefined : true);
+
+  if (exists !== undefined && (value !== undefined) !== exists) {
+    failures.push({
+      check: `${label} exists`,
+      expected: exists ? 'present' : 'absent',
+      actual: exists ? '(missing)' : formatValue(value),
+    });
+  }
+
+  if ('equals' in assertion && !valuesEqual(value, assertion.equals)) {
+    failures.push({ check: `${label} equals`, expected: formatValue(assertion.equals), actual: formatValue(value) });
+  }
+
+  if ('contains' in assertion && !containsValue(value, assertion.contains)) {
+    failures.push({
+      check: `${label} contains`,
+      expected: formatValue(assertion.contains),
+      actual: formatValue(value),
+    });
+  }
+
+  if ('matches' in assertion) {
+    let pattern;
+    try {
+      pattern = new RegExp(assertion.matches);
+    } catch (error) {
+      failures.push({ check: `${label} matches`, expected: 'a valid regular expression', actual: error.message });
+    }
+
+    if (pattern && (value === undefined || !pattern.test(typeof value === 'string' ? value : JSON.stringify(value)))) {
+      failures.push({ check: `${label} matches`, expected: `/${assertion.matches}/`, actual: formatValue(value) });
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Check a response against a step's latency, schema and assertions
+ * @param {Object} step - Test step (variables already substituted)
+ * @param {Object} response - axios response
+ * @param {number} latencyMs - Time until the response arrived
+ * @returns {Object[]} - Failures: {check, expected, actual}, empty when all checks pass
+ */
+export function checkResponse(step, response, latencyMs) {
+  const failures = [];
+
+  if (step.maxLatencyMs && latencyMs > step.maxLatencyMs) {
+    failures.push({ check: 'latency', expected: `<= ${step.maxLatencyMs}ms`, actual: `${latencyMs}ms` });
+  }
+
+  if (step.responseSchema) {
+    try {
+      const validate = ajv.compile(step.responseSchema);
+      if (!validate(response.data)) {
+        for (const error of validate.errors) {
+          failures.push({
+            check: `schema ${error.instancePath || '(root)'} ${error.message}`,
+            expected: 'a matching value',
+            actual: formatValue(pointerValue(response.data, error.instancePath)),
+          });
+        }
+      }
+    } catch (error) {
+      failures.push({ check: 'schema', expected: 'a valid JSON Schema', actual: error.message });
+    }
+  }
+
+  for (const assertion of step.assertions || []) {
+    failures.push(...checkAssertion(assertion, response));
+  }
+
+  return failures;
+}
+
+/**
+ * Errors for assertions that can never pass (for validating generated plans)
+ * @returns {string[]}
+ */
+export function validateAssertions(step, location) {
+  const errors = [];
+
+  (step.assertions || []).forEach((assertion, i) => {
+    if ('matches' in assertion) {
+      try {
+        new RegExp(assertion.matches);
+      } catch (error) {
+        errors.push(`${location}/assertions/${i}/matches is not a valid regular expression: ${error.message}`);
+      }
+    }
+  });
+
+  if (step.responseSchema) {
+    try {
+      ajv.compile(step.responseSchema);
+    } catch (error) {
+      errors.push(`${location}/responseSchema is not a valid JSON Schema: ${error.message}`);
+    }
+  }
+
+  return errors;
+}
+
+export default {
+  checkResponse,
+  validateAssertions,
+  formatValue,
+};
@@ -0,0 +1,181 @@
+/**
+ * test-assertions.test.js
+ * Response checks of sanity test steps: JSONPath and header assertions, schema, latency.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkResponse, validateAssertions, formatValue } from './test-assertions.js';
+
+const response = {
+  status: 200,
+  headers: { 'content-type': 'application/json; charset=utf-8', location: '/items/42' },
+  data: {
+    id: 42,
+    name: 'Widget',
+    active: true,
+    tags: ['blue', 'small'],
+    items: [
+      { id: 'a1', price: 10 },
+      { id: 'b2', price: 25 },
+    ],
+    owner: { id: 'u1', email: 'owner@example.com' },
+  },
+};
+
+const check = (step, latencyMs = 50) => checkResponse(step, response, latencyMs);
+
+test('JSONPath equals compares single matches as values and wildcards as arrays', () => {
+  assert.deepEqual(
+    check({
+      assertions: [
+        { path: '$.name', equals: 'Widget' },
+        { path: 'owner.id', equals: 'u1' },
+        { path: '$.items[1].price', equals: 25 },
+        { path: '$.items[*].id', equals: ['a1', 'b2'] },
+        { path: '$.owner', equals: { id: 'u1', email: 'owner@example.com' } },
+        // Substituted variables are strings
+        { path: '$.id', equals: '42' },
+        { path: '$.active', equals: 'true' },
+      ],
+    }),
+    []
+  );
+});
+
+test('JSONPath contains checks substrings, array elements and object subsets', () => {
+  assert.deepEqual(
+    check({
+      assertions: [
+        { path: '$.owner.email', contains: '@example.com' },
+        { path: '$.tags', contains: 'small' },
+        { path: '$.items', contains: { id: 'b2' } },
+        { path: '$.owner', contains: { email: 'owner@example.com' } },
+      ],
+    }),
+    []
+  );
+});
+
+test('JSONPath matches tests the value against a regular expression', () => {
+  assert.deepEqual(
+    check({
+      assertions: [
+        { path: '$.owner.email', matches: '^[^@]+@example\\.com$' },
+        { path: '$.id', matches: '^\\d+$' },
+      ],
+    }),
+    []
+  );
+});
+
+test('exists is the default check and can assert absence', () => {
+  assert.deepEqual(check({ assertions: [{ path: '$.owner.id' }, { path: '$.deletedAt', exists: false }] }), []);
+
+  assert.deepEqual(check({ assertions: [{ path: '$.deletedAt' }, { path: '$.name', exists: false }] }), [
+    { check: '$.deletedAt exists', expected: 'present', actual: '(missing)' },
+    { check: '$.name exists', expected: 'absent', actual: '"Widget"' },
+  ]);
+});
+
+test('failures report the expected and the actual value', () => {
+  assert.deepEqual(
+    check({
+      assertions: [
+        { path: '$.name', equals: 'Gadget' },
+        { path: '$.tags', contains: 'red' },
+        { path: '$.owner.email', matches: '^admin@' },
+        { path: '$.missing', equals: 1 },
+        { path: '$.name', matches: '(' },
+      ],
+    }),
+    [
+      { check: '$.name equals', expected: '"Gadget"', actual: '"Widget"' },
+      { check: '$.tags contains', expected: '"red"', actual: '["blue","small"]' },
+      { check: '$.owner.email matches', expected: '/^admin@/', actual: '"owner@example.com"' },
+      { check: '$.missing equals', expected: '1', actual: '(missing)' },
+      {
+        check: '$.name matches',
+        expected: 'a valid regular expression',
+        actual: 'Invalid regular expression: /(/: Unterminated group',
+      },
+    ]
+  );
+});
+
+test('header assertions are case-insensitive', () => {
+  assert.deepEqual(
+    check({
+      assertions: [
+        { header: 'Content-Type', contains: 'application/json' },
+        { header: 'Location', matches: '^/items/\\d+$' },
+        { header: 'x-request-id', exists: false },
+      ],
+    }),
+    []
+  );
+
+  assert.deepEqual(check({ assertions: [{ header: 'Location', equals: '/items/43' }] }), [
+    { check: 'header location equals', expected: '"/items/43"', actual: '"/items/42"' },
+  ]);
+});
+
+test('an assertion without a path or header fails', () => {
+  assert.deepEqual(check({ assertions: [{ equals: 1 }] }), [
+    { check: 'assertion', expected: 'a path or header', actual: '{"equals":1}' },
+  ]);
+});
+
+test('responseSchema failures point at the offending value', () => {
+  const responseSchema = {
+    type: 'object',
+    required: ['id', 'name', 'createdAt'],
+    properties: {
+      id: { type: 'string' },
+      owner: { type: 'object', properties: { email: { type: 'string', format: 'email' } } },
+      items: { type: 'array', maxItems: 1 },
+    },
+  };
+
+  assert.deepEqual(check({ responseSchema }), [
+    {
+      check: "schema (root) must have required property 'createdAt'",
+      expected: 'a matching value',
+      actual: formatValue(response.data),
+    },
+    { check: 'schema /id must be string', expected: 'a matching value', actual: '42' },
+    {
+      check: 'schema /items must NOT have more than 1 items',
+      expected: 'a matching value',
+      actual: '[{"id":"a1","price":10},{"id":"b2","price":25}]',
+    },
+  ]);
+
+  assert.deepEqual(check({ responseSchema: { type: 'object', required: ['id'] } }), []);
+  assert.deepEqual(check({ responseSchema: { type: 'nonsense' } }).map((failure) => failure.check), ['schema']);
+});
+
+test('maxLatencyMs fails slower responses', () => {
+  assert.deepEqual(check({ maxLatencyMs: 500 }, 499), []);
+  assert.deepEqual(check({ maxLatencyMs: 500 }, 500), []);
+  assert.deepEqual(check({ maxLatencyMs: 500 }, 1234), [{ check: 'latency', expected: '<= 500ms', actual: '1234ms' }]);
+});
+
+test('validateAssertions rejects invalid patterns and schemas up front', () => {
+  const step = {
+    assertions: [{ path: '$.id', matches: '[' }, { path: '$.id', matches: '^\\d+$' }],
+    responseSchema: { type: 'nonsense' },
+  };
+
+  const errors = validateAssertions(step, '/tests/0/steps/1');
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /^\/tests\/0\/steps\/1\/assertions\/0\/matches is not a valid regular expression/);
+  assert.match(errors[1], /^\/tests\/0\/steps\/1\/responseSchema is not a valid JSON Schema/);
+});
+
+test('formatValue truncates long values', () => {
+  assert.equal(formatValue(undefined), '(missing)');
+  assert.equal(formatValue('x'.repeat(300)), `"${'x'.repeat(199)}...`);
+});
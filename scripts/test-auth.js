@@ -0,0 +1,270 @@
+/**
+ * test-auth.js
+ * Authentication for sanity test requests (see execute-tests.js).
+ *
+ * The auth block names environment variables; credentials never appear in
+ * sanity-tests.json:
+ *   {type: "apiKey", valueEnv, in?: "header" | "query", name?}   - Default: header x-api-key
+ *   {type: "bearer", tokenEnv}
+ *   {type: "oauth2", tokenUrl, clientIdEnv, clientSecretEnv, scope?, audience?}
+ *                                                                 - Client-credentials grant (Cognito, Auth0, ...);
+ *                                                                   the token is cached until shortly before it expires
+ *   {type: "sigv4", service?: "execute-api", region?}            - AWS Signature V4 with the default credential chain
+ *
+ * Every credential the runner sends is registered for redaction: redact()
+ * masks it in logs and reports, and it is masked in GitHub Actions logs.
+ */
+
+import axios from 'axios';
+import { SignatureV4 } from '@smithy/signature-v4';
+import { Sha256 } from '@aws-crypto/sha256-js';
+import { defaultProvider } from '@aws-sdk/credential-provider-node';
+
+const REDACTED = '***';
+
+// Refresh OAuth2 tokens this long before they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60000;
+
+// Header values that are always redacted in reports
+const SENSITIVE_HEADERS = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+  'x-amz-security-token',
+];
+
+const secrets = new Set();
+
+/**
+ * Register a credential for redaction
+ */
+export function addSecret(value) {
+  if (typeof value !== 'string' || value.length < 4 || secrets.has(value)) return;
+
+  secrets.add(value);
+
+  // stderr keeps the mask command out of the test log posted on the tracking issue
+  if (process.env.GITHUB_ACTIONS === 'true') {
+    console.error(`::add-mask::${value}`);
+  }
+}
+
+/**
+ * Mask registered credentials in a string
+ */
+export function redact(text) {
+  if (typeof text !== 'string') return text;
+
+  let result = text;
+  for (const secret of secrets) {
+    result = result.split(secret).join(REDACTED);
+    const encoded = encodeURIComponent(secret);
+    if (encoded !== secret) {
+      result = result.split(encoded).join(REDACTED);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Mask credentials in a value of any shape (for reports)
+ */
+export function redactValue(value) {
+  if (typeof value === 'string') return redact(value);
+  if (Array.isArray(value)) return value.map(redactValue);
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item)]));
+  }
+
+  return value;
+}
+
+/**
+ * Copy of a header object with sensitive values masked
+ */
+export function redactHeaders(headers = {}) {
+  return Object.fromEntries(
+    Object.entries(headers).map(([name, value]) =>
+      SENSITIVE_HEADERS.includes(name.toLowerCase()) ? [name, REDACTED] : [name, redact(String(value))]
+    )
+  );
+}
+
+function readEnv(name, field) {
+  if (!name) {
+    throw new Error(`Auth config is missing ${field}`);
+  }
+
+  const value = process.env[name];
+  if (!value) {
+    throw new Error(`Environment variable ${name} (auth ${field}) is not set`);
+  }
+
+  addSecret(value);
+  return value;
+}
+
+function apiKeyAuth(config) {
+  const value = readEnv(config.valueEnv, 'valueEnv');
+  const name = config.name || (config.in === 'query' ? 'api_key' : 'x-api-key');
+
+  return async (request) => {
+    if (config.in === 'query') {
+      const url = new URL(request.url);
+      url.searchParams.set(name, value);
+      return { ...request, url: url.toString() };
+    }
+
+    return { ...request, headers: { ...request.headers, [name]: value } };
+  };
+}
+
+function bearerAuth(config) {
+  const token = readEnv(config.tokenEnv, 'tokenEnv');
+
+  return async (request) => ({ ...request, headers: { ...request.headers, Authorization: `Bearer ${token}` } });
+}
+
+function oauth2Auth(config) {
+  if (!config.tokenUrl) {
+    throw new Error('Auth config is missing tokenUrl');
+  }
+
+  const clientId = readEnv(config.clientIdEnv, 'clientIdEnv');
+  const clientSecret = readEnv(config.clientSecretEnv, 'clientSecretEnv');
+  let cached = null;
+
+  async function fetchToken() {
+    if (cached && Date.now() < cached.expiresAt) {
+      return cached.token;
+    }
+
+    const form = new URLSearchParams({ grant_type: 'client_credentials' });
+    if (config.scope) form.set('scope', config.scope);
+    if (config.audience) form.set('audience', config.audience);
+
+    let response;
+    try {
+      response = await axios.post(config.tokenUrl, form.toString(), {
+        auth: { username: clientId, password: clientSecret },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 30000,
+      });
+    } catch (error) {
+      const detail = error.response ? `${error.response.status} ${JSON.stringify(error.response.data)}` : error.message;
+      throw new Error(redact(`OAuth2 token request to ${config.tokenUrl} failed: ${detail}`));
+    }
+
+    const token = response.data?.access_token;
+    if (!token) {
+      throw new Error(`OAuth2 token response from ${config.tokenUrl} has no access_token`);
+    }
+
+    addSecret(token);
+    const expiresIn = Number(response.data.expires_in) || 3600;
+    cached = { token, expiresAt: Date.now() + expiresIn * 1000 - TOKEN_EXPIRY_MARGIN_MS };
+
+    return token;
+  }
+
+  return async (request) => {
+    const token = await fetchToken();
+    return { ...request, headers: { ...request.headers, Authorization: `Bearer ${token}` } };
+  };
+}
+
+function sigv4Auth(config) {
+  const credentials = defaultProvider();
+
+  return async (request) => {
+    const url = new URL(request.url);
+    const region =
+      config.region || process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || regionFromHost(url.hostname);
+
+    if (!region) {
+      throw new Error('SigV4 auth needs a region (auth.region or AWS_REGION)');
+    }
+
+    const signer = new SignatureV4({ service: config.service || 'execute-api', region, credentials, sha256: Sha256 });
+
+    // Sign the exact bytes that are sent
+    const headers = { ...request.headers, host: url.host };
+    let body = request.data;
+    if (body !== undefined && typeof body !== 'string') {
+      body = JSON.stringify(body);
+      if (!Object.keys(headers).some((name) => name.toLowerCase() === 'content-type')) {
+        headers['content-type'] = 'application/json';
+      }
+    }
+
+    const signed = await signer.sign({
+      method: request.method.toUpperCase(),
+      protocol: url.protocol,
+      hostname: url.hostname,
+      port: url.port ? Number(url.port) : undefined,
+      path: url.pathname,
+      query: queryParams(url.searchParams),
+      headers,
+      body,
+    });
+
+    addSecret(signed.headers['x-amz-security-token']);
+
+    return { ...request, data: body, headers: signed.headers };
+  };
+}
+
+/**
+ * Query parameters in the signer's format; a repeated key (?tag=a&tag=b) keeps all its values
+ */
+function queryParams(searchParams) {
+  const query = {};
+
+  for (const [key, value] of searchParams) {
+    query[key] = key in query ? [].concat(query[key], value) : value;
+  }
+
+  return query;
+}
+
+// execute-api URLs look like https://abc123.execute-api.us-east-1.amazonaws.com/prod
+function regionFromHost(hostname) {
+  return hostname.match(/\.([a-z]{2}(?:-gov)?-[a-z]+-\d)\.amazonaws\.com$/)?.[1];
+}
+
+const AUTH_TYPES = {
+  apiKey: apiKeyAuth,
+  bearer: bearerAuth,
+  oauth2: oauth2Auth,
+  sigv4: sigv4Auth,
+};
+
+/**
+ * Create a request authenticator from an auth block
+ * @param {Object|null|false} config - Auth block; null/false for no auth
+ * @returns {function(Object): Promise<Object>} - Takes and returns an axios request config
+ */
+export function createAuth(config) {
+  if (!config) {
+    return async (request) => request;
+  }
+
+  const factory = AUTH_TYPES[config.type];
+  if (!factory) {
+    throw new Error(`Unknown auth type "${config.type}". Supported: ${Object.keys(AUTH_TYPES).join(', ')}`);
+  }
+
+  return factory(config);
+}
+
+export default {
+  createAuth,
+  addSecret,
+  redact,
+  redactValue,
+  redactHeaders,
+};
@@ -0,0 +1,181 @@
+/**
+ * test-auth.test.js
+ * OAuth2 token caching against a stub token endpoint, SigV4 query signing and redaction.
+ *
+ * Run: npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { SignatureV4 } from '@smithy/signature-v4';
+import { Sha256 } from '@aws-crypto/sha256-js';
+import { createAuth, addSecret, redact, redactValue, redactHeaders } from './test-auth.js';
+
+const tokenRequests = [];
+let tokenReply = () => ({ status: 200, body: { access_token: 'token-1', expires_in: 3600 } });
+let server;
+
+function tokenUrl() {
+  return `http://127.0.0.1:${server.address().port}/oauth2/token`;
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      tokenRequests.push({ headers: req.headers, form: Object.fromEntries(new URLSearchParams(body)) });
+      const { status, body: reply } = tokenReply(tokenRequests.length);
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(reply));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  Object.assign(process.env, {
+    TEST_OAUTH_CLIENT_ID: 'client-abc',
+    TEST_OAUTH_CLIENT_SECRET: 'client-secret-xyz',
+    AWS_ACCESS_KEY_ID: 'AKIDEXAMPLE',
+    AWS_SECRET_ACCESS_KEY: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY',
+    AWS_REGION: 'eu-west-1',
+  });
+});
+
+after(() => {
+  server.close();
+});
+
+function oauth2(extra = {}) {
+  return createAuth({
+    type: 'oauth2',
+    tokenUrl: tokenUrl(),
+    clientIdEnv: 'TEST_OAUTH_CLIENT_ID',
+    clientSecretEnv: 'TEST_OAUTH_CLIENT_SECRET',
+    ...extra,
+  });
+}
+
+test('oauth2 fetches one token with the client credentials and reuses it', async () => {
+  tokenRequests.length = 0;
+  tokenReply = (n) => ({ status: 200, body: { access_token: `token-${n}`, expires_in: 3600 } });
+
+  const authenticate = oauth2({ scope: 'items/read', audience: 'https://api.example.com' });
+  const first = await authenticate({ url: 'https://api.example.com/items', headers: { accept: 'application/json' } });
+  const second = await authenticate({ url: 'https://api.example.com/items/1', headers: {} });
+
+  assert.equal(first.headers.Authorization, 'Bearer token-1');
+  assert.equal(first.headers.accept, 'application/json');
+  assert.equal(second.headers.Authorization, 'Bearer token-1');
+
+  assert.equal(tokenRequests.length, 1);
+  const [{ headers, form }] = tokenRequests;
+  assert.equal(headers.authorization, `Basic ${Buffer.from('client-abc:client-secret-xyz').toString('base64')}`);
+  assert.equal(headers['content-type'], 'application/x-www-form-urlencoded');
+  assert.deepEqual(form, {
+    grant_type: 'client_credentials',
+    scope: 'items/read',
+    audience: 'https://api.example.com',
+  });
+});
+
+test('oauth2 fetches a new token once the cached one is about to expire', async () => {
+  tokenRequests.length = 0;
+  // Within the refresh margin, so never reused
+  tokenReply = (n) => ({ status: 200, body: { access_token: `short-${n}`, expires_in: 30 } });
+
+  const authenticate = oauth2();
+  const first = await authenticate({ url: 'https://api.example.com/items', headers: {} });
+  const second = await authenticate({ url: 'https://api.example.com/items', headers: {} });
+
+  assert.equal(first.headers.Authorization, 'Bearer short-1');
+  assert.equal(second.headers.Authorization, 'Bearer short-2');
+  assert.equal(tokenRequests.length, 2);
+});
+
+test('oauth2 tokens and client secrets are redacted, including in token errors', async () => {
+  tokenRequests.length = 0;
+  tokenReply = () => ({ status: 200, body: { access_token: 'token-to-hide', expires_in: 3600 } });
+
+  await oauth2()({ url: 'https://api.example.com/items', headers: {} });
+  assert.equal(redact('Authorization: Bearer token-to-hide'), 'Authorization: Bearer ***');
+  assert.equal(redact('secret=client-secret-xyz'), 'secret=***');
+
+  // A token endpoint echoing the credentials must not leak them into the report
+  tokenReply = () => ({ status: 401, body: { error: 'invalid_client', client_secret: 'client-secret-xyz' } });
+  await assert.rejects(oauth2()({ url: 'https://api.example.com/items', headers: {} }), (error) => {
+    assert.match(error.message, /OAuth2 token request to .* failed: 401/);
+    assert.ok(!error.message.includes('client-secret-xyz'), error.message);
+    return true;
+  });
+
+  tokenReply = () => ({ status: 200, body: { token_type: 'bearer' } });
+  await assert.rejects(oauth2()({ url: 'https://api.example.com/items', headers: {} }), /has no access_token/);
+});
+
+test('redaction masks registered values in strings, nested values and headers', () => {
+  addSecret('sk-live-1234/abcd');
+  addSecret('abc'); // Too short to mask safely
+
+  assert.equal(redact('key sk-live-1234/abcd and sk-live-1234%2Fabcd'), 'key *** and ***');
+  assert.equal(redact('abc stays'), 'abc stays');
+  assert.equal(redact(42), 42);
+
+  assert.deepEqual(redactValue({ body: { key: 'sk-live-1234/abcd', list: ['x sk-live-1234/abcd', 1] }, ok: true }), {
+    body: { key: '***', list: ['x ***', 1] },
+    ok: true,
+  });
+
+  assert.deepEqual(
+    redactHeaders({
+      Authorization: 'Bearer anything',
+      'X-Api-Key': 'unregistered-key',
+      Cookie: 'session=1',
+      'x-echo': 'sk-live-1234/abcd',
+      'content-type': 'application/json',
+    }),
+    {
+      Authorization: '***',
+      'X-Api-Key': '***',
+      Cookie: '***',
+      'x-echo': '***',
+      'content-type': 'application/json',
+    }
+  );
+});
+
+test('sigv4 signs every value of a repeated query parameter', async () => {
+  const url = 'https://abc123.execute-api.eu-west-1.amazonaws.com/prod/items?tag=blue&tag=small&limit=10';
+  const signed = await createAuth({ type: 'sigv4' })({ method: 'get', url, headers: {} });
+
+  // Sign the same request directly at the same time to compare
+  const amzDate = signed.headers['x-amz-date'];
+  const signingDate = new Date(amzDate.replace(/^(\d{4})(\d\d)(\d\d)T(\d\d)(\d\d)(\d\d)Z$/, '$1-$2-$3T$4:$5:$6Z'));
+  const signer = new SignatureV4({
+    service: 'execute-api',
+    region: 'eu-west-1',
+    credentials: { accessKeyId: 'AKIDEXAMPLE', secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY },
+    sha256: Sha256,
+  });
+
+  const sign = (query) =>
+    signer.sign(
+      {
+        method: 'GET',
+        protocol: 'https:',
+        hostname: 'abc123.execute-api.eu-west-1.amazonaws.com',
+        path: '/prod/items',
+        query,
+        headers: { host: 'abc123.execute-api.eu-west-1.amazonaws.com' },
+      },
+      { signingDate }
+    );
+
+  const expected = await sign({ tag: ['blue', 'small'], limit: '10' });
+  const lastValueOnly = await sign({ tag: 'small', limit: '10' });
+
+  assert.equal(signed.headers.authorization, expected.headers.authorization);
+  assert.notEqual(signed.headers.authorization, lastValueOnly.headers.authorization);
+  assert.match(signed.headers.authorization, /^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/\d{8}\/eu-west-1\/execute-api/);
+});
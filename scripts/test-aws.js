@@ -0,0 +1,286 @@
+/**
+ * test-aws.js
+ * Non-HTTP sanity test steps that call AWS directly (see execute-tests.js).
+ *
+ * Step types ("type" on a step; HTTP is the default):
+ *   {type: "lambda", functionName, payload?}                  - Invoke; checks run on the returned payload
+ *   {type: "sqs", queueUrl, send, attributes?, messageGroupId?} - Send a message
+ *   {type: "sqs", queueUrl, receive: {waitSeconds?, maxMessages?}}
+ *                                                             - Receive without deleting; checks run on
+ *                                                               {messages: [body]}, no messages is a failure
+ *   {type: "sns", topicArn, message, subject?, attributes?}  - Publish a message
+ *   {type: "dynamodb", table, key}                           - Read an item (consistent); a missing item fails
+ *   {type: "s3", bucket, key}                                - Read an object; JSON bodies are parsed
+ *
+ * Publish-and-observe tests send with one step and poll the effect with
+ * "retry" on a later receive, dynamodb or s3 step.
+ *
+ * Requests use the default AWS credential chain and AWS_REGION. Set
+ * AWS_ENDPOINT_URL (or AWS_ENDPOINT_URL_<SERVICE>) to run against a local
+ * emulator such as LocalStack; S3 then uses path-style URLs.
+ */
+
+import { LambdaClient, InvokeCommand } from '@aws-sdk/client-lambda';
+import { SQSClient, SendMessageCommand, ReceiveMessageCommand } from '@aws-sdk/client-sqs';
+import { SNSClient, PublishCommand } from '@aws-sdk/client-sns';
+import { DynamoDBClient, GetItemCommand } from '@aws-sdk/client-dynamodb';
+import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+
+export const AWS_STEP_TYPES = ['lambda', 'sqs', 'sns', 'dynamodb', 's3'];
+
+const DEFAULT_WAIT_SECONDS = 5;
+
+const clients = new Map();
+
+const OPERATIONS = {
+  lambda: (step) => ({ method: 'lambda:Invoke', url: step.functionName }),
+  sqs: (step) => ({ method: step.receive ? 'sqs:ReceiveMessage' : 'sqs:SendMessage', url: step.queueUrl }),
+  sns: (step) => ({ method: 'sns:Publish', url: step.topicArn }),
+  dynamodb: (step) => ({ method: 'dynamodb:GetItem', url: step.table }),
+  s3: (step) => ({ method: 's3:GetObject', url: `s3://${step.bucket}/${step.key}` }),
+};
+
+/**
+ * The AWS operation and resource a step calls, in the {method, url} form of HTTP requests
+ */
+export function describeAwsStep(step) {
+  return OPERATIONS[step.type]?.(step) ?? { method: step.type, url: '' };
+}
+
+// One client per service and options, e.g. S3 with and without path-style URLs
+function client(Client, options = {}) {
+  const key = `${Client.name} ${JSON.stringify(options)}`;
+
+  if (!clients.has(key)) {
+    clients.set(key, new Client({ region: process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION, ...options }));
+  }
+
+  return clients.get(key);
+}
+
+function send(Client, command, timeoutMs, options) {
+  return client(Client, options).send(command, { abortSignal: AbortSignal.timeout(timeoutMs) });
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+function messageBody(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function messageAttributes(attributes) {
+  if (!attributes) return undefined;
+
+  return Object.fromEntries(
+    Object.entries(attributes).map(([name, value]) => [name, { DataType: 'String', StringValue: String(value) }])
+  );
+}
+
+function requireFields(step, fields) {
+  const missing = fields.filter((field) => step[field] === undefined || step[field] === '');
+  if (missing.length > 0) {
+    throw new Error(`${step.type} step is missing ${missing.join(', ')}`);
+  }
+}
+
+async function invokeLambda(step, timeoutMs) {
+  requireFields(step, ['functionName']);
+
+  const output = await send(
+    LambdaClient,
+    new InvokeCommand({
+      FunctionName: step.functionName,
+      Payload: Buffer.from(JSON.stringify(step.payload ?? {})),
+    }),
+    timeoutMs
+  );
+
+  const data = output.Payload ? parseJson(Buffer.from(output.Payload).toString('utf-8')) : null;
+  const failures = output.FunctionError
+    ? [{ check: 'functionError', expected: 'none', actual: `${output.FunctionError}: ${messageBody(data)}` }]
+    : [];
+
+  return {
+    request: { ...describeAwsStep(step), body: step.payload },
+    status: output.StatusCode,
+    data,
+    failures,
+  };
+}
+
+async function sqsStep(step, timeoutMs) {
+  requireFields(step, ['queueUrl']);
+
+  if (step.receive) {
+    const waitSeconds = step.receive.waitSeconds ?? DEFAULT_WAIT_SECONDS;
+    const output = await send(
+      SQSClient,
+      new ReceiveMessageCommand({
+        QueueUrl: step.queueUrl,
+        MaxNumberOfMessages: step.receive.maxMessages || 10,
+        WaitTimeSeconds: waitSeconds,
+        MessageAttributeNames: ['All'],
+      }),
+      // Long polling holds the request open for waitSeconds
+      Math.max(timeoutMs, waitSeconds * 1000 + 5000)
+    );
+
+    const messages = (output.Messages || []).map((message) => parseJson(message.Body));
+    const failures =
+      messages.length === 0 ? [{ check: 'messages', expected: 'at least one message', actual: 'none' }] : [];
+
+    return {
+      request: describeAwsStep(step),
+      status: output.$metadata.httpStatusCode,
+      data: { messages },
+      failures,
+    };
+  }
+
+  if (step.send === undefined) {
+    throw new Error('sqs step needs send or receive');
+  }
+
+  const output = await send(
+    SQSClient,
+    new SendMessageCommand({
+      QueueUrl: step.queueUrl,
+      MessageBody: messageBody(step.send),
+      MessageAttributes: messageAttributes(step.attributes),
+      ...(step.messageGroupId && { MessageGroupId: step.messageGroupId }),
+    }),
+    timeoutMs
+  );
+
+  return {
+    request: { ...describeAwsStep(step), body: step.send },
+    status: output.$metadata.httpStatusCode,
+    data: { messageId: output.MessageId },
+    failures: [],
+  };
+}
+
+async function publishSns(step, timeoutMs) {
+  requireFields(step, ['topicArn', 'message']);
+
+  const output = await send(
+    SNSClient,
+    new PublishCommand({
+      TopicArn: step.topicArn,
+      Message: messageBody(step.message),
+      Subject: step.subject,
+      MessageAttributes: messageAttributes(step.attributes),
+    }),
+    timeoutMs
+  );
+
+  return {
+    request: { ...describeAwsStep(step), body: step.message },
+    status: output.$metadata.httpStatusCode,
+    data: { messageId: output.MessageId },
+    failures: [],
+  };
+}
+
+async function getDynamoDbItem(step, timeoutMs) {
+  requireFields(step, ['table', 'key']);
+
+  const output = await send(
+    DynamoDBClient,
+    new GetItemCommand({ TableName: step.table, Key: marshall(step.key), ConsistentRead: true }),
+    timeoutMs
+  );
+
+  const data = output.Item ? unmarshall(output.Item) : null;
+  const failures = data ? [] : [{ check: 'item', expected: 'an item', actual: 'none' }];
+
+  return {
+    request: { ...describeAwsStep(step), body: step.key },
+    status: output.$metadata.httpStatusCode,
+    data,
+    failures,
+  };
+}
+
+async function getS3Object(step, timeoutMs) {
+  requireFields(step, ['bucket', 'key']);
+
+  const request = describeAwsStep(step);
+  const endpointOverride = process.env.AWS_ENDPOINT_URL || process.env.AWS_ENDPOINT_URL_S3;
+
+  let output;
+  try {
+    output = await send(
+      S3Client,
+      new GetObjectCommand({ Bucket: step.bucket, Key: step.key }),
+      timeoutMs,
+      // Emulators don't serve virtual-hosted bucket names
+      endpointOverride ? { forcePathStyle: true } : {}
+    );
+  } catch (error) {
+    if (error.name !== 'NoSuchKey') throw error;
+
+    return {
+      request,
+      status: error.$metadata?.httpStatusCode,
+      data: null,
+      failures: [{ check: 'object', expected: 'an object', actual: 'none' }],
+    };
+  }
+
+  const text = await output.Body.transformToString();
+  const contentType = output.ContentType || '';
+
+  return {
+    request,
+    status: output.$metadata.httpStatusCode,
+    contentType,
+    data: /json/.test(contentType) || !contentType ? parseJson(text) : text,
+    headers: {
+      'content-type': contentType,
+      'content-length': String(output.ContentLength ?? text.length),
+      ...(output.ETag && { etag: output.ETag }),
+      ...Object.fromEntries(
+        Object.entries(output.Metadata || {}).map(([name, value]) => [`x-amz-meta-${name}`, value])
+      ),
+    },
+    failures: [],
+  };
+}
+
+const STEP_HANDLERS = {
+  lambda: invokeLambda,
+  sqs: sqsStep,
+  sns: publishSns,
+  dynamodb: getDynamoDbItem,
+  s3: getS3Object,
+};
+
+/**
+ * Run a non-HTTP step (variables already substituted)
+ * @param {Object} step
+ * @param {number} timeoutMs
+ * @returns {Promise<Object>} - {request, status, contentType?, data, headers?, failures}
+ * @throws {Error} - When the AWS call fails
+ */
+export async function runAwsStep(step, timeoutMs) {
+  const handler = STEP_HANDLERS[step.type];
+  if (!handler) {
+    throw new Error(`Unknown step type "${step.type}". Supported: http, ${AWS_STEP_TYPES.join(', ')}`);
+  }
+
+  return handler(step, timeoutMs);
+}
+
+export default {
+  AWS_STEP_TYPES,
+  describeAwsStep,
+  runAwsStep,
+};
@@ -0,0 +1,228 @@
+/**
+ * test-aws.test.js
+ * Non-HTTP steps against a local stub of the Lambda, SQS, SNS, DynamoDB and S3 APIs
+ * (AWS_ENDPOINT_URL, as with LocalStack).
+ *
+ * Run: npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+
+const requests = [];
+let server;
+let runAwsStep;
+
+// Canned state of the stubbed services
+const lambdaReplies = {
+  'orders-fn': { status: 200, body: { statusCode: 201, orderId: 'o-1' } },
+  'broken-fn': { status: 200, body: { errorType: 'TypeError', errorMessage: 'boom' }, functionError: 'Unhandled' },
+};
+// By queue URL path; the SDK sends to the queue URL's host, like LocalStack's
+const queues = { '/000000000000/orders': ['{"orderId":"o-1"}', 'plain text'] };
+const tables = { Orders: { 'o-1': { orderId: { S: 'o-1' }, total: { N: '42' }, items: { L: [{ S: 'widget' }] } } } };
+const objects = {
+  'reports/o-1.json': { body: '{"orderId":"o-1","ok":true}', type: 'application/json', meta: { source: 'fn' } },
+  'reports/readme.txt': { body: 'Hello', type: 'text/plain' },
+};
+
+const md5 = (text) => crypto.createHash('md5').update(text).digest('hex');
+
+function reply(res, status, body, headers = {}) {
+  res.writeHead(status, headers);
+  res.end(body);
+}
+
+function handle(req, body, res) {
+  const target = req.headers['x-amz-target'] || '';
+  const json = (status, data) =>
+    reply(res, status, JSON.stringify(data), { 'content-type': 'application/x-amz-json-1.0' });
+
+  const lambda = req.url.match(/^\/2015-03-31\/functions\/([^/]+)\/invocations/);
+  if (lambda) {
+    const { status, body: payload, functionError } = lambdaReplies[decodeURIComponent(lambda[1])];
+    return reply(res, status, JSON.stringify(payload), {
+      'content-type': 'application/json',
+      ...(functionError && { 'x-amz-function-error': functionError }),
+    });
+  }
+
+  if (target === 'AmazonSQS.SendMessage') {
+    const input = JSON.parse(body);
+    return json(200, { MessageId: 'm-1', MD5OfMessageBody: md5(input.MessageBody) });
+  }
+
+  if (target === 'AmazonSQS.ReceiveMessage') {
+    const messages = queues[new URL(JSON.parse(body).QueueUrl).pathname] || [];
+    return json(200, {
+      Messages: messages.map((text, i) => ({
+        MessageId: `m-${i}`,
+        ReceiptHandle: `r-${i}`,
+        Body: text,
+        MD5OfBody: md5(text),
+      })),
+    });
+  }
+
+  if (target === 'DynamoDB_20120810.GetItem') {
+    const input = JSON.parse(body);
+    const item = tables[input.TableName]?.[input.Key.orderId.S];
+    return json(200, item ? { Item: item } : {});
+  }
+
+  if (new URLSearchParams(body).get('Action') === 'Publish') {
+    return reply(
+      res,
+      200,
+      '<PublishResponse xmlns="http://sns.amazonaws.com/doc/2010-03-31/"><PublishResult>' +
+        '<MessageId>sns-1</MessageId></PublishResult><ResponseMetadata><RequestId>r</RequestId></ResponseMetadata>' +
+        '</PublishResponse>',
+      { 'content-type': 'text/xml' }
+    );
+  }
+
+  // S3, path-style: /bucket/key
+  const [, bucket, ...key] = decodeURIComponent(req.url.split('?')[0]).split('/');
+  const object = bucket === 'reports-bucket' ? objects[key.join('/')] : undefined;
+  if (!object) {
+    const error = '<Error><Code>NoSuchKey</Code><Message>The specified key does not exist.</Message></Error>';
+    return reply(res, 404, error, { 'content-type': 'application/xml' });
+  }
+
+  return reply(res, 200, object.body, {
+    'content-type': object.type,
+    etag: `"${md5(object.body)}"`,
+    ...Object.fromEntries(Object.entries(object.meta || {}).map(([name, value]) => [`x-amz-meta-${name}`, value])),
+  });
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf-8');
+      requests.push({ method: req.method, url: req.url, target: req.headers['x-amz-target'], body });
+      handle(req, body, res);
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  Object.assign(process.env, {
+    AWS_ENDPOINT_URL: `http://127.0.0.1:${server.address().port}`,
+    AWS_REGION: 'us-east-1',
+    AWS_ACCESS_KEY_ID: 'test',
+    AWS_SECRET_ACCESS_KEY: 'test',
+  });
+
+  ({ runAwsStep } = await import('./test-aws.js'));
+});
+
+after(() => {
+  server.close();
+});
+
+test('lambda invokes the function with the payload and parses the result', async () => {
+  requests.length = 0;
+  const result = await runAwsStep({ type: 'lambda', functionName: 'orders-fn', payload: { orderId: 'o-1' } }, 5000);
+
+  assert.deepEqual(result.request, { method: 'lambda:Invoke', url: 'orders-fn', body: { orderId: 'o-1' } });
+  assert.equal(result.status, 200);
+  assert.deepEqual(result.data, { statusCode: 201, orderId: 'o-1' });
+  assert.deepEqual(result.failures, []);
+
+  assert.equal(requests.length, 1);
+  assert.match(requests[0].url, /^\/2015-03-31\/functions\/orders-fn\/invocations/);
+  assert.deepEqual(JSON.parse(requests[0].body), { orderId: 'o-1' });
+});
+
+test('lambda reports a function error as a failure', async () => {
+  const result = await runAwsStep({ type: 'lambda', functionName: 'broken-fn' }, 5000);
+
+  assert.deepEqual(result.failures, [
+    { check: 'functionError', expected: 'none', actual: 'Unhandled: {"errorType":"TypeError","errorMessage":"boom"}' },
+  ]);
+});
+
+test('sqs sends a message and receives without deleting', async () => {
+  requests.length = 0;
+  const queueUrl = `${process.env.AWS_ENDPOINT_URL}/000000000000/orders`;
+
+  const sent = await runAwsStep({ type: 'sqs', queueUrl, send: { orderId: 'o-1' }, attributes: { kind: 'new' } }, 5000);
+  assert.deepEqual(sent.data, { messageId: 'm-1' });
+  assert.deepEqual(sent.failures, []);
+
+  const input = JSON.parse(requests[0].body);
+  assert.equal(requests[0].target, 'AmazonSQS.SendMessage');
+  assert.equal(input.MessageBody, '{"orderId":"o-1"}');
+  assert.deepEqual(input.MessageAttributes, { kind: { DataType: 'String', StringValue: 'new' } });
+
+  const received = await runAwsStep({ type: 'sqs', queueUrl, receive: { waitSeconds: 0 } }, 5000);
+  assert.deepEqual(received.data, { messages: [{ orderId: 'o-1' }, 'plain text'] });
+  assert.deepEqual(received.failures, []);
+  assert.ok(!requests.some((request) => request.target === 'AmazonSQS.DeleteMessage'));
+
+  const emptyQueueUrl = `${process.env.AWS_ENDPOINT_URL}/000000000000/empty`;
+  const empty = await runAwsStep({ type: 'sqs', queueUrl: emptyQueueUrl, receive: { waitSeconds: 0 } }, 5000);
+  assert.deepEqual(empty.failures, [{ check: 'messages', expected: 'at least one message', actual: 'none' }]);
+});
+
+test('sns publishes the message', async () => {
+  requests.length = 0;
+  const topicArn = 'arn:aws:sns:us-east-1:000000000000:orders';
+  const result = await runAwsStep({ type: 'sns', topicArn, message: { orderId: 'o-1' }, subject: 'New order' }, 5000);
+
+  assert.deepEqual(result.data, { messageId: 'sns-1' });
+  const form = new URLSearchParams(requests[0].body);
+  assert.equal(form.get('TopicArn'), topicArn);
+  assert.equal(form.get('Message'), '{"orderId":"o-1"}');
+  assert.equal(form.get('Subject'), 'New order');
+});
+
+test('dynamodb reads an item consistently and fails when it is missing', async () => {
+  requests.length = 0;
+  const result = await runAwsStep({ type: 'dynamodb', table: 'Orders', key: { orderId: 'o-1' } }, 5000);
+
+  assert.deepEqual(result.data, { orderId: 'o-1', total: 42, items: ['widget'] });
+  assert.deepEqual(result.failures, []);
+  assert.deepEqual(JSON.parse(requests[0].body), {
+    TableName: 'Orders',
+    Key: { orderId: { S: 'o-1' } },
+    ConsistentRead: true,
+  });
+
+  const missing = await runAwsStep({ type: 'dynamodb', table: 'Orders', key: { orderId: 'o-9' } }, 5000);
+  assert.equal(missing.data, null);
+  assert.deepEqual(missing.failures, [{ check: 'item', expected: 'an item', actual: 'none' }]);
+});
+
+test('s3 reads objects with path-style URLs from the emulator', async () => {
+  requests.length = 0;
+  const json = await runAwsStep({ type: 's3', bucket: 'reports-bucket', key: 'reports/o-1.json' }, 5000);
+
+  assert.equal(requests[0].method, 'GET');
+  assert.match(requests[0].url, /^\/reports-bucket\/reports\/o-1\.json/);
+  assert.deepEqual(json.request, { method: 's3:GetObject', url: 's3://reports-bucket/reports/o-1.json' });
+  assert.deepEqual(json.data, { orderId: 'o-1', ok: true });
+  assert.equal(json.headers['x-amz-meta-source'], 'fn');
+  assert.equal(json.headers['content-type'], 'application/json');
+
+  const text = await runAwsStep({ type: 's3', bucket: 'reports-bucket', key: 'reports/readme.txt' }, 5000);
+  assert.equal(text.data, 'Hello');
+
+  const missing = await runAwsStep({ type: 's3', bucket: 'reports-bucket', key: 'reports/none.json' }, 5000);
+  assert.equal(missing.status, 404);
+  assert.deepEqual(missing.failures, [{ check: 'object', expected: 'an object', actual: 'none' }]);
+});
+
+test('steps with missing fields or an unknown type fail before calling AWS', async () => {
+  requests.length = 0;
+
+  await assert.rejects(runAwsStep({ type: 'dynamodb', table: 'Orders' }, 5000), /dynamodb step is missing key/);
+  await assert.rejects(runAwsStep({ type: 'sqs', queueUrl: 'http://stub/q' }, 5000), /sqs step needs send or receive/);
+  await assert.rejects(runAwsStep({ type: 'kinesis' }, 5000), /Unknown step type "kinesis"/);
+  assert.equal(requests.length, 0);
+});
@@ -0,0 +1,167 @@
+/**
+ * test-report.js
+ * Machine-readable reports for execute-tests.js
+ *
+ * test-results.json:
+ *   {
+ *     baseUrl: string,
+ *     startedAt: ISO timestamp,
+ *     durationMs: number,
+ *     summary: {total, passed, failed, skipped},
+ *     results: [{
+ *       suite: string,
+ *       phase: "setup" | "test" | "teardown",
+ *       step: string,                      - Step action
+ *       status: "passed" | "failed" | "skipped",
+ *       skipReason?: string,
+ *       durationMs: number,
+ *       request: {method, url, headers?, body?} | null,  - Credentials redacted; AWS steps use
+ *                                                           method "lambda:Invoke", "s3:GetObject", ...
+ *       response: {status, contentType?, body} | null,  - body is an excerpt
+ *       failure: {reason, checks: [{check, expected, actual}]} | null
+ *     }]
+ *   }
+ *
+ * The JUnit XML maps suites to <testsuite> and steps to <testcase>.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const RESPONSE_EXCERPT_CHARS = 2000;
+
+/**
+ * Truncate a response body for a report
+ */
+export function excerpt(body) {
+  if (body === undefined || body === '') return '';
+
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  return text.length > RESPONSE_EXCERPT_CHARS ? `${text.substring(0, RESPONSE_EXCERPT_CHARS)}... (truncated)` : text;
+}
+
+/**
+ * Count results by status
+ */
+export function summarize(results) {
+  return {
+    total: results.length,
+    passed: results.filter((r) => r.status === 'passed').length,
+    failed: results.filter((r) => r.status === 'failed').length,
+    skipped: results.filter((r) => r.status === 'skipped').length,
+  };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function seconds(ms) {
+  return (ms / 1000).toFixed(3);
+}
+
+function describeCase(result) {
+  const lines = [];
+
+  if (result.request) {
+    lines.push(`${result.request.method} ${result.request.url}`);
+    if (result.request.body !== undefined) {
+      lines.push(`Request body: ${excerpt(result.request.body)}`);
+    }
+  }
+
+  if (result.response) {
+    lines.push(`Response ${result.response.status}: ${result.response.body}`);
+  }
+
+  return lines.join('\n');
+}
+
+function buildTestCase(result) {
+  const time = seconds(result.durationMs);
+  const name = result.phase && result.phase !== 'test' ? `[${result.phase}] ${result.step}` : result.step;
+  const attributes = `classname="${escapeXml(result.suite)}" name="${escapeXml(name)}" time="${time}"`;
+
+  let body = '';
+  if (result.status === 'failed') {
+    const checks = (result.failure.checks || [])
+      .map((c) => `${c.check}: expected ${c.expected}, got ${c.actual}`)
+      .join('\n');
+    body += `\n      <failure message="${escapeXml(result.failure.reason)}">${escapeXml(checks)}</failure>`;
+  } else if (result.status === 'skipped') {
+    body += `\n      <skipped message="${escapeXml(result.skipReason || 'Skipped')}"/>`;
+  }
+
+  const details = describeCase(result);
+  if (details) {
+    body += `\n      <system-out>${escapeXml(details)}</system-out>`;
+  }
+
+  return body ? `    <testcase ${attributes}>${body}\n    </testcase>` : `    <testcase ${attributes}/>`;
+}
+
+/**
+ * Render a report as JUnit XML
+ */
+export function buildJUnitXml(report) {
+  const suites = [];
+  for (const result of report.results) {
+    let suite = suites.find((s) => s.name === result.suite);
+    if (!suite) {
+      suite = { name: result.suite, results: [] };
+      suites.push(suite);
+    }
+    suite.results.push(result);
+  }
+
+  const suiteXml = suites.map((suite) => {
+    const counts = summarize(suite.results);
+    const time = suite.results.reduce((total, r) => total + r.durationMs, 0);
+
+    return (
+      `  <testsuite name="${escapeXml(suite.name)}" tests="${counts.total}" failures="${counts.failed}" ` +
+      `errors="0" skipped="${counts.skipped}" time="${seconds(time)}">\n` +
+      suite.results.map(buildTestCase).join('\n') +
+      '\n  </testsuite>'
+    );
+  });
+
+  const { summary } = report;
+  const attributes =
+    `name="sanity-tests" tests="${summary.total}" failures="${summary.failed}" errors="0" ` +
+    `skipped="${summary.skipped}" time="${seconds(report.durationMs)}" timestamp="${report.startedAt}"`;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites ${attributes}>
+${suiteXml.join('\n')}
+</testsuites>
+`;
+}
+
+/**
+ * Write test-results.json and the JUnit XML
+ * @param {Object} report - See the format above
+ * @param {Object} files
+ * @param {string} files.jsonFile
+ * @param {string} files.junitFile
+ */
+export function writeReports(report, { jsonFile, junitFile }) {
+  for (const file of [jsonFile, junitFile]) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  }
+
+  fs.writeFileSync(jsonFile, JSON.stringify(report, null, 2));
+  fs.writeFileSync(junitFile, buildJUnitXml(report));
+}
+
+export default {
+  excerpt,
+  summarize,
+  buildJUnitXml,
+  writeReports,
+};
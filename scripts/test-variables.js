@@ -0,0 +1,155 @@
+/**
+ * test-variables.js
+ * Variable substitution and extraction for sanity test steps (see execute-tests.js).
+ *
+ * Placeholders in endpoints, query, headers, bodies and assertions:
+ *   ${name}          - Deployment output or stored variable
+ *   ${env.NAME}      - Environment variable of the test runner (redacted like a credential)
+ *   ${uuid}          - Random UUID
+ *   ${timestamp}     - Current time in milliseconds
+ *   ${randomEmail}   - Random address at example.com
+ *
+ * A generator has one value per step, so a body and an assertion can refer to
+ * the same ${randomEmail}. A placeholder that cannot be resolved is an error;
+ * it is never sent literally.
+ *
+ * storeVariables paths:
+ *   response.items[0].id  - Response body (the "response." prefix is optional)
+ *   $.items[?(@.sku)].id  - JSONPath into the response body (first match)
+ *   headers.location      - Response header
+ */
+
+import crypto from 'crypto';
+import { JSONPath } from 'jsonpath-plus';
+import { addSecret } from './test-auth.js';
+
+const PLACEHOLDER = /\$\{(env\.)?(\w+)\}/g;
+
+const GENERATORS = {
+  uuid: () => crypto.randomUUID(),
+  timestamp: () => String(Date.now()),
+  randomEmail: () => `test-${crypto.randomBytes(4).toString('hex')}@example.com`,
+};
+
+function lookup(prefix, name, variables, generated) {
+  if (prefix) {
+    // Environment values are usually credentials; keep them out of logs and reports
+    const value = process.env[name];
+    addSecret(value);
+    return value;
+  }
+
+  if (name in variables) {
+    return variables[name];
+  }
+
+  if (GENERATORS[name]) {
+    generated[name] ??= GENERATORS[name]();
+    return generated[name];
+  }
+
+  return undefined;
+}
+
+function substituteString(str, variables, generated, missing) {
+  return str.replace(PLACEHOLDER, (match, prefix, name) => {
+    const value = lookup(prefix, name, variables, generated);
+    if (value === undefined || value === null) {
+      missing.add(match);
+      return match;
+    }
+
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+function substituteValue(value, variables, generated, missing) {
+  if (typeof value === 'string') {
+    return substituteString(value, variables, generated, missing);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => substituteValue(item, variables, generated, missing));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, substituteValue(item, variables, generated, missing)])
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Replace the placeholders in a value of any shape
+ * @param {*} value
+ * @param {Object} variables - Outputs and stored variables
+ * @param {Object} [generated={}] - Generator values already used by the step (filled in)
+ * @throws {Error} - When a placeholder cannot be resolved
+ */
+export function substitute(value, variables, generated = {}) {
+  const missing = new Set();
+  const result = substituteValue(value, variables, generated, missing);
+
+  if (missing.size > 0) {
+    throw new Error(`Unresolved variable(s): ${[...missing].join(', ')}`);
+  }
+
+  return result;
+}
+
+/**
+ * Names of the stored/output variables a value refers to (not env vars or generators)
+ */
+export function referencedVariables(value) {
+  const names = new Set();
+
+  for (const match of JSON.stringify(value ?? null).matchAll(PLACEHOLDER)) {
+    if (!match[1] && !GENERATORS[match[2]]) {
+      names.add(match[2]);
+    }
+  }
+
+  return [...names];
+}
+
+function pathValue(data, path) {
+  let value = data;
+
+  for (const part of path.match(/[^.[\]]+/g) || []) {
+    if (value === null || typeof value !== 'object' || !(part in value)) {
+      return undefined;
+    }
+    value = value[part];
+  }
+
+  return value;
+}
+
+/**
+ * Read a storeVariables path from a response
+ * @param {{data: *, headers: Object}} response
+ * @param {string} path - See the formats above
+ * @returns {*} - undefined when the path does not match
+ */
+export function extractValue(response, path) {
+  if (path.startsWith('headers.')) {
+    return response.headers?.[path.substring('headers.'.length).toLowerCase()];
+  }
+
+  if (path.startsWith('$')) {
+    const json = response.data;
+    if (json === null || typeof json !== 'object') return undefined;
+
+    return JSONPath({ path, json, wrap: true })[0];
+  }
+
+  return pathValue(response.data, path.replace(/^response\./, ''));
+}
+
+export default {
+  substitute,
+  referencedVariables,
+  extractValue,
+};
@@ -0,0 +1,117 @@
+/**
+ * test-variables.test.js
+ * Placeholder substitution and storeVariables extraction.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { substitute, referencedVariables, extractValue } from './test-variables.js';
+import { redact } from './test-auth.js';
+
+const response = {
+  status: 201,
+  headers: { location: '/items/42', 'content-type': 'application/json' },
+  data: {
+    id: 42,
+    items: [
+      { id: 'a1', sku: null },
+      { id: 'b2', sku: 'SKU-2', tags: ['new', 'sale'] },
+    ],
+    owner: { id: 'u1' },
+  },
+};
+
+test('storeVariables paths read the body with or without the response prefix', () => {
+  assert.equal(extractValue(response, 'response.id'), 42);
+  assert.equal(extractValue(response, 'id'), 42);
+  assert.equal(extractValue(response, 'owner.id'), 'u1');
+  assert.equal(extractValue(response, 'response.items[1].id'), 'b2');
+  assert.equal(extractValue(response, 'items[1].tags[0]'), 'new');
+  assert.deepEqual(extractValue(response, 'items[0]'), { id: 'a1', sku: null });
+  assert.equal(extractValue(response, 'items[5].id'), undefined);
+  assert.equal(extractValue(response, 'owner.email'), undefined);
+});
+
+test('JSONPath storeVariables paths take the first match', () => {
+  assert.equal(extractValue(response, '$.id'), 42);
+  assert.equal(extractValue(response, '$.items[*].id'), 'a1');
+  assert.equal(extractValue(response, '$.items[?(@.sku)].id'), 'b2');
+  assert.deepEqual(extractValue(response, '$.items[1].tags'), ['new', 'sale']);
+  assert.equal(extractValue(response, '$.missing'), undefined);
+  assert.equal(extractValue({ data: 'plain text' }, '$.id'), undefined);
+});
+
+test('headers paths read a response header case-insensitively', () => {
+  assert.equal(extractValue(response, 'headers.location'), '/items/42');
+  assert.equal(extractValue(response, 'headers.Location'), '/items/42');
+  assert.equal(extractValue(response, 'headers.etag'), undefined);
+});
+
+test('variables are substituted in strings, arrays and objects', () => {
+  const variables = { itemId: 42, ApiUrl: 'https://api.example.com', owner: { id: 'u1' }, active: false };
+
+  assert.deepEqual(
+    substitute(
+      {
+        endpoint: '/items/${itemId}',
+        body: { url: '${ApiUrl}/items', owner: '${owner}', flags: ['${active}', 7], note: null },
+      },
+      variables
+    ),
+    {
+      endpoint: '/items/42',
+      body: { url: 'https://api.example.com/items', owner: '{"id":"u1"}', flags: ['false', 7], note: null },
+    }
+  );
+});
+
+test('generators have one value per step', () => {
+  const generated = {};
+  const step = substitute({ body: { email: '${randomEmail}', id: '${uuid}' }, check: '${randomEmail}' }, {}, generated);
+
+  assert.match(step.body.email, /^test-[0-9a-f]{8}@example\.com$/);
+  assert.match(step.body.id, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  assert.equal(step.check, step.body.email);
+  assert.deepEqual(Object.keys(generated).sort(), ['randomEmail', 'uuid']);
+
+  const timestamp = Number(substitute('${timestamp}', {}));
+  assert.ok(Math.abs(timestamp - Date.now()) < 5000);
+
+  // A new step gets new values; a stored variable of the same name wins
+  assert.notEqual(substitute('${uuid}', {}), step.body.id);
+  assert.equal(substitute('${uuid}', { uuid: 'stored' }), 'stored');
+});
+
+test('env placeholders are resolved and registered for redaction', () => {
+  process.env.TEST_VARIABLES_TOKEN = 'env-token-5f3a9c';
+
+  try {
+    const headers = substitute({ 'x-token': '${env.TEST_VARIABLES_TOKEN}' }, {});
+    assert.equal(headers['x-token'], 'env-token-5f3a9c');
+    assert.equal(redact('sent env-token-5f3a9c'), 'sent ***');
+  } finally {
+    delete process.env.TEST_VARIABLES_TOKEN;
+  }
+});
+
+test('unresolved placeholders are an error, never sent literally', () => {
+  const step = { endpoint: '/items/${itemId}', body: { owner: '${ownerId}', key: '${env.TEST_VARIABLES_UNSET}' } };
+
+  assert.throws(() => substitute(step, {}), {
+    message: 'Unresolved variable(s): ${itemId}, ${ownerId}, ${env.TEST_VARIABLES_UNSET}',
+  });
+  assert.throws(() => substitute('${nothing}', { nothing: null }), /Unresolved variable\(s\): \$\{nothing\}/);
+});
+
+test('referencedVariables lists stored and output variables only', () => {
+  assert.deepEqual(
+    referencedVariables({
+      endpoint: '/users/${userId}/orders/${orderId}',
+      body: { email: '${randomEmail}', key: '${env.API_KEY}', again: '${userId}' },
+    }),
+    ['userId', 'orderId']
+  );
+  assert.deepEqual(referencedVariables(undefined), []);
+});